@@ -6,6 +6,10 @@ const morgan = require('morgan');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const mongoose = require('mongoose');
+const { scheduleAccountPurge } = require('./jobs/accountPurge');
+const { schedulePlaylistTrashPurge } = require('./jobs/playlistTrashPurge');
+const { scheduleCounterReconciliation } = require('./jobs/counterReconciliation');
+const { scheduleAccountExports } = require('./jobs/accountExport');
 
 const app = express();
 
@@ -15,7 +19,13 @@ app.set('trust proxy', 1);
 // Connect to MongoDB
 if (process.env.MONGODB_URI) {
   mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+    scheduleAccountPurge();
+    schedulePlaylistTrashPurge();
+    scheduleCounterReconciliation();
+    scheduleAccountExports();
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 } else {
   console.log('MongoDB URI not set, skipping database connection');
@@ -48,6 +58,7 @@ app.use('/api/feed', require('./routes/feed'));
 app.use('/api/discover', require('./routes/discover'));
 app.use('/api/search', require('./routes/search'));
 app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/admin', require('./routes/admin'));
 
 // Health check
 app.get('/health', (req, res) => {
@@ -0,0 +1,31 @@
+// Permissions granted to each role. "<resource>:<action>:any" lets the role
+// act on content owned by other users; owners can always act on their own.
+const MODERATOR_PERMISSIONS = [
+  'playlist:read:any',
+  'playlist:update:any',
+  'playlist:delete:any',
+  'song:add:any',
+  'song:update:any',
+  'song:delete:any',
+  'moderation_log:read'
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: MODERATOR_PERMISSIONS,
+  admin: [
+    ...MODERATOR_PERMISSIONS,
+    'user:role:update'
+  ]
+};
+
+// Actions an accepted collaborator may take on the playlist they joined
+const COLLABORATOR_PERMISSIONS = {
+  viewer: ['playlist:read'],
+  editor: ['playlist:read', 'song:add', 'song:update', 'song:delete']
+};
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  COLLABORATOR_PERMISSIONS
+};
@@ -0,0 +1,4 @@
+// User fields anyone may see. Public endpoints select these instead of
+// excluding private ones, so fields added to the User model later stay
+// private unless they are listed here.
+module.exports = 'username avatarUrl bio socialLinks followersCount followingCount playlistCount createdAt';
@@ -0,0 +1,31 @@
+const { createClient } = require('redis');
+
+// Shared Redis client, connected lazily on first use. Resolves to null when
+// REDIS_URL is not set or the server can't be reached, so callers can fall
+// back to in-memory state.
+let clientPromise = null;
+
+const getRedisClient = () => {
+  if (!process.env.REDIS_URL) {
+    return Promise.resolve(null);
+  }
+
+  if (!clientPromise) {
+    const client = createClient({ url: process.env.REDIS_URL });
+    client.on('error', err => console.error('Redis error:', err.message));
+
+    clientPromise = client.connect()
+      .then(() => {
+        console.log('Connected to Redis');
+        return client;
+      })
+      .catch(err => {
+        console.error('Redis connection error, using in-memory fallback:', err.message);
+        return null;
+      });
+  }
+
+  return clientPromise;
+};
+
+module.exports = { getRedisClient };
@@ -0,0 +1,59 @@
+// Usernames nobody can register or rename to. RESERVED_USERNAMES are matched
+// exactly (they collide with routes or look official); BLOCKED_USERNAME_TERMS
+// are matched anywhere in the name, ignoring case, "_" and "-".
+const RESERVED_USERNAMES = [
+  'about',
+  'account',
+  'admin',
+  'administrator',
+  'api',
+  'app',
+  'auth',
+  'blog',
+  'discover',
+  'explore',
+  'feed',
+  'help',
+  'home',
+  'id',
+  'import',
+  'invitations',
+  'login',
+  'logout',
+  'me',
+  'mod',
+  'moderator',
+  'new',
+  'notifications',
+  'null',
+  'playlist',
+  'playlists',
+  'privacy',
+  'register',
+  'root',
+  'saved',
+  'search',
+  'security',
+  'settings',
+  'signin',
+  'signup',
+  'staff',
+  'support',
+  'system',
+  'terms',
+  'trash',
+  'trending',
+  'undefined',
+  'user',
+  'users',
+  'www'
+];
+
+const BLOCKED_USERNAME_TERMS = [
+  'vibecheck',
+  'official',
+  'administrator',
+  'moderator'
+];
+
+module.exports = { RESERVED_USERNAMES, BLOCKED_USERNAME_TERMS };
@@ -0,0 +1,8 @@
+// Scopes a personal access token can be granted. Routes declare the scope
+// they need with requireScope(); routes without one refuse these tokens.
+module.exports = [
+  'playlists:read',
+  'playlists:write',
+  'notifications:read',
+  'notifications:write'
+];
@@ -0,0 +1,108 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const SCOPES = require('../config/scopes');
+const { createPersonalAccessToken } = require('../services/tokenService');
+
+const MAX_TOKENS_PER_USER = 20;
+
+// Validation schemas
+const createAccessTokenSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required(),
+  scopes: Joi.array().items(Joi.string().valid(...SCOPES)).min(1).unique().required(),
+  expiresAt: Joi.date().greater('now').allow(null)
+});
+
+const formatAccessToken = (accessToken) => ({
+  id: accessToken._id,
+  name: accessToken.name,
+  tokenPrefix: accessToken.tokenPrefix,
+  scopes: accessToken.scopes,
+  expiresAt: accessToken.expiresAt,
+  lastUsedAt: accessToken.lastUsedAt,
+  createdAt: accessToken.createdAt
+});
+
+// List the current user's personal access tokens (never the secrets)
+const getAccessTokens = async (req, res) => {
+  try {
+    const accessTokens = await PersonalAccessToken.find({ userId: req.user._id, revokedAt: null })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        tokens: accessTokens.map(formatAccessToken),
+        availableScopes: SCOPES
+      }
+    });
+  } catch (error) {
+    console.error('Get access tokens error:', error);
+    res.status(500).json({ error: 'Failed to get access tokens' });
+  }
+};
+
+// Create a personal access token; the secret is only returned here
+const createAccessToken = async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    const count = await PersonalAccessToken.countDocuments({ userId: req.user._id, revokedAt: null });
+    if (count >= MAX_TOKENS_PER_USER) {
+      return res.status(400).json({ error: `You can have at most ${MAX_TOKENS_PER_USER} access tokens` });
+    }
+
+    const { token, accessToken } = await createPersonalAccessToken(req.user._id, {
+      name,
+      scopes,
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    });
+
+    console.log('[ACCESS_TOKEN_CREATED]', { tokenId: accessToken._id, userId: req.user._id, scopes, timestamp: new Date() });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        token,
+        accessToken: formatAccessToken(accessToken)
+      }
+    });
+  } catch (error) {
+    console.error('Create access token error:', error);
+    res.status(500).json({ error: 'Failed to create access token' });
+  }
+};
+
+// Revoke a personal access token
+const revokeAccessToken = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ error: 'Access token not found' });
+    }
+
+    const accessToken = await PersonalAccessToken.findOneAndUpdate(
+      { _id: id, userId: req.user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    if (!accessToken) {
+      return res.status(404).json({ error: 'Access token not found' });
+    }
+
+    console.log('[ACCESS_TOKEN_REVOKED]', { tokenId: id, userId: req.user._id, timestamp: new Date() });
+
+    res.json({ success: true, message: 'Access token revoked successfully' });
+  } catch (error) {
+    console.error('Revoke access token error:', error);
+    res.status(500).json({ error: 'Failed to revoke access token' });
+  }
+};
+
+module.exports = {
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken,
+  createAccessTokenSchema
+};
@@ -0,0 +1,113 @@
+const AccountExport = require('../models/AccountExport');
+const { EXPORT_STALE_AFTER } = require('../jobs/accountExport');
+const { signExportDownloadToken, verifyExportDownloadToken } = require('../services/tokenService');
+
+const DOWNLOAD_LINK_TTL = 15 * 60; // seconds, matches signExportDownloadToken
+
+const formatExport = (req, accountExport) => {
+  const data = {
+    _id: accountExport._id,
+    status: accountExport.status,
+    size: accountExport.size,
+    createdAt: accountExport.createdAt,
+    completedAt: accountExport.completedAt,
+    expiresAt: accountExport.expiresAt
+  };
+
+  if (accountExport.status === 'failed') {
+    data.error = 'The export failed, please request a new one';
+  }
+
+  if (accountExport.status === 'completed' && accountExport.expiresAt > new Date()) {
+    const token = signExportDownloadToken(accountExport._id.toString());
+    data.downloadUrl = `${req.protocol}://${req.get('host')}/api/users/me/export/${accountExport._id}/download?token=${encodeURIComponent(token)}`;
+    data.downloadUrlExpiresIn = DOWNLOAD_LINK_TTL;
+  }
+
+  return data;
+};
+
+// Start building an archive of the current user's data
+const requestAccountExport = async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    // Only one export runs at a time per user
+    const active = await AccountExport.findOne({
+      userId,
+      status: { $in: ['pending', 'processing'] },
+      createdAt: { $gte: new Date(Date.now() - EXPORT_STALE_AFTER) }
+    });
+    if (active) {
+      return res.status(202).json({
+        success: true,
+        message: 'An export is already in progress',
+        data: { export: formatExport(req, active) }
+      });
+    }
+
+    // Built by the export job (see jobs/accountExport.js)
+    const accountExport = await AccountExport.create({ userId });
+
+    console.log('[ACCOUNT_EXPORT_REQUESTED]', { exportId: accountExport._id, userId, timestamp: new Date() });
+
+    res.status(202).json({
+      success: true,
+      message: 'Export started. Check its status, we will also email you when it is ready.',
+      data: { export: formatExport(req, accountExport) }
+    });
+  } catch (error) {
+    console.error('Request account export error:', error);
+    res.status(500).json({ error: 'Failed to start account export' });
+  }
+};
+
+// Check an export's status; completed exports include a short-lived download link
+const getAccountExport = async (req, res) => {
+  try {
+    const accountExport = await AccountExport.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!accountExport) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    res.json({
+      success: true,
+      data: { export: formatExport(req, accountExport) }
+    });
+  } catch (error) {
+    console.error('Get account export error:', error);
+    res.status(500).json({ error: 'Failed to get account export' });
+  }
+};
+
+// Download the archive. Authorized by the link's token rather than the access
+// token so it works straight from the browser.
+const downloadAccountExport = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const exportId = verifyExportDownloadToken(req.query.token || '');
+    if (!exportId || exportId !== id) {
+      return res.status(401).json({ error: 'Download link is invalid or has expired' });
+    }
+
+    const accountExport = await AccountExport.findById(id).select('+archive').populate('userId', 'username');
+    if (!accountExport || accountExport.status !== 'completed' || accountExport.expiresAt <= new Date() || !accountExport.archive) {
+      return res.status(410).json({ error: 'This export is no longer available' });
+    }
+
+    const date = accountExport.completedAt.toISOString().slice(0, 10);
+    res.attachment(`vibecheck-${accountExport.userId?.username || 'account'}-${date}.zip`);
+    res.type('application/zip');
+    res.send(accountExport.archive);
+  } catch (error) {
+    console.error('Download account export error:', error);
+    res.status(500).json({ error: 'Failed to download account export' });
+  }
+};
+
+module.exports = {
+  requestAccountExport,
+  getAccountExport,
+  downloadAccountExport
+};
@@ -0,0 +1,110 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ModerationLog = require('../models/ModerationLog');
+const { logModerationAction } = require('../services/moderationLog');
+const { getPagination, getPageQuery, buildPage } = require('../utils/pagination');
+
+// Validation schemas
+const updateRoleSchema = Joi.object({
+  role: Joi.string().valid('user', 'moderator', 'admin').required()
+});
+
+// Change a user's role
+const updateUserRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (req.user._id.toString() === id) {
+      return res.status(400).json({ error: 'Cannot change your own role' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await logModerationAction({
+      actor: req.user,
+      action: 'user:role:update',
+      targetType: 'user',
+      targetId: user._id,
+      targetOwnerId: user._id,
+      details: { from: previousRole, to: role }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: user._id,
+          username: user.username,
+          role: user.role
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({ error: 'Failed to update user role' });
+  }
+};
+
+// List moderation actions, newest first
+const getModerationLogs = async (req, res) => {
+  try {
+    const { actorId, targetType, targetId } = req.query;
+
+    const pagination = getPagination(req.query, { sort: { createdAt: -1 } });
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const invalidId = [['actorId', actorId], ['targetId', targetId]]
+      .find(([, value]) => value !== undefined && !mongoose.Types.ObjectId.isValid(value));
+    if (invalidId) {
+      return res.status(400).json({ error: `Invalid ${invalidId[0]}` });
+    }
+
+    const query = {};
+    if (actorId) query.actorId = actorId;
+    if (targetType) query.targetType = targetType;
+    if (targetId) query.targetId = targetId;
+
+    const { filter, sort, skip, limit } = getPageQuery(pagination, query);
+    const fetched = await ModerationLog.find(filter)
+      .populate('actorId', 'username avatarUrl role')
+      .populate('targetOwnerId', 'username avatarUrl')
+      .sort(sort)
+      .skip(skip)
+      .limit(limit);
+
+    const total = await ModerationLog.countDocuments(query);
+    const { items: logs, pagination: pageInfo } = buildPage(fetched, pagination, { total });
+
+    res.json({
+      success: true,
+      data: {
+        logs,
+        pagination: pageInfo
+      }
+    });
+  } catch (error) {
+    console.error('Get moderation logs error:', error);
+    res.status(500).json({ error: 'Failed to get moderation logs' });
+  }
+};
+
+module.exports = {
+  updateUserRole,
+  getModerationLogs,
+  updateRoleSchema
+};
@@ -1,7 +1,39 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const Joi = require('joi');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const {
+  generateTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSession,
+  listActiveSessions,
+  revokeUserSessions,
+  createOneTimeToken,
+  consumeOneTimeToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} = require('../services/tokenService');
+const {
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendAccountLockedEmail
+} = require('../services/emails');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  LOCKOUT_DURATION
+} = require('../services/loginProtection');
+const { verifyGoogleCredential, isGoogleAuthUnavailable } = require('../services/googleAuth');
+const { hashPassword } = require('../services/passwords');
+const { findUserByIdentity } = require('../services/identities');
+const { sendEmailVerification } = require('../services/emailVerification');
+const { verifyTwoFactorCode } = require('../services/twoFactor');
+const { getUsernameProblem, generateAvailableUsername } = require('../services/usernames');
+const { getDeviceLabel } = require('../utils/helpers');
 
 // Validate required environment variables
 if (!process.env.JWT_SECRET) {
@@ -10,63 +42,104 @@ if (!process.env.JWT_SECRET) {
 }
 
 // Validation schemas
+// Optional name for the new session's device, shown in the sessions list
+const deviceName = Joi.string().trim().max(100);
+
 const registerSchema = Joi.object({
   email: Joi.string().email().required(),
   username: Joi.string().min(3).max(50).required(),
-  password: Joi.string().min(6).required()
+  password: Joi.string().min(6).required(),
+  deviceName
 });
 
 const loginSchema = Joi.object({
   email: Joi.string().email().required(),
-  password: Joi.string().required()
+  password: Joi.string().required(),
+  deviceName
 });
 
-// Generate tokens
-const generateTokens = (userId) => {
-  const accessToken = jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
-  });
-  
-  const refreshToken = jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '30d'
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required(),
+  code: Joi.string().required(),
+  deviceName
+});
+
+// These two routes never validated their body, so other keys stay allowed and
+// the handlers still answer a missing token/credential themselves
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string(),
+  deviceName
+}).unknown();
+
+const googleSignInSchema = Joi.object({
+  credential: Joi.string(),
+  deviceName
+}).unknown();
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  password: Joi.string().min(6).required()
+});
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required(),
+  newPassword: Joi.string().min(6).required()
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required()
+});
+
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
+
+const sendTooManyAttempts = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'Too many failed login attempts, please try again later',
+    retryAfter
   });
-  
-  return { accessToken, refreshToken };
 };
 
-// Decode and validate Google JWT credential
-const decodeGoogleCredential = (credential) => {
-  try {
-    // Google JWTs are standard JWTs, decode without verification for now
-    // In production, you should verify the token signature
-    const decoded = jwt.decode(credential);
-    
-    if (!decoded) {
-      throw new Error('Invalid Google credential');
-    }
-    
-    // Validate required fields
-    if (!decoded.sub || !decoded.email || !decoded.email_verified) {
-      throw new Error('Invalid Google credential: missing required fields');
+// Count a failed login and tell the user by email if it locked their account
+const handleLoginFailure = async (email, ip, user) => {
+  const { locked } = await recordLoginFailure(email, ip);
+
+  if (locked) {
+    console.warn('[ACCOUNT_LOCKED]', { email, ip, timestamp: new Date() });
+    if (user) {
+      await sendAccountLockedEmail(user, LOCKOUT_DURATION / 60000)
+        .catch(err => console.error('Send account locked email error:', err));
     }
-    
-    return {
-      googleId: decoded.sub,
-      email: decoded.email,
-      name: decoded.name,
-      picture: decoded.picture,
-      emailVerified: decoded.email_verified
-    };
-  } catch (error) {
-    console.error('Error decoding Google credential:', error);
-    throw new Error('Invalid Google credential');
   }
 };
 
+// Describe the device making the request for the sessions list.
+// Clients may send their own `deviceName` (e.g. "Pixel 8"); otherwise it is
+// derived from the user agent.
+const getClientInfo = (req) => {
+  const userAgent = req.get('user-agent') || '';
+  const deviceName = typeof req.body?.deviceName === 'string' ? req.body.deviceName.trim() : '';
+  return {
+    deviceLabel: deviceName || getDeviceLabel(userAgent),
+    ip: req.ip,
+    userAgent
+  };
+};
+
 // Register user
 const register = async (req, res) => {
   try {
     const { email, username, password } = req.body;
+
+    // Reserved names and names taken in any capitalisation, or held after a rename
+    const usernameProblem = await getUsernameProblem(username);
+    if (usernameProblem) {
+      return res.status(usernameProblem.status).json({ error: usernameProblem.error });
+    }
     
     // Check if user already exists
     const existingUser = await User.findOne({ 
@@ -80,8 +153,7 @@ const register = async (req, res) => {
     }
     
     // Hash password
-    const salt = await bcrypt.genSalt(12);
-    const passwordHash = await bcrypt.hash(password, salt);
+    const passwordHash = await hashPassword(password);
     
     // Create user
     const user = new User({
@@ -93,7 +165,10 @@ const register = async (req, res) => {
     await user.save();
     
     // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id);
+    const { accessToken, refreshToken } = await generateTokens(user._id, getClientInfo(req));
+    
+    // Ask the user to confirm their address; registration still succeeds if mail fails
+    await sendEmailVerification(user).catch(err => console.error('Send verification email error:', err));
     
     console.log('[USER_REGISTERED]', { userId: user._id, email, username, timestamp: new Date() });
     
@@ -103,7 +178,8 @@ const register = async (req, res) => {
         user: {
           id: user._id,
           email: user.email,
-          username: user.username
+          username: user.username,
+          emailVerified: user.emailVerified
         },
         accessToken,
         refreshToken
@@ -120,20 +196,41 @@ const login = async (req, res) => {
   try {
     const { email, password } = req.body;
     
+    const throttle = await checkLoginAllowed(email, req.ip);
+    if (!throttle.allowed) {
+      return sendTooManyAttempts(res, throttle.retryAfter);
+    }
+    
     // Find user
     const user = await User.findOne({ email });
     if (!user) {
+      await handleLoginFailure(email, req.ip, null);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
-    // Check password
-    const isValidPassword = await bcrypt.compare(password, user.passwordHash);
+    // Check password (accounts created through Google may not have one)
+    const isValidPassword = !!user.passwordHash && await bcrypt.compare(password, user.passwordHash);
     if (!isValidPassword) {
+      await handleLoginFailure(email, req.ip, user);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
+    // With 2FA on, tokens are only issued once a code is submitted to /login/2fa,
+    // and failures are only cleared there so the password can't reset the count
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: signTwoFactorChallenge(user._id)
+        }
+      });
+    }
+    
+    await recordLoginSuccess(email);
+    
     // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id);
+    const { accessToken, refreshToken } = await generateTokens(user._id, getClientInfo(req));
     
     console.log('[USER_LOGIN]', { userId: user._id, email, timestamp: new Date() });
     
@@ -143,7 +240,8 @@ const login = async (req, res) => {
         user: {
           id: user._id,
           email: user.email,
-          username: user.username
+          username: user.username,
+          emailVerified: user.emailVerified
         },
         accessToken,
         refreshToken
@@ -155,6 +253,58 @@ const login = async (req, res) => {
   }
 };
 
+// Second login step for accounts with 2FA: exchange the challenge and a code for tokens
+const verifyLoginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    
+    const userId = verifyTwoFactorChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ error: 'Login challenge expired, please sign in again' });
+    }
+    
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Login challenge expired, please sign in again' });
+    }
+    
+    // Codes count towards the same lockout as passwords
+    const throttle = await checkLoginAllowed(user.email, req.ip);
+    if (!throttle.allowed) {
+      return sendTooManyAttempts(res, throttle.retryAfter);
+    }
+    
+    const method = await verifyTwoFactorCode(userId, code);
+    if (!method) {
+      await handleLoginFailure(user.email, req.ip, user);
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+    
+    await recordLoginSuccess(user.email);
+    
+    const { accessToken, refreshToken } = await generateTokens(user._id, getClientInfo(req));
+    
+    console.log('[USER_LOGIN]', { userId: user._id, email: user.email, twoFactor: method, timestamp: new Date() });
+    
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: user._id,
+          email: user.email,
+          username: user.username,
+          emailVerified: user.emailVerified
+        },
+        accessToken,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+};
+
 // Get current user
 const getMe = async (req, res) => {
   try {
@@ -175,7 +325,7 @@ const getMe = async (req, res) => {
   }
 };
 
-// Refresh token
+// Refresh token (rotates the token; reusing an old one revokes the session)
 const refresh = async (req, res) => {
   try {
     const { refreshToken } = req.body;
@@ -184,21 +334,242 @@ const refresh = async (req, res) => {
       return res.status(401).json({ error: 'Refresh token required' });
     }
     
-    const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
-    const { accessToken, refreshToken: newRefreshToken } = generateTokens(decoded.userId);
+    const tokens = await rotateRefreshToken(refreshToken, getClientInfo(req));
+    if (!tokens) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
     
     res.json({
       success: true,
-      data: { accessToken, refreshToken: newRefreshToken }
+      data: { accessToken: tokens.accessToken, refreshToken: tokens.refreshToken }
     });
   } catch (error) {
-    res.status(401).json({ error: 'Invalid refresh token' });
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
   }
 };
 
-// Logout (client-side token removal)
+// Logout (revokes the session behind the refresh token or current access token)
 const logout = async (req, res) => {
-  res.json({ success: true, message: 'Logged out successfully' });
+  try {
+    const { refreshToken } = req.body;
+    
+    if (refreshToken) {
+      await revokeRefreshToken(refreshToken);
+    } else if (req.sessionId) {
+      await revokeSession(req.sessionId);
+    } else {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+    
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+};
+
+// Request a password reset link (always responds the same way so emails can't be probed)
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    const user = await User.findOne({ email });
+    if (user && user.passwordHash) {
+      const token = await createOneTimeToken(user._id, 'password_reset', PASSWORD_RESET_TTL);
+      await sendPasswordResetEmail(user, token);
+      
+      console.log('[PASSWORD_RESET_REQUESTED]', { userId: user._id, timestamp: new Date() });
+    }
+    
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+};
+
+// Set a new password with a reset token
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    const authToken = await consumeOneTimeToken(token, 'password_reset');
+    if (!authToken) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+    
+    const user = await User.findById(authToken.userId);
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+    
+    user.passwordHash = await hashPassword(password);
+    await user.save();
+    
+    // Whoever had the old password should not stay signed in
+    await revokeUserSessions(user._id);
+    await unlockAccount(user.email);
+    await sendPasswordChangedEmail(user).catch(err => console.error('Send password changed email error:', err));
+    
+    console.log('[PASSWORD_RESET]', { userId: user._id, timestamp: new Date() });
+    
+    res.json({ success: true, message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+};
+
+// Change password for the signed-in user
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = req.user;
+    
+    if (!user.passwordHash) {
+      return res.status(400).json({ error: 'No password is set for this account' });
+    }
+    
+    const isValidPassword = await bcrypt.compare(currentPassword, user.passwordHash);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+    
+    user.passwordHash = await hashPassword(newPassword);
+    await user.save();
+    
+    // Keep this device signed in, sign out everywhere else
+    await revokeUserSessions(user._id, { exceptSessionId: req.sessionId });
+    await sendPasswordChangedEmail(user).catch(err => console.error('Send password changed email error:', err));
+    
+    console.log('[PASSWORD_CHANGED]', { userId: user._id, timestamp: new Date() });
+    
+    res.json({ success: true, message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+};
+
+// Resend the verification link for the signed-in user
+const resendVerificationEmail = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+    
+    await sendEmailVerification(req.user);
+    
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification email error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+};
+
+// Confirm an email address with the token from the verification link
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    const authToken = await consumeOneTimeToken(token, 'email_verification');
+    if (!authToken) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+    
+    // The link only confirms the address it was sent to
+    const user = await User.findOneAndUpdate(
+      { _id: authToken.userId, email: authToken.email },
+      { emailVerified: true },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+    
+    console.log('[EMAIL_VERIFIED]', { userId: user._id, email: user.email, timestamp: new Date() });
+    
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: { emailVerified: true }
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+};
+
+// List the current user's active sessions
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          deviceLabel: session.deviceLabel,
+          ip: session.ip,
+          userAgent: session.userAgent,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          current: session._id.toString() === req.sessionId
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to get sessions' });
+  }
+};
+
+// Sign out a single session
+const deleteSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const session = await Session.findOne({ _id: id, userId: req.user._id, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(session._id, 'user_revoked');
+
+    console.log('[SESSION_REVOKED]', { sessionId: id, userId: req.user._id, timestamp: new Date() });
+
+    res.json({ success: true, message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Delete session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+};
+
+// Sign out everywhere except the current session
+const deleteOtherSessions = async (req, res) => {
+  try {
+    const revokedCount = await revokeUserSessions(req.user._id, { exceptSessionId: req.sessionId });
+
+    console.log('[SESSIONS_REVOKED]', { userId: req.user._id, revokedCount, timestamp: new Date() });
+
+    res.json({
+      success: true,
+      message: 'Signed out of all other sessions',
+      data: { revokedCount }
+    });
+  } catch (error) {
+    console.error('Delete other sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
 };
 
 // Google Sign In with JWT credential
@@ -210,47 +581,64 @@ const googleSignIn = async (req, res) => {
       return res.status(400).json({ error: 'Google credential is required' });
     }
     
-    // Decode and validate Google credential
-    const googleData = decodeGoogleCredential(credential);
+    // Verify Google credential against Google's signing keys
+    const googleData = await verifyGoogleCredential(credential);
+    if (!googleData) {
+      return res.status(401).json({ error: 'Invalid Google credential' });
+    }
     
-    // Check if user already exists with this Google ID
-    let user = await User.findOne({ googleId: googleData.googleId });
+    // Check if user already exists with this Google identity
+    let user = await findUserByIdentity('google', googleData.googleId);
     
     if (user) {
       // Update user data if missing
       if (!user.avatarUrl && googleData.picture) {
         user.avatarUrl = googleData.picture;
       }
+      // Google has verified the address the account is registered with
+      if (user.email === googleData.email) {
+        user.emailVerified = true;
+      }
       await user.save();
     } else {
-      // Check if user exists with same email
-      user = await User.findOne({ email: googleData.email });
-      
-      if (user) {
-        // Link Google account to existing user
-        user.googleId = googleData.googleId;
-        user.provider = 'google';
-        if (!user.avatarUrl && googleData.picture) {
-          user.avatarUrl = googleData.picture;
-        }
-        await user.save();
-      } else {
-        // Create new user
-        const username = googleData.name.replace(/\s+/g, '').toLowerCase() + Math.floor(Math.random() * 1000);
-        user = new User({
-          email: googleData.email,
-          username: username,
-          googleId: googleData.googleId,
-          provider: 'google',
-          avatarUrl: googleData.picture || null
+      // Never link to an existing account just because the email matches;
+      // the owner has to sign in and link Google explicitly
+      const existingUser = await User.findOne({ email: googleData.email });
+      if (existingUser) {
+        return res.status(409).json({
+          error: 'An account with this email already exists. Sign in and link Google from your account settings'
         });
-        
-        await user.save();
       }
+      
+      // Create new user
+      const username = await generateAvailableUsername(googleData.name);
+      user = new User({
+        email: googleData.email,
+        username: username,
+        identities: [{
+          provider: 'google',
+          providerId: googleData.googleId,
+          email: googleData.email
+        }],
+        emailVerified: true,
+        avatarUrl: googleData.picture || null
+      });
+      
+      await user.save();
+    }
+    
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: signTwoFactorChallenge(user._id)
+        }
+      });
     }
     
     // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id);
+    const { accessToken, refreshToken } = await generateTokens(user._id, getClientInfo(req));
     
     console.log('[USER_GOOGLE_SIGNIN]', { userId: user._id, email: user.email, username: user.username, timestamp: new Date() });
     
@@ -261,13 +649,18 @@ const googleSignIn = async (req, res) => {
           id: user._id,
           email: user.email,
           username: user.username,
-          avatarUrl: user.avatarUrl
+          avatarUrl: user.avatarUrl,
+          emailVerified: user.emailVerified
         },
         accessToken,
         refreshToken
       }
     });
   } catch (error) {
+    if (isGoogleAuthUnavailable(error)) {
+      console.error('Google sign-in unavailable:', error.message);
+      return res.status(503).json({ error: 'Google sign-in is temporarily unavailable' });
+    }
     console.error('Google sign-in error:', error);
     res.status(500).json({ error: 'Google sign-in failed' });
   }
@@ -276,10 +669,26 @@ const googleSignIn = async (req, res) => {
 module.exports = {
   register,
   login,
+  verifyLoginTwoFactor,
   getMe,
   refresh,
   logout,
   googleSignIn,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  resendVerificationEmail,
+  verifyEmail,
   registerSchema,
-  loginSchema
+  loginSchema,
+  twoFactorLoginSchema,
+  refreshSchema,
+  googleSignInSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  changePasswordSchema,
+  verifyEmailSchema
 };
\ No newline at end of file
@@ -0,0 +1,281 @@
+const Joi = require('joi');
+const Playlist = require('../models/Playlist');
+const PlaylistCollaborator = require('../models/PlaylistCollaborator');
+const Notification = require('../models/Notification');
+const { createNotification } = require('./notificationController');
+const { getAccess, getPlaylistAccess } = require('../middleware/authorize');
+const { resolveUsername } = require('../services/usernames');
+
+// Validation schemas
+const inviteCollaboratorSchema = Joi.object({
+  username: Joi.string().required(),
+  role: Joi.string().valid('editor', 'viewer')
+});
+
+const updateCollaboratorSchema = Joi.object({
+  role: Joi.string().valid('editor', 'viewer').required()
+});
+
+const formatCollaborator = (collaborator) => ({
+  _id: collaborator._id,
+  user: collaborator.userId,
+  role: collaborator.role,
+  status: collaborator.status,
+  invitedBy: collaborator.invitedBy,
+  createdAt: collaborator.createdAt,
+  respondedAt: collaborator.respondedAt
+});
+
+// List a playlist's collaborators. Pending and declined invitations are only
+// shown to the owner.
+const getCollaborators = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const playlist = await Playlist.findById(id);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    if (playlist.isPublic === false && !await getPlaylistAccess(req.user, playlist, 'playlist:read')) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const query = { playlistId: id };
+    if (!getAccess(req.user, 'playlist:collaborators:manage', playlist.userId)) {
+      query.status = 'accepted';
+    }
+
+    const collaborators = await PlaylistCollaborator.find(query)
+      .populate('userId', 'username avatarUrl')
+      .populate('invitedBy', 'username')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        collaborators: collaborators
+          .filter(collaborator => collaborator.userId)
+          .map(formatCollaborator)
+      }
+    });
+  } catch (error) {
+    console.error('Get collaborators error:', error);
+    res.status(500).json({ error: 'Failed to get collaborators' });
+  }
+};
+
+// Invite a user to collaborate on a playlist
+const inviteCollaborator = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { username, role = 'editor' } = req.body;
+
+    const playlist = await Playlist.findById(id);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    if (!getAccess(req.user, 'playlist:collaborators:manage', playlist.userId)) {
+      return res.status(403).json({ error: 'Only the owner can invite collaborators' });
+    }
+
+    // Usernames match in any case, and names a user has since changed still find them
+    const resolved = await resolveUsername(username.trim(), '_id username');
+    if (!resolved) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const invitee = resolved.user;
+
+    if (invitee._id.toString() === playlist.userId.toString()) {
+      return res.status(400).json({ error: 'The owner cannot be invited' });
+    }
+
+    let collaborator = await PlaylistCollaborator.findOne({ playlistId: id, userId: invitee._id });
+    if (collaborator && collaborator.status !== 'declined') {
+      return res.status(409).json({
+        error: collaborator.status === 'accepted' ? 'User is already a collaborator' : 'User has already been invited'
+      });
+    }
+
+    // A declined invitation can be sent again
+    if (collaborator) {
+      collaborator.set({ role, status: 'pending', invitedBy: req.user._id, respondedAt: undefined });
+    } else {
+      collaborator = new PlaylistCollaborator({
+        playlistId: id,
+        userId: invitee._id,
+        invitedBy: req.user._id,
+        role
+      });
+    }
+    await collaborator.save();
+
+    // Replace any notification left over from an earlier invitation
+    await Notification.deleteOne({ userId: invitee._id, type: 'playlist_invite', playlistId: id });
+    await createNotification({
+      userId: invitee._id,
+      type: 'playlist_invite',
+      actorId: req.user._id,
+      playlistId: id
+    });
+
+    console.log('[COLLABORATOR_INVITED]', { playlistId: id, userId: invitee._id, role, timestamp: new Date() });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        collaborator: formatCollaborator(await collaborator.populate('userId', 'username avatarUrl'))
+      }
+    });
+  } catch (error) {
+    console.error('Invite collaborator error:', error);
+    res.status(500).json({ error: 'Failed to invite collaborator' });
+  }
+};
+
+// Change a collaborator's role
+const updateCollaborator = async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const { role } = req.body;
+
+    const playlist = await Playlist.findById(id);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    if (!getAccess(req.user, 'playlist:collaborators:manage', playlist.userId)) {
+      return res.status(403).json({ error: 'Only the owner can change collaborator roles' });
+    }
+
+    const collaborator = await PlaylistCollaborator.findOneAndUpdate(
+      { playlistId: id, userId },
+      { role },
+      { new: true, runValidators: true }
+    ).populate('userId', 'username avatarUrl');
+
+    if (!collaborator) {
+      return res.status(404).json({ error: 'Collaborator not found' });
+    }
+
+    res.json({
+      success: true,
+      data: { collaborator: formatCollaborator(collaborator) }
+    });
+  } catch (error) {
+    console.error('Update collaborator error:', error);
+    res.status(500).json({ error: 'Failed to update collaborator' });
+  }
+};
+
+// Remove a collaborator (owner), or leave a playlist (the collaborator themselves)
+const removeCollaborator = async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    const playlist = await Playlist.findById(id);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const isSelf = req.user._id.toString() === userId;
+    if (!isSelf && !getAccess(req.user, 'playlist:collaborators:manage', playlist.userId)) {
+      return res.status(403).json({ error: 'Only the owner can remove collaborators' });
+    }
+
+    const collaborator = await PlaylistCollaborator.findOneAndDelete({ playlistId: id, userId });
+    if (!collaborator) {
+      return res.status(404).json({ error: 'Collaborator not found' });
+    }
+
+    await Notification.deleteOne({ userId, type: 'playlist_invite', playlistId: id });
+
+    console.log('[COLLABORATOR_REMOVED]', { playlistId: id, userId, removedBy: req.user._id, timestamp: new Date() });
+
+    res.json({
+      success: true,
+      message: isSelf ? 'Left playlist successfully' : 'Collaborator removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove collaborator error:', error);
+    res.status(500).json({ error: 'Failed to remove collaborator' });
+  }
+};
+
+// Get the current user's pending invitations
+const getInvitations = async (req, res) => {
+  try {
+    const invitations = await PlaylistCollaborator.find({ userId: req.user._id, status: 'pending' })
+      .populate({
+        path: 'playlistId',
+        select: 'title coverGradient thumbnailUrl userId',
+        populate: { path: 'userId', select: 'username avatarUrl' }
+      })
+      .populate('invitedBy', 'username avatarUrl')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        invitations: invitations
+          .filter(invitation => invitation.playlistId)
+          .map(invitation => ({
+            _id: invitation._id,
+            playlist: invitation.playlistId,
+            role: invitation.role,
+            invitedBy: invitation.invitedBy,
+            createdAt: invitation.createdAt
+          }))
+      }
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ error: 'Failed to get invitations' });
+  }
+};
+
+// Accept or decline a pending invitation
+const respondToInvitation = (status) => async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const invitation = await PlaylistCollaborator.findOneAndUpdate(
+      { playlistId: id, userId: req.user._id, status: 'pending' },
+      { status, respondedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    await Notification.deleteOne({ userId: req.user._id, type: 'playlist_invite', playlistId: id });
+
+    console.log('[COLLABORATION_INVITE_RESPONDED]', { playlistId: id, userId: req.user._id, status, timestamp: new Date() });
+
+    res.json({
+      success: true,
+      message: status === 'accepted' ? 'Invitation accepted' : 'Invitation declined',
+      data: { role: invitation.role, status: invitation.status }
+    });
+  } catch (error) {
+    console.error('Respond to invitation error:', error);
+    res.status(500).json({ error: 'Failed to respond to invitation' });
+  }
+};
+
+const acceptInvitation = respondToInvitation('accepted');
+const declineInvitation = respondToInvitation('declined');
+
+module.exports = {
+  getCollaborators,
+  inviteCollaborator,
+  updateCollaborator,
+  removeCollaborator,
+  getInvitations,
+  acceptInvitation,
+  declineInvitation,
+  inviteCollaboratorSchema,
+  updateCollaboratorSchema
+};
@@ -4,12 +4,17 @@ const UserFollow = require('../models/UserFollow');
 const Song = require('../models/Song');
 const PlaylistLike = require('../models/PlaylistLike');
 const SavedPlaylist = require('../models/SavedPlaylist');
+const PUBLIC_PROFILE_FIELDS = require('../config/publicProfileFields');
+const { withSongsAndUser } = require('../services/playlistLookups');
+const { getPagination, getPageQuery, buildPage } = require('../utils/pagination');
 
 // Get suggested users to follow
 const getSuggestedUsers = async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
+    const pagination = getPagination(req.query, { sort: { followersCount: -1, createdAt: -1 } });
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
 
     // Get users that current user already follows
     const following = await UserFollow.find({ followerId: req.user._id });
@@ -17,28 +22,22 @@ const getSuggestedUsers = async (req, res) => {
     followingIds.push(req.user._id); // Exclude self
 
     // Get users not followed, sorted by follower count
-    const users = await User.find({
-      _id: { $nin: followingIds }
-    })
-    .select('-passwordHash')
+    const query = { _id: { $nin: followingIds } };
+    const { filter, sort, skip, limit } = getPageQuery(pagination, query);
+    const fetched = await User.find(filter)
+    .select(PUBLIC_PROFILE_FIELDS)
     .skip(skip)
-    .limit(parseInt(limit))
-    .sort({ followersCount: -1, createdAt: -1 });
+    .limit(limit)
+    .sort(sort);
 
-    const total = await User.countDocuments({
-      _id: { $nin: followingIds }
-    });
+    const total = await User.countDocuments(query);
+    const { items: users, pagination: pageInfo } = buildPage(fetched, pagination, { total });
 
     res.json({
       success: true,
       data: {
         users,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        pagination: pageInfo
       }
     });
   } catch (error) {
@@ -50,48 +49,25 @@ const getSuggestedUsers = async (req, res) => {
 // Get trending playlists
 const getTrendingPlaylists = async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
     const userId = req.user?._id;
 
+    const pagination = getPagination(req.query, { sort: { likesCount: -1, createdAt: -1 } });
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+    const pageQuery = getPageQuery(pagination, { isPublic: true });
+
     // Use aggregation for better performance
-    const playlists = await Playlist.aggregate([
-      { $match: { isPublic: true } },
-      { $sort: { likesCount: -1, createdAt: -1 } },
-      { $skip: skip },
-      { $limit: parseInt(limit) },
-      {
-        $lookup: {
-          from: 'songs',
-          localField: '_id',
-          foreignField: 'playlistId',
-          as: 'songsData'
-        }
-      },
-      {
-        $lookup: {
-          from: 'users',
-          localField: 'userId',
-          foreignField: '_id',
-          as: 'userData'
-        }
-      },
-      {
-        $addFields: {
-          songCount: { $size: '$songsData' },
-          user: { $arrayElemAt: ['$userData', 0] }
-        }
-      },
-      {
-        $project: {
-          songsData: 0,
-          userData: 0,
-          'user.passwordHash': 0
-        }
-      }
+    const fetched = await Playlist.aggregate([
+      { $match: pageQuery.filter },
+      { $sort: pageQuery.sort },
+      { $skip: pageQuery.skip },
+      { $limit: pageQuery.limit },
+      ...withSongsAndUser()
     ]);
 
     const total = await Playlist.countDocuments({ isPublic: true });
+    const { items: playlists, pagination: pageInfo } = buildPage(fetched, pagination, { total });
 
     // Batch check likes and saves
     let playlistsWithDetails = playlists;
@@ -128,12 +104,7 @@ const getTrendingPlaylists = async (req, res) => {
       success: true,
       data: {
         playlists: playlistsWithDetails,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        pagination: pageInfo
       }
     });
   } catch (error) {
@@ -146,22 +117,25 @@ const getTrendingPlaylists = async (req, res) => {
 const getPlaylistsByTag = async (req, res) => {
   try {
     const { tag } = req.params;
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
 
-    const playlists = await Playlist.find({
+    const pagination = getPagination(req.query, { sort: { likesCount: -1, createdAt: -1 } });
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const query = {
       isPublic: true,
       tags: { $in: [tag] }
-    })
+    };
+    const { filter, sort, skip, limit } = getPageQuery(pagination, query);
+    const fetched = await Playlist.find(filter)
     .populate('userId', 'username avatarUrl')
     .skip(skip)
-    .limit(parseInt(limit))
-    .sort({ likesCount: -1, createdAt: -1 });
+    .limit(limit)
+    .sort(sort);
 
-    const total = await Playlist.countDocuments({
-      isPublic: true,
-      tags: { $in: [tag] }
-    });
+    const total = await Playlist.countDocuments(query);
+    const { items: playlists, pagination: pageInfo } = buildPage(fetched, pagination, { total });
 
     // Add song count to each playlist
     const playlistsWithSongCount = await Promise.all(
@@ -180,12 +154,7 @@ const getPlaylistsByTag = async (req, res) => {
       data: {
         playlists: playlistsWithSongCount,
         tag,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        pagination: pageInfo
       }
     });
   } catch (error) {
@@ -5,57 +5,88 @@ const Song = require('../models/Song');
 const PlaylistLike = require('../models/PlaylistLike');
 const SavedPlaylist = require('../models/SavedPlaylist');
 const mongoose = require('mongoose');
+const { rankForYou } = require('../services/feedRanking');
+const { withSongsAndUser } = require('../services/playlistLookups');
+const { getPagination, getPageQuery, buildPage, paginateArray } = require('../utils/pagination');
 
-// Get feed (shows all public playlists like Instagram feed)
+// latest: every public playlist, newest first. following: only accounts the
+// viewer follows. for_you: ranked for the viewer, with the reasons for each item.
+const FEED_MODES = ['latest', 'following', 'for_you'];
+
+// Newest playlists matching the filter, one page at a time
+const getLatestPage = async (match, pagination) => {
+  const { filter, sort, skip, limit } = getPageQuery(pagination, match);
+  const [playlists, total] = await Promise.all([
+    Playlist.aggregate([
+      { $match: filter },
+      { $sort: sort },
+      { $skip: skip },
+      { $limit: limit },
+      ...withSongsAndUser()
+    ]),
+    Playlist.countDocuments(match)
+  ]);
+  return buildPage(playlists, pagination, { total });
+};
+
+// One page of the ranked feed, in ranking order with each item's explanation.
+// Scores drift between requests as playlists age, so a cursor marks a score
+// rather than a position and the next page carries on below it.
+const getForYouPage = async (userId, pagination) => {
+  const ranked = await rankForYou(userId);
+  const { items: pageItems, pagination: pageInfo } = paginateArray(
+    ranked.map(item => ({ _id: item.playlistId, score: item.ranking.score, ranking: item.ranking })),
+    pagination
+  );
+
+  const playlists = await Playlist.aggregate([
+    { $match: { _id: { $in: pageItems.map(item => item._id) } } },
+    ...withSongsAndUser()
+  ]);
+  const playlistsById = new Map(playlists.map(playlist => [playlist._id.toString(), playlist]));
+
+  return {
+    items: pageItems
+      .filter(item => playlistsById.has(item._id.toString()))
+      .map(item => ({ ...playlistsById.get(item._id.toString()), ranking: item.ranking })),
+    pagination: pageInfo
+  };
+};
+
+// Get feed (shows all public playlists like Instagram feed, or a personal
+// feed with ?mode=following / ?mode=for_you)
 const getFeed = async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
+    const { mode = 'latest' } = req.query;
     const userId = req.user?._id;
 
+    if (!FEED_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${FEED_MODES.join(', ')}` });
+    }
+    if (mode !== 'latest' && !userId) {
+      return res.status(401).json({ error: 'Sign in to see this feed' });
+    }
+
+    const pagination = getPagination(req.query, { sort: mode === 'for_you' ? { score: -1 } : { createdAt: -1 } });
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
     // Ensure database connection for serverless
     if (mongoose.connection.readyState !== 1) {
       await mongoose.connect(process.env.MONGODB_URI);
     }
 
-    // Use aggregation for better performance
-    const playlists = await Playlist.aggregate([
-      { $match: { isPublic: true } },
-      { $sort: { createdAt: -1 } },
-      { $skip: skip },
-      { $limit: parseInt(limit) },
-      {
-        $lookup: {
-          from: 'songs',
-          localField: '_id',
-          foreignField: 'playlistId',
-          as: 'songsData'
-        }
-      },
-      {
-        $lookup: {
-          from: 'users',
-          localField: 'userId',
-          foreignField: '_id',
-          as: 'userData'
-        }
-      },
-      {
-        $addFields: {
-          songCount: { $size: '$songsData' },
-          user: { $arrayElemAt: ['$userData', 0] }
-        }
-      },
-      {
-        $project: {
-          songsData: 0,
-          userData: 0,
-          'user.passwordHash': 0
-        }
-      }
-    ]);
-
-    const total = await Playlist.countDocuments({ isPublic: true });
+    let page;
+    if (mode === 'for_you') {
+      page = await getForYouPage(userId, pagination);
+    } else if (mode === 'following') {
+      const followingIds = await UserFollow.find({ followerId: userId }).distinct('followingId');
+      page = await getLatestPage({ isPublic: true, userId: { $in: followingIds } }, pagination);
+    } else {
+      page = await getLatestPage({ isPublic: true }, pagination);
+    }
+    const playlists = page.items;
 
     // Batch check likes and saves
     let playlistsWithDetails = playlists;
@@ -91,13 +122,9 @@ const getFeed = async (req, res) => {
     res.json({
       success: true,
       data: {
+        mode,
         playlists: playlistsWithDetails,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        pagination: page.pagination
       }
     });
   } catch (error) {
@@ -108,4 +135,4 @@ const getFeed = async (req, res) => {
 
 module.exports = {
   getFeed
-};
\ No newline at end of file
+};
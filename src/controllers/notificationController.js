@@ -1,5 +1,6 @@
 const Notification = require('../models/Notification');
 const mongoose = require('mongoose');
+const { getPagination, getPageQuery, buildPage } = require('../utils/pagination');
 
 // Helper function to cleanup old notifications (5 days)
 const cleanupOldNotifications = async () => {
@@ -22,8 +23,12 @@ const getNotifications = async (req, res) => {
     // Run cleanup in background (non-blocking)
     cleanupOldNotifications().catch(err => console.error('Background cleanup error:', err));
 
-    const { page = 1, limit = 20, unreadOnly = false } = req.query;
-    const skip = (page - 1) * limit;
+    const { unreadOnly = false } = req.query;
+
+    const pagination = getPagination(req.query, { sort: { createdAt: -1 } });
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
 
     const query = { userId: req.user._id };
     
@@ -31,15 +36,17 @@ const getNotifications = async (req, res) => {
       query.isRead = false;
     }
 
-    const notifications = await Notification.find(query)
-      .sort({ createdAt: -1 })
+    const { filter, sort, skip, limit } = getPageQuery(pagination, query);
+    const fetched = await Notification.find(filter)
+      .sort(sort)
       .skip(skip)
-      .limit(parseInt(limit))
+      .limit(limit)
       .populate('actorId', 'username avatarUrl')
       .populate('playlistId', 'title coverImage coverGradient')
       .lean();
 
     const total = await Notification.countDocuments(query);
+    const { items: notifications, pagination: pageInfo } = buildPage(fetched, pagination, { total });
     const unreadCount = await Notification.countDocuments({ 
       userId: req.user._id, 
       isRead: false 
@@ -47,12 +54,7 @@ const getNotifications = async (req, res) => {
 
     res.json({
       notifications,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      },
+      pagination: pageInfo,
       unreadCount
     });
   } catch (error) {
@@ -2,11 +2,30 @@ const Playlist = require('../models/Playlist');
 const Song = require('../models/Song');
 const PlaylistLike = require('../models/PlaylistLike');
 const SavedPlaylist = require('../models/SavedPlaylist');
+const PlaylistCollaborator = require('../models/PlaylistCollaborator');
 const User = require('../models/User');
 const cloudinary = require('../config/cloudinary');
 const Joi = require('joi');
 const mongoose = require('mongoose');
 const { createNotification } = require('./notificationController');
+const { getAccess, getPlaylistAccess } = require('../middleware/authorize');
+const { logModerationAction } = require('../services/moderationLog');
+const { recordRevision, ensureBaselineRevision } = require('../services/playlistRevisions');
+const { purgePlaylist, getTrashPurgeDate, PLAYLIST_TRASH_DAYS } = require('../services/playlistDeletion');
+const { withTransaction } = require('../utils/transaction');
+const { getPagination, getPageQuery, buildPage } = require('../utils/pagination');
+const { saveWithSlug, getRenameSlugChanges, isSlugConflict } = require('../services/playlistSlugs');
+const { resolveUsername } = require('../services/usernames');
+const { withSongsAndUser } = require('../services/playlistLookups');
+const {
+  VISIBILITIES,
+  getVisibility,
+  getRequestedVisibility,
+  getVisibilityFields,
+  generateShareToken,
+  getShareTokenChanges,
+  canViewPlaylist
+} = require('../services/playlistVisibility');
 
 // Validation schemas
 const createPlaylistSchema = Joi.object({
@@ -14,7 +33,8 @@ const createPlaylistSchema = Joi.object({
   description: Joi.string().allow(''),
   tags: Joi.array().items(Joi.string()).max(5),
   coverGradient: Joi.string().max(100),
-  isPublic: Joi.boolean().default(true)
+  isPublic: Joi.boolean().default(true),
+  visibility: Joi.string().valid(...VISIBILITIES)
 });
 
 const updatePlaylistSchema = Joi.object({
@@ -22,7 +42,14 @@ const updatePlaylistSchema = Joi.object({
   description: Joi.string().allow(''),
   tags: Joi.array().items(Joi.string()).max(5),
   coverGradient: Joi.string().max(100),
-  isPublic: Joi.boolean()
+  isPublic: Joi.boolean(),
+  visibility: Joi.string().valid(...VISIBILITIES)
+});
+
+const forkPlaylistSchema = Joi.object({
+  title: Joi.string().min(1).max(255),
+  isPublic: Joi.boolean(),
+  visibility: Joi.string().valid(...VISIBILITIES)
 });
 
 const addSongSchema = Joi.object({
@@ -35,8 +62,7 @@ const addSongSchema = Joi.object({
 // Get playlists with filters
 const getPlaylists = async (req, res) => {
   try {
-    const { page = 1, limit = 20, user, tag, sort = 'recent' } = req.query;
-    const skip = (page - 1) * limit;
+    const { user, tag, sort = 'recent' } = req.query;
 
     let query = {};
 
@@ -66,43 +92,23 @@ const getPlaylists = async (req, res) => {
       sortOption = { likesCount: -1, createdAt: -1 };
     }
 
+    const pagination = getPagination(req.query, { sort: sortOption });
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+    const pageQuery = getPageQuery(pagination, query);
+
     // Use aggregation to get playlists with song count in one query
-    const playlists = await Playlist.aggregate([
-      { $match: query },
-      { $sort: sortOption },
-      { $skip: skip },
-      { $limit: parseInt(limit) },
-      {
-        $lookup: {
-          from: 'songs',
-          localField: '_id',
-          foreignField: 'playlistId',
-          as: 'songs'
-        }
-      },
-      {
-        $lookup: {
-          from: 'users',
-          localField: 'userId',
-          foreignField: '_id',
-          as: 'userData'
-        }
-      },
-      {
-        $addFields: {
-          songCount: { $size: '$songs' },
-          user: { $arrayElemAt: ['$userData', 0] }
-        }
-      },
-      {
-        $project: {
-          userData: 0,
-          'user.passwordHash': 0
-        }
-      }
+    const fetched = await Playlist.aggregate([
+      { $match: pageQuery.filter },
+      { $sort: pageQuery.sort },
+      { $skip: pageQuery.skip },
+      { $limit: pageQuery.limit },
+      ...withSongsAndUser({ includeSongs: true })
     ]);
 
     const total = await Playlist.countDocuments(query);
+    const { items: playlists, pagination: pageInfo } = buildPage(fetched, pagination, { total });
 
     // Batch check likes and saves if user is logged in
     let playlistsWithDetails = playlists;
@@ -138,6 +144,8 @@ const getPlaylists = async (req, res) => {
         createdAt: playlist.createdAt,
         updatedAt: playlist.updatedAt,
         isPublic: playlist.isPublic,
+        visibility: getVisibility(playlist),
+        slug: playlist.slug,
         username: playlist.user?.username,
         userAvatar: playlist.user?.avatarUrl,
         userId: playlist.userId,
@@ -158,6 +166,8 @@ const getPlaylists = async (req, res) => {
         createdAt: playlist.createdAt,
         updatedAt: playlist.updatedAt,
         isPublic: playlist.isPublic,
+        visibility: getVisibility(playlist),
+        slug: playlist.slug,
         username: playlist.user?.username,
         userAvatar: playlist.user?.avatarUrl,
         userId: playlist.userId,
@@ -170,12 +180,7 @@ const getPlaylists = async (req, res) => {
       success: true,
       data: {
         playlists: playlistsWithDetails,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        pagination: pageInfo
       }
     });
   } catch (error) {
@@ -187,8 +192,9 @@ const getPlaylists = async (req, res) => {
 // Create playlist
 const createPlaylist = async (req, res) => {
   try {
-    const { title, description, tags, coverGradient, isPublic } = req.body;
+    const { title, description, tags, coverGradient } = req.body;
     const userId = req.user._id;
+    const visibility = getRequestedVisibility(req.body) || 'public';
 
     const playlist = new Playlist({
       userId,
@@ -196,14 +202,17 @@ const createPlaylist = async (req, res) => {
       description,
       tags: tags || [],
       coverGradient,
-      isPublic: isPublic !== undefined ? isPublic : true
+      ...getVisibilityFields(visibility),
+      shareToken: visibility === 'unlisted' ? generateShareToken() : undefined
     });
 
-    await playlist.save();
+    await saveWithSlug(playlist);
 
     // Update user's playlist count
     await User.findByIdAndUpdate(userId, { $inc: { playlistCount: 1 } });
 
+    await recordRevision(playlist._id, { author: req.user, action: 'playlist:create' });
+
     // Populate user info
     await playlist.populate('userId', 'username avatarUrl');
 
@@ -223,19 +232,29 @@ const createPlaylist = async (req, res) => {
 const getPlaylist = async (req, res) => {
   try {
     const { id } = req.params;
-    const playlist = await Playlist.findById(id).populate('userId', 'username avatarUrl');
+    const playlist = await Playlist.findById(id)
+      .select('+shareToken')
+      .populate('userId', 'username avatarUrl')
+      .populate('forkedFrom', 'title isPublic')
+      .populate('forkedFromUserId', 'username avatarUrl');
 
     if (!playlist) {
       return res.status(404).json({ error: 'Playlist not found' });
     }
 
-    // Check if private and not owner
-    // Note: isPublic defaults to true, so only block if explicitly set to false
-    if (playlist.isPublic === false && (!req.user || req.user._id.toString() !== playlist.userId._id.toString())) {
+    // Private and unlisted playlists need access (owner, collaborators, moderators);
+    // unlisted ones also open with their share token (?share=)
+    if (!await canViewPlaylist(req.user, playlist, req.query.share)) {
       return res.status(404).json({ error: 'Playlist not found' });
     }
 
-    const songs = await Song.find({ playlistId: id }).sort({ position: 1 });
+    const [songs, collaborators] = await Promise.all([
+      Song.find({ playlistId: id })
+        .populate('addedBy', 'username avatarUrl')
+        .sort({ position: 1 }),
+      PlaylistCollaborator.find({ playlistId: id, status: 'accepted' })
+        .populate('userId', 'username avatarUrl')
+    ]);
 
     // Check if user liked/saved this playlist
     let isLiked = false;
@@ -255,12 +274,15 @@ const getPlaylist = async (req, res) => {
         playlist: {
           _id: playlist._id,
           title: playlist.title,
+          slug: playlist.slug,
           description: playlist.description,
           coverGradient: playlist.coverGradient,
           thumbnailUrl: playlist.thumbnailUrl,
           tags: playlist.tags,
           likesCount: playlist.likesCount,
+          forksCount: playlist.forksCount,
           isPublic: playlist.isPublic,
+          visibility: getVisibility(playlist),
           createdAt: playlist.createdAt,
           updatedAt: playlist.updatedAt,
           user: {
@@ -268,6 +290,26 @@ const getPlaylist = async (req, res) => {
             username: playlist.userId.username,
             avatarUrl: playlist.userId.avatarUrl
           },
+          // "Forked from @user" credit; the original is only linked while it's public
+          forkedFrom: playlist.forkedFromUserId ? {
+            user: {
+              _id: playlist.forkedFromUserId._id,
+              username: playlist.forkedFromUserId.username,
+              avatarUrl: playlist.forkedFromUserId.avatarUrl
+            },
+            playlist: playlist.forkedFrom && playlist.forkedFrom.isPublic !== false ? {
+              _id: playlist.forkedFrom._id,
+              title: playlist.forkedFrom.title
+            } : null
+          } : null,
+          collaborators: collaborators
+            .filter(collaborator => collaborator.userId)
+            .map(collaborator => ({
+              _id: collaborator.userId._id,
+              username: collaborator.userId.username,
+              avatarUrl: collaborator.userId.avatarUrl,
+              role: collaborator.role
+            })),
           songs,
           isLiked,
           isSaved
@@ -280,38 +322,243 @@ const getPlaylist = async (req, res) => {
   }
 };
 
+// Get a playlist by its owner's username and slug. Slugs from before a
+// rename, and usernames the owner has since changed, answer with a 301 to the
+// current URL.
+const getPlaylistBySlug = async (req, res) => {
+  try {
+    const { username, slug } = req.params;
+
+    const resolved = await resolveUsername(username, '_id username');
+    if (!resolved) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    const owner = resolved.user;
+
+    const current = await Playlist.findOne({ userId: owner._id, slug }).select('_id');
+    if (current && !resolved.previousUsername) {
+      req.params.id = current._id.toString();
+      return getPlaylist(req, res);
+    }
+
+    // Redirect to the current slug and/or the owner's current username
+    const target = current
+      ? await Playlist.findById(current._id).select('+shareToken')
+      : await Playlist.findOne({ userId: owner._id, previousSlugs: slug }).select('+shareToken');
+    if (!target || !await canViewPlaylist(req.user, target, req.query.share)) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const query = req.query.share ? `?share=${encodeURIComponent(req.query.share)}` : '';
+    const location = `${req.baseUrl}/${encodeURIComponent(owner.username)}/playlists/${target.slug}${query}`;
+
+    res.status(301).location(location).json({
+      success: true,
+      data: {
+        redirect: {
+          playlistId: target._id,
+          slug: target.slug,
+          url: location
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get playlist by slug error:', error);
+    res.status(500).json({ error: 'Failed to get playlist' });
+  }
+};
+
 // Update playlist
 const updatePlaylist = async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
 
-    const playlist = await Playlist.findById(id);
+    const playlist = await Playlist.findById(id).select('+shareToken');
     if (!playlist) {
       return res.status(404).json({ error: 'Playlist not found' });
     }
 
-    // Check ownership
-    if (playlist.userId.toString() !== req.user._id.toString()) {
+    // Check ownership (moderators can update any playlist)
+    const access = getAccess(req.user, 'playlist:update', playlist.userId);
+    if (!access) {
       return res.status(403).json({ error: 'Can only update your own playlists' });
     }
 
+    const changes = { ...updates };
+
+    // A new title means a new slug; the old one keeps redirecting
+    if (updates.title !== undefined && updates.title !== playlist.title) {
+      Object.assign(changes, await getRenameSlugChanges(playlist, updates.title));
+    }
+
+    const visibility = getRequestedVisibility(updates);
+    if (visibility) {
+      Object.assign(changes, getVisibilityFields(visibility), getShareTokenChanges(playlist, visibility));
+    }
+
+    await ensureBaselineRevision(id);
+
     const updatedPlaylist = await Playlist.findByIdAndUpdate(
       id,
-      updates,
+      changes,
       { new: true, runValidators: true }
     ).populate('userId', 'username avatarUrl');
 
+    await recordRevision(id, { author: req.user, action: 'playlist:update' });
+
+    if (access === 'any') {
+      await logModerationAction({
+        actor: req.user,
+        action: 'playlist:update',
+        targetType: 'playlist',
+        targetId: playlist._id,
+        targetOwnerId: playlist.userId,
+        details: { updates }
+      });
+    }
+
     res.json({
       success: true,
       data: { playlist: updatedPlaylist }
     });
   } catch (error) {
+    // Another playlist of the same owner claimed the new slug in the meantime
+    if (isSlugConflict(error)) {
+      return res.status(409).json({ error: 'Playlist was renamed at the same time, please try again' });
+    }
     console.error('Update playlist error:', error);
     res.status(500).json({ error: 'Failed to update playlist' });
   }
 };
 
+const formatShareLink = (playlist) => {
+  const visibility = getVisibility(playlist);
+  return {
+    visibility,
+    shareToken: visibility === 'unlisted' ? playlist.shareToken || null : null
+  };
+};
+
+// Get a playlist's visibility and, while it is unlisted, its share token
+const getShareLink = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const playlist = await Playlist.findById(id).select('+shareToken');
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    if (!getAccess(req.user, 'playlist:update', playlist.userId)) {
+      return res.status(403).json({ error: 'Can only manage sharing of your own playlists' });
+    }
+
+    res.json({
+      success: true,
+      data: formatShareLink(playlist)
+    });
+  } catch (error) {
+    console.error('Get share link error:', error);
+    res.status(500).json({ error: 'Failed to get share link' });
+  }
+};
+
+// Replace an unlisted playlist's share token, breaking links made with the old one
+const rotateShareLink = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const playlist = await Playlist.findById(id).select('+shareToken');
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const access = getAccess(req.user, 'playlist:update', playlist.userId);
+    if (!access) {
+      return res.status(403).json({ error: 'Can only manage sharing of your own playlists' });
+    }
+
+    if (getVisibility(playlist) !== 'unlisted') {
+      return res.status(400).json({ error: 'Only unlisted playlists have a share link' });
+    }
+
+    playlist.shareToken = generateShareToken();
+    await playlist.save();
+
+    if (access === 'any') {
+      await logModerationAction({
+        actor: req.user,
+        action: 'playlist:share:rotate',
+        targetType: 'playlist',
+        targetId: playlist._id,
+        targetOwnerId: playlist.userId
+      });
+    }
+
+    console.log('[PLAYLIST_SHARE_LINK_ROTATED]', { playlistId: playlist._id, userId: req.user._id, timestamp: new Date() });
+
+    res.json({
+      success: true,
+      data: formatShareLink(playlist)
+    });
+  } catch (error) {
+    console.error('Rotate share link error:', error);
+    res.status(500).json({ error: 'Failed to rotate share link' });
+  }
+};
+
+// Revoke the share token. An unlisted playlist becomes private; going
+// unlisted again creates a new link.
+const revokeShareLink = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const playlist = await Playlist.findById(id).select('+shareToken');
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const access = getAccess(req.user, 'playlist:update', playlist.userId);
+    if (!access) {
+      return res.status(403).json({ error: 'Can only manage sharing of your own playlists' });
+    }
+
+    const wasUnlisted = getVisibility(playlist) === 'unlisted';
+    if (wasUnlisted) {
+      await ensureBaselineRevision(id);
+      playlist.set(getVisibilityFields('private'));
+    }
+    playlist.shareToken = undefined;
+    await playlist.save();
+
+    if (wasUnlisted) {
+      await recordRevision(id, { author: req.user, action: 'playlist:share:revoke' });
+    }
+
+    if (access === 'any') {
+      await logModerationAction({
+        actor: req.user,
+        action: 'playlist:share:revoke',
+        targetType: 'playlist',
+        targetId: playlist._id,
+        targetOwnerId: playlist.userId
+      });
+    }
+
+    console.log('[PLAYLIST_SHARE_LINK_REVOKED]', { playlistId: playlist._id, userId: req.user._id, timestamp: new Date() });
+
+    res.json({
+      success: true,
+      message: 'Share link revoked',
+      data: formatShareLink(playlist)
+    });
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    res.status(500).json({ error: 'Failed to revoke share link' });
+  }
+};
+
 // Remove playlist thumbnail
 const removePlaylistThumbnail = async (req, res) => {
   try {
@@ -323,7 +570,8 @@ const removePlaylistThumbnail = async (req, res) => {
       return res.status(404).json({ error: 'Playlist not found' });
     }
 
-    if (playlist.userId.toString() !== req.user._id.toString()) {
+    const access = getAccess(req.user, 'playlist:update', playlist.userId);
+    if (!access) {
       return res.status(403).json({ error: 'Can only remove thumbnail from your own playlist' });
     }
 
@@ -353,6 +601,17 @@ const removePlaylistThumbnail = async (req, res) => {
       return res.status(404).json({ error: 'Playlist not found' });
     }
 
+    if (access === 'any') {
+      await logModerationAction({
+        actor: req.user,
+        action: 'playlist:thumbnail:remove',
+        targetType: 'playlist',
+        targetId: playlist._id,
+        targetOwnerId: playlist.userId,
+        details: { thumbnailUrl: playlist.thumbnailUrl }
+      });
+    }
+
     res.json({
       success: true,
       data: {
@@ -375,44 +634,284 @@ const deletePlaylist = async (req, res) => {
       return res.status(404).json({ error: 'Playlist not found' });
     }
 
-    // Check ownership
-    if (playlist.userId.toString() !== req.user._id.toString()) {
+    // Check ownership (moderators can delete any playlist)
+    const access = getAccess(req.user, 'playlist:delete', playlist.userId);
+    if (!access) {
       return res.status(403).json({ error: 'Can only delete your own playlists' });
     }
 
-    // Delete thumbnail from Cloudinary if it exists
-    if (playlist.thumbnailUrl && playlist.thumbnailUrl.includes('cloudinary.com')) {
-      try {
-        // Extract public_id from Cloudinary URL
-        const urlParts = playlist.thumbnailUrl.split('/');
-        const publicIdWithExtension = urlParts[urlParts.length - 1];
-        const publicId = `playlist-thumbnails/${publicIdWithExtension.split('.')[0]}`;
-        
-        await cloudinary.uploader.destroy(publicId);
-      } catch (cloudinaryError) {
-        console.error('Error deleting thumbnail from Cloudinary:', cloudinaryError);
-        // Don't fail the entire operation if Cloudinary deletion fails
+    // Moderator removals are final; owners get a grace period in the trash
+    if (access === 'any') {
+      await purgePlaylist(playlist);
+      await User.findByIdAndUpdate(playlist.userId, { $inc: { playlistCount: -1 } });
+
+      await logModerationAction({
+        actor: req.user,
+        action: 'playlist:delete',
+        targetType: 'playlist',
+        targetId: playlist._id,
+        targetOwnerId: playlist.userId,
+        details: { title: playlist.title }
+      });
+
+      return res.json({
+        success: true,
+        message: 'Playlist deleted successfully'
+      });
+    }
+
+    const deletedAt = new Date();
+    await withTransaction(async (session) => {
+      await Playlist.updateOne({ _id: playlist._id }, { deletedAt }, { session });
+      await User.updateOne({ _id: playlist.userId }, { $inc: { playlistCount: -1 } }, { session });
+      if (playlist.forkedFrom) {
+        await Playlist.updateOne({ _id: playlist.forkedFrom }, { $inc: { forksCount: -1 } }, { session });
+      }
+    });
+
+    console.log('[PLAYLIST_TRASHED]', { playlistId: playlist._id, userId: req.user._id, timestamp: deletedAt });
+
+    res.json({
+      success: true,
+      message: `Playlist moved to trash. You can restore it within ${PLAYLIST_TRASH_DAYS} days.`,
+      data: {
+        deletedAt,
+        purgeAt: getTrashPurgeDate(deletedAt)
+      }
+    });
+  } catch (error) {
+    console.error('Delete playlist error:', error);
+    res.status(500).json({ error: 'Failed to delete playlist' });
+  }
+};
+
+// Get the current user's trashed playlists
+const getTrashedPlaylists = async (req, res) => {
+  try {
+    const pagination = getPagination(req.query, { sort: { deletedAt: -1 } });
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const query = { userId: req.user._id, deletedAt: { $ne: null } };
+
+    // A cursor moves deletedAt out of the top level of the filter, so the
+    // trash hook has to be told explicitly not to hide these
+    const { filter, sort, skip, limit } = getPageQuery(pagination, query);
+    const fetched = await Playlist.find(filter)
+      .setOptions({ includeDeleted: true })
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await Playlist.countDocuments(query);
+    const { items: playlists, pagination: pageInfo } = buildPage(fetched, pagination, { total });
+
+    const playlistsWithDetails = await Promise.all(
+      playlists.map(async (playlist) => ({
+        ...playlist,
+        songCount: await Song.countDocuments({ playlistId: playlist._id }),
+        purgeAt: getTrashPurgeDate(playlist.deletedAt)
+      }))
+    );
+
+    res.json({
+      success: true,
+      data: {
+        playlists: playlistsWithDetails,
+        pagination: pageInfo
       }
+    });
+  } catch (error) {
+    console.error('Get trashed playlists error:', error);
+    res.status(500).json({ error: 'Failed to get trashed playlists' });
+  }
+};
+
+// Take a playlist back out of the trash
+const restorePlaylist = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const playlist = await Playlist.findOne({ _id: id, userId: req.user._id, deletedAt: { $ne: null } });
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found in trash' });
     }
 
-    // Delete playlist and related data
+    const restored = await withTransaction(async (session) => {
+      // Conditional so two concurrent restores can't both bump the counters
+      const result = await Playlist.updateOne(
+        { _id: playlist._id, deletedAt: { $ne: null } },
+        { deletedAt: null },
+        { session }
+      );
+      if (result.modifiedCount === 0) {
+        return false;
+      }
+
+      await User.updateOne({ _id: playlist.userId }, { $inc: { playlistCount: 1 } }, { session });
+      if (playlist.forkedFrom) {
+        await Playlist.updateOne({ _id: playlist.forkedFrom }, { $inc: { forksCount: 1 } }, { session });
+      }
+      return true;
+    });
+
+    if (!restored) {
+      return res.status(404).json({ error: 'Playlist not found in trash' });
+    }
+
+    console.log('[PLAYLIST_RESTORED]', { playlistId: playlist._id, userId: req.user._id, timestamp: new Date() });
+
+    const restoredPlaylist = await Playlist.findById(playlist._id).populate('userId', 'username avatarUrl');
+
+    res.json({
+      success: true,
+      data: {
+        playlist: restoredPlaylist
+      }
+    });
+  } catch (error) {
+    console.error('Restore playlist error:', error);
+    res.status(500).json({ error: 'Failed to restore playlist' });
+  }
+};
+
+// Permanently delete a trashed playlist without waiting for the purge
+const purgeTrashedPlaylist = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const playlist = await Playlist.findOne({ _id: id, userId: req.user._id, deletedAt: { $ne: null } });
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found in trash' });
+    }
+
+    await purgePlaylist(playlist);
+
+    console.log('[PLAYLIST_PURGED]', { playlistId: playlist._id, userId: req.user._id, timestamp: new Date() });
+
+    res.json({
+      success: true,
+      message: 'Playlist permanently deleted'
+    });
+  } catch (error) {
+    console.error('Purge playlist error:', error);
+    res.status(500).json({ error: 'Failed to permanently delete playlist' });
+  }
+};
+
+// Fork a playlist: copy its details and songs into a new playlist owned by the caller
+const forkPlaylist = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    // Only public playlists can be forked: a fork copies the songs out from
+    // behind the original's visibility, and shows up in its public fork list
+    const original = await Playlist.findById(id);
+    if (!original || getVisibility(original) !== 'public') {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const songs = await Song.find({ playlistId: id }).sort({ position: 1 });
+
+    const visibility = getRequestedVisibility(req.body) || 'public';
+
+    const fork = new Playlist({
+      userId,
+      title: req.body.title || original.title,
+      description: original.description,
+      tags: original.tags,
+      coverGradient: original.coverGradient,
+      ...getVisibilityFields(visibility),
+      shareToken: visibility === 'unlisted' ? generateShareToken() : undefined,
+      forkedFrom: original._id,
+      forkedFromUserId: original.userId
+    });
+    await saveWithSlug(fork);
+
+    await Song.insertMany(songs.map((song, index) => ({
+      playlistId: fork._id,
+      title: song.title,
+      artist: song.artist,
+      url: song.url,
+      platform: song.platform,
+      thumbnail: song.thumbnail,
+      position: index + 1,
+      addedBy: userId
+    })));
+
     await Promise.all([
-      Playlist.findByIdAndDelete(id),
-      Song.deleteMany({ playlistId: id }),
-      PlaylistLike.deleteMany({ playlistId: id }),
-      SavedPlaylist.deleteMany({ playlistId: id })
+      User.findByIdAndUpdate(userId, { $inc: { playlistCount: 1 } }),
+      Playlist.findByIdAndUpdate(id, { $inc: { forksCount: 1 } })
     ]);
 
-    // Update user's playlist count
-    await User.findByIdAndUpdate(playlist.userId, { $inc: { playlistCount: -1 } });
+    await recordRevision(fork._id, { author: req.user, action: 'playlist:fork', details: { forkedFrom: original._id } });
+
+    // Notify the original owner
+    await createNotification({
+      userId: original.userId,
+      type: 'playlist_fork',
+      actorId: userId,
+      playlistId: id
+    });
+
+    await fork.populate('userId', 'username avatarUrl');
+
+    console.log('[PLAYLIST_FORKED]', { playlistId: fork._id, forkedFrom: id, userId, timestamp: new Date() });
+
+    res.status(201).json({
+      success: true,
+      data: { playlist: fork }
+    });
+  } catch (error) {
+    console.error('Fork playlist error:', error);
+    res.status(500).json({ error: 'Failed to fork playlist' });
+  }
+};
+
+// Get public forks of a playlist
+const getPlaylistForks = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const pagination = getPagination(req.query, { sort: { createdAt: -1 } });
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const playlist = await Playlist.findById(id);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    if (playlist.isPublic === false && !await getPlaylistAccess(req.user, playlist, 'playlist:read')) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const query = { forkedFrom: id, isPublic: true };
+
+    const { filter, sort, skip, limit } = getPageQuery(pagination, query);
+    const fetched = await Playlist.find(filter)
+      .populate('userId', 'username avatarUrl')
+      .sort(sort)
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Playlist.countDocuments(query);
+    const { items: forks, pagination: pageInfo } = buildPage(fetched, pagination, { total });
 
     res.json({
       success: true,
-      message: 'Playlist deleted successfully'
+      data: {
+        forks,
+        pagination: pageInfo
+      }
     });
   } catch (error) {
-    console.error('Delete playlist error:', error);
-    res.status(500).json({ error: 'Failed to delete playlist' });
+    console.error('Get playlist forks error:', error);
+    res.status(500).json({ error: 'Failed to get playlist forks' });
   }
 };
 
@@ -434,16 +933,24 @@ const likePlaylist = async (req, res) => {
       return res.status(409).json({ error: 'Already liked this playlist' });
     }
 
-    // Create like
-    const like = new PlaylistLike({ userId, playlistId: id });
-    await like.save();
-
-    // Update playlist likes count
-    const updatedPlaylist = await Playlist.findByIdAndUpdate(
-      id,
-      { $inc: { likesCount: 1 } },
-      { new: true }
-    );
+    // Create like and update playlist likes count together
+    let updatedPlaylist;
+    try {
+      updatedPlaylist = await withTransaction(async (session) => {
+        await PlaylistLike.create([{ userId, playlistId: id }], { session });
+        return Playlist.findByIdAndUpdate(
+          id,
+          { $inc: { likesCount: 1 } },
+          { new: true, session }
+        );
+      });
+    } catch (error) {
+      // Lost a race with a concurrent like from the same user
+      if (error.code === 11000) {
+        return res.status(409).json({ error: 'Already liked this playlist' });
+      }
+      throw error;
+    }
 
     // Create notification for playlist owner
     await createNotification({
@@ -474,8 +981,20 @@ const unlikePlaylist = async (req, res) => {
     const { id } = req.params;
     const userId = req.user._id;
 
-    const like = await PlaylistLike.findOneAndDelete({ userId, playlistId: id });
-    if (!like) {
+    // Remove the like and update playlist likes count together
+    const updatedPlaylist = await withTransaction(async (session) => {
+      const like = await PlaylistLike.findOneAndDelete({ userId, playlistId: id }, { session });
+      if (!like) {
+        return null;
+      }
+
+      return Playlist.findByIdAndUpdate(
+        id,
+        { $inc: { likesCount: -1 } },
+        { new: true, session }
+      );
+    });
+    if (updatedPlaylist === null) {
       return res.status(404).json({ error: 'Like not found' });
     }
 
@@ -487,13 +1006,6 @@ const unlikePlaylist = async (req, res) => {
       playlistId: id
     }).catch(err => console.error('Delete notification error:', err));
 
-    // Update playlist likes count
-    const updatedPlaylist = await Playlist.findByIdAndUpdate(
-      id,
-      { $inc: { likesCount: -1 } },
-      { new: true }
-    );
-
     res.json({
       success: true,
       message: 'Playlist unliked successfully',
@@ -571,19 +1083,24 @@ const unsavePlaylist = async (req, res) => {
 // Get user's saved playlists
 const getSavedPlaylists = async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
+    const pagination = getPagination(req.query, { sort: { createdAt: -1 } });
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
 
-    const savedPlaylists = await SavedPlaylist.find({ userId: req.user._id })
+    const query = { userId: req.user._id };
+    const { filter, sort, skip, limit } = getPageQuery(pagination, query);
+    const fetched = await SavedPlaylist.find(filter)
       .populate({
         path: 'playlistId',
         populate: { path: 'userId', select: 'username avatarUrl' }
       })
       .skip(skip)
-      .limit(parseInt(limit))
-      .sort({ createdAt: -1 });
+      .limit(limit)
+      .sort(sort);
 
-    const total = await SavedPlaylist.countDocuments({ userId: req.user._id });
+    const total = await SavedPlaylist.countDocuments(query);
+    const { items: savedPlaylists, pagination: pageInfo } = buildPage(fetched, pagination, { total });
 
     // Filter out null playlists (in case some were deleted) and add song count
     const validPlaylists = await Promise.all(
@@ -612,12 +1129,7 @@ const getSavedPlaylists = async (req, res) => {
       success: true,
       data: {
         playlists: validPlaylists,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        pagination: pageInfo
       }
     });
   } catch (error) {
@@ -641,7 +1153,8 @@ const uploadPlaylistThumbnail = async (req, res) => {
       return res.status(404).json({ error: 'Playlist not found' });
     }
 
-    if (playlist.userId.toString() !== req.user._id.toString()) {
+    const access = getAccess(req.user, 'playlist:update', playlist.userId);
+    if (!access) {
       return res.status(403).json({ error: 'Can only upload thumbnail to your own playlist' });
     }
 
@@ -669,6 +1182,17 @@ const uploadPlaylistThumbnail = async (req, res) => {
           return res.status(404).json({ error: 'Playlist not found' });
         }
 
+        if (access === 'any') {
+          await logModerationAction({
+            actor: req.user,
+            action: 'playlist:thumbnail:upload',
+            targetType: 'playlist',
+            targetId: playlist._id,
+            targetOwnerId: playlist.userId,
+            details: { thumbnailUrl: result.secure_url }
+          });
+        }
+
         res.json({
           success: true,
           data: {
@@ -695,8 +1219,17 @@ module.exports = {
   getPlaylists,
   createPlaylist,
   getPlaylist,
+  getPlaylistBySlug,
   updatePlaylist,
+  getShareLink,
+  rotateShareLink,
+  revokeShareLink,
   deletePlaylist,
+  getTrashedPlaylists,
+  restorePlaylist,
+  purgeTrashedPlaylist,
+  forkPlaylist,
+  getPlaylistForks,
   likePlaylist,
   unlikePlaylist,
   savePlaylist,
@@ -706,5 +1239,6 @@ module.exports = {
   removePlaylistThumbnail,
   createPlaylistSchema,
   updatePlaylistSchema,
+  forkPlaylistSchema,
   addSongSchema
 };
\ No newline at end of file
@@ -0,0 +1,242 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const Playlist = require('../models/Playlist');
+const Song = require('../models/Song');
+const User = require('../models/User');
+const { detectPlatform } = require('../services/platformDetector');
+const { fetchThumbnail } = require('../services/thumbnailFetcher');
+const {
+  IMPORT_FORMATS,
+  EXPORT_FORMATS,
+  parsePlaylist,
+  getPlaylistWriter
+} = require('../services/playlistFormats');
+const { getPlaylistAccess } = require('../middleware/authorize');
+const {
+  VISIBILITIES,
+  getRequestedVisibility,
+  getVisibilityFields,
+  generateShareToken,
+  canViewPlaylist
+} = require('../services/playlistVisibility');
+const { recordRevision, ensureBaselineRevision } = require('../services/playlistRevisions');
+const { saveWithSlug } = require('../services/playlistSlugs');
+const { generateSlug } = require('../utils/helpers');
+
+const MAX_IMPORT_ENTRIES = 500;
+// Entries read from a file at most; later ones are not looked at or reported
+const MAX_PARSED_ENTRIES = MAX_IMPORT_ENTRIES * 4;
+// Pasted text gets the same 1MB limit as uploaded files
+const MAX_IMPORT_TEXT_LENGTH = 1024 * 1024;
+
+// Validation schemas (the playlist itself comes as an uploaded "file" or as "text")
+const importPlaylistSchema = Joi.object({
+  text: Joi.string().max(MAX_IMPORT_TEXT_LENGTH),
+  format: Joi.string().valid(...IMPORT_FORMATS),
+  title: Joi.string().min(1).max(255),
+  description: Joi.string().allow(''),
+  isPublic: Joi.boolean(),
+  visibility: Joi.string().valid(...VISIBILITIES)
+});
+
+const isWebUrl = (value) => {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+// Decide what happens to each parsed entry: 'imported', 'skipped' or 'invalid'
+const classifyEntries = (entries, existingUrls) => {
+  const seenUrls = new Set(existingUrls);
+  let accepted = 0;
+
+  return entries.map(entry => {
+    const result = { line: entry.line, title: entry.title, artist: entry.artist, url: entry.url };
+
+    if (!entry.url) {
+      return { ...result, status: 'invalid', reason: 'Missing URL' };
+    }
+    if (!isWebUrl(entry.url)) {
+      if (/^https?:/i.test(entry.url)) {
+        return { ...result, status: 'invalid', reason: 'Malformed URL' };
+      }
+      // Local file paths are common in M3U files exported from desktop players
+      return { ...result, status: 'skipped', reason: 'Not a web link' };
+    }
+    if (seenUrls.has(entry.url)) {
+      return { ...result, status: 'skipped', reason: 'Duplicate URL' };
+    }
+    if (accepted >= MAX_IMPORT_ENTRIES) {
+      return { ...result, status: 'skipped', reason: `Import limit of ${MAX_IMPORT_ENTRIES} songs reached` };
+    }
+
+    seenUrls.add(entry.url);
+    accepted++;
+    return { ...result, status: 'imported' };
+  });
+};
+
+// Import a playlist file: into a new playlist (POST /import) or appended to an
+// existing one (POST /:id/import)
+const importPlaylist = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format, title, description } = req.body;
+
+    if (id && !mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body.text;
+    if (!text || !text.trim()) {
+      return res.status(400).json({ error: 'Provide a playlist file or text' });
+    }
+
+    let parsed;
+    try {
+      parsed = parsePlaylist(text, { format, filename: req.file?.originalname, maxEntries: MAX_PARSED_ENTRIES });
+    } catch (parseError) {
+      return res.status(400).json({ error: 'Could not read playlist', details: [parseError.message] });
+    }
+
+    let playlist;
+    if (id) {
+      playlist = await Playlist.findById(id);
+      if (!playlist) {
+        return res.status(404).json({ error: 'Playlist not found' });
+      }
+
+      if (!await getPlaylistAccess(req.user, playlist, 'song:add')) {
+        return res.status(403).json({ error: 'Can only add songs to playlists you own or edit' });
+      }
+    }
+
+    const existingSongs = playlist ? await Song.find({ playlistId: playlist._id }).select('url position') : [];
+    const results = classifyEntries(parsed.entries, existingSongs.map(song => song.url));
+    const toImport = results.filter(result => result.status === 'imported');
+
+    if (!playlist && toImport.length === 0) {
+      return res.status(400).json({ error: 'No songs could be imported', results });
+    }
+
+    if (!playlist) {
+      const visibility = getRequestedVisibility(req.body) || 'public';
+      playlist = new Playlist({
+        userId: req.user._id,
+        title: title || parsed.title || 'Imported playlist',
+        description,
+        ...getVisibilityFields(visibility),
+        shareToken: visibility === 'unlisted' ? generateShareToken() : undefined
+      });
+      await saveWithSlug(playlist);
+      await User.findByIdAndUpdate(req.user._id, { $inc: { playlistCount: 1 } });
+    } else {
+      await ensureBaselineRevision(playlist._id);
+    }
+
+    const lastPosition = existingSongs.reduce((max, song) => Math.max(max, song.position), 0);
+
+    const songs = await Promise.all(toImport.map(async (result, index) => {
+      const platform = detectPlatform(result.url);
+      const thumbnail = await fetchThumbnail(result.url, platform);
+
+      return {
+        playlistId: playlist._id,
+        title: (result.title || 'Untitled').slice(0, 255),
+        artist: (result.artist || 'Unknown artist').slice(0, 255),
+        url: result.url,
+        platform,
+        thumbnail,
+        position: lastPosition + index + 1,
+        addedBy: req.user._id
+      };
+    }));
+
+    const savedSongs = await Song.insertMany(songs);
+    savedSongs.forEach((song, index) => {
+      toImport[index].songId = song._id;
+    });
+
+    await recordRevision(playlist._id, {
+      author: req.user,
+      action: 'playlist:import',
+      details: { format: parsed.format, imported: savedSongs.length }
+    });
+
+    const summary = {
+      imported: toImport.length,
+      skipped: results.filter(result => result.status === 'skipped').length,
+      invalid: results.filter(result => result.status === 'invalid').length,
+      // The file had more entries than are read
+      truncated: parsed.truncated
+    };
+
+    console.log('[PLAYLIST_IMPORTED]', { playlistId: playlist._id, userId: req.user._id, format: parsed.format, ...summary, timestamp: new Date() });
+
+    res.status(id ? 200 : 201).json({
+      success: true,
+      data: {
+        playlist,
+        format: parsed.format,
+        summary,
+        results
+      }
+    });
+  } catch (error) {
+    console.error('Import playlist error:', error);
+    res.status(500).json({ error: 'Failed to import playlist' });
+  }
+};
+
+// Export a playlist as a file: ?format=m3u8|xspf|jspf|csv|json (default json).
+// Songs are streamed out in position order.
+const exportPlaylist = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format = 'json' } = req.query;
+
+    const writer = getPlaylistWriter(format);
+    if (!writer) {
+      return res.status(400).json({ error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const playlist = await Playlist.findById(id).select('+shareToken').populate('userId', 'username');
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    // Same visibility rules as getPlaylist
+    if (!await canViewPlaylist(req.user, playlist, req.query.share)) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const filename = `${generateSlug(playlist.title) || 'playlist'}.${writer.extension}`;
+    res.setHeader('Content-Type', writer.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    res.write(writer.header(playlist));
+    let index = 0;
+    for await (const song of Song.find({ playlistId: id }).sort({ position: 1 }).cursor()) {
+      res.write(writer.song(song, index++));
+    }
+    res.end(writer.footer(playlist));
+
+    console.log('[PLAYLIST_EXPORTED]', { playlistId: id, format, songCount: index, timestamp: new Date() });
+  } catch (error) {
+    console.error('Export playlist error:', error);
+    // Once the file has started there is no way to switch to a JSON error
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ error: 'Failed to export playlist' });
+  }
+};
+
+module.exports = {
+  importPlaylist,
+  exportPlaylist,
+  importPlaylistSchema
+};
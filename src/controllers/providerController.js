@@ -0,0 +1,159 @@
+const Joi = require('joi');
+const User = require('../models/User');
+const { verifyGoogleCredential, isGoogleAuthUnavailable } = require('../services/googleAuth');
+const { findUserByIdentity, getSignInMethods } = require('../services/identities');
+const { hashPassword } = require('../services/passwords');
+
+// Validation schemas
+const linkGoogleSchema = Joi.object({
+  credential: Joi.string().required()
+});
+
+const setPasswordSchema = Joi.object({
+  password: Joi.string().min(6).required()
+});
+
+// List the sign-in methods linked to the current user
+const getProviders = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+identities');
+
+    const providers = (user.identities || []).map(identity => ({
+      provider: identity.provider,
+      email: identity.email,
+      linkedAt: identity.linkedAt
+    }));
+    if (user.passwordHash) {
+      providers.unshift({ provider: 'local', email: user.email });
+    }
+
+    res.json({
+      success: true,
+      data: { providers }
+    });
+  } catch (error) {
+    console.error('Get providers error:', error);
+    res.status(500).json({ error: 'Failed to get sign-in providers' });
+  }
+};
+
+// Link a Google account to the signed-in user
+const linkGoogle = async (req, res) => {
+  try {
+    const { credential } = req.body;
+
+    const googleData = await verifyGoogleCredential(credential);
+    if (!googleData) {
+      return res.status(401).json({ error: 'Invalid Google credential' });
+    }
+
+    const owner = await findUserByIdentity('google', googleData.googleId);
+    if (owner) {
+      const isSelf = owner._id.toString() === req.user._id.toString();
+      return res.status(409).json({
+        error: isSelf ? 'This Google account is already linked' : 'This Google account is linked to another user'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+identities');
+    if (user.identities.some(identity => identity.provider === 'google')) {
+      return res.status(409).json({ error: 'A Google account is already linked, unlink it first' });
+    }
+
+    user.identities.push({
+      provider: 'google',
+      providerId: googleData.googleId,
+      email: googleData.email
+    });
+    if (user.email === googleData.email) {
+      user.emailVerified = true;
+    }
+    await user.save();
+
+    console.log('[PROVIDER_LINKED]', { userId: user._id, provider: 'google', timestamp: new Date() });
+
+    res.json({
+      success: true,
+      message: 'Google account linked successfully',
+      data: { providers: getSignInMethods(user) }
+    });
+  } catch (error) {
+    if (isGoogleAuthUnavailable(error)) {
+      console.error('Google sign-in unavailable:', error.message);
+      return res.status(503).json({ error: 'Google sign-in is temporarily unavailable' });
+    }
+    console.error('Link Google error:', error);
+    res.status(500).json({ error: 'Failed to link Google account' });
+  }
+};
+
+// Add a password to an account that only signs in through a provider
+const setPassword = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (req.user.passwordHash) {
+      return res.status(400).json({ error: 'A password is already set, use change password instead' });
+    }
+
+    const user = await User.findById(req.user._id).select('+identities');
+    user.passwordHash = await hashPassword(password);
+    await user.save();
+
+    console.log('[PROVIDER_LINKED]', { userId: user._id, provider: 'local', timestamp: new Date() });
+
+    res.json({
+      success: true,
+      message: 'Password set successfully',
+      data: { providers: getSignInMethods(user) }
+    });
+  } catch (error) {
+    console.error('Set password error:', error);
+    res.status(500).json({ error: 'Failed to set password' });
+  }
+};
+
+// Unlink a provider ("local" removes the password) while another method remains
+const unlinkProvider = async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    const user = await User.findById(req.user._id).select('+identities');
+    const methods = getSignInMethods(user);
+
+    if (!methods.includes(provider)) {
+      return res.status(404).json({ error: 'Provider not linked' });
+    }
+
+    if (methods.length <= 1) {
+      return res.status(400).json({ error: 'Cannot remove your only sign-in method' });
+    }
+
+    if (provider === 'local') {
+      user.passwordHash = undefined;
+    } else {
+      user.identities = user.identities.filter(identity => identity.provider !== provider);
+    }
+    await user.save();
+
+    console.log('[PROVIDER_UNLINKED]', { userId: user._id, provider, timestamp: new Date() });
+
+    res.json({
+      success: true,
+      message: 'Provider unlinked successfully',
+      data: { providers: getSignInMethods(user) }
+    });
+  } catch (error) {
+    console.error('Unlink provider error:', error);
+    res.status(500).json({ error: 'Failed to unlink provider' });
+  }
+};
+
+module.exports = {
+  getProviders,
+  linkGoogle,
+  setPassword,
+  unlinkProvider,
+  linkGoogleSchema,
+  setPasswordSchema
+};
@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const Playlist = require('../models/Playlist');
+const PlaylistRevision = require('../models/PlaylistRevision');
+const { getPlaylistAccess } = require('../middleware/authorize');
+const { logModerationAction } = require('../services/moderationLog');
+const {
+  recordRevision,
+  diffSnapshots,
+  restoreSnapshot
+} = require('../services/playlistRevisions');
+const { getPagination, getPageQuery, buildPage } = require('../utils/pagination');
+
+// History is visible to the owner, collaborators and moderators.
+// Returns the playlist, or null if it doesn't exist or the user can't see it.
+const findPlaylistForHistory = async (user, playlistId) => {
+  if (!mongoose.Types.ObjectId.isValid(playlistId)) {
+    return null;
+  }
+  const playlist = await Playlist.findById(playlistId);
+  if (!playlist || !await getPlaylistAccess(user, playlist, 'playlist:read')) {
+    return null;
+  }
+  return playlist;
+};
+
+// Revision numbers from the URL: positive integers, or null
+const parseRev = (value) => (/^[1-9]\d{0,8}$/.test(value) ? parseInt(value) : null);
+
+// List a playlist's revisions, newest first
+const getRevisions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const pagination = getPagination(req.query, { sort: { rev: -1 } });
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const playlist = await findPlaylistForHistory(req.user, id);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const { filter, sort, skip, limit } = getPageQuery(pagination, { playlistId: id });
+    const fetched = await PlaylistRevision.find(filter)
+      .populate('authorId', 'username avatarUrl')
+      .sort(sort)
+      .skip(skip)
+      .limit(limit);
+
+    const total = await PlaylistRevision.countDocuments({ playlistId: id });
+    const { items: revisions, pagination: pageInfo } = buildPage(fetched, pagination, { total });
+
+    res.json({
+      success: true,
+      data: {
+        revisions: revisions.map(revision => ({
+          rev: revision.rev,
+          action: revision.action,
+          author: revision.authorId,
+          title: revision.snapshot.title,
+          songCount: revision.snapshot.songs.length,
+          details: revision.details,
+          createdAt: revision.createdAt
+        })),
+        pagination: pageInfo
+      }
+    });
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({ error: 'Failed to get revisions' });
+  }
+};
+
+// Get a single revision with its full snapshot
+const getRevision = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rev = parseRev(req.params.rev);
+    if (!rev) {
+      return res.status(400).json({ error: 'Invalid revision number' });
+    }
+
+    const playlist = await findPlaylistForHistory(req.user, id);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const revision = await PlaylistRevision.findOne({ playlistId: id, rev })
+      .populate('authorId', 'username avatarUrl');
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      success: true,
+      data: { revision }
+    });
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({ error: 'Failed to get revision' });
+  }
+};
+
+// Diff two revisions: ?from=<rev>&to=<rev>. "to" defaults to the latest
+// revision and "from" to the one before it.
+const diffRevisions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const toRev = req.query.to !== undefined ? parseRev(req.query.to) : undefined;
+    const fromRev = req.query.from !== undefined ? parseRev(req.query.from) : undefined;
+    if (toRev === null || fromRev === null) {
+      return res.status(400).json({ error: 'Invalid revision number' });
+    }
+
+    const playlist = await findPlaylistForHistory(req.user, id);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const toRevision = toRev
+      ? await PlaylistRevision.findOne({ playlistId: id, rev: toRev })
+      : await PlaylistRevision.findOne({ playlistId: id }).sort({ rev: -1 });
+    if (!toRevision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const fromRevision = await PlaylistRevision.findOne({ playlistId: id, rev: fromRev || toRevision.rev - 1 });
+    if (!fromRevision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: fromRevision.rev,
+        to: toRevision.rev,
+        ...diffSnapshots(fromRevision.snapshot.toObject(), toRevision.snapshot.toObject())
+      }
+    });
+  } catch (error) {
+    console.error('Diff revisions error:', error);
+    res.status(500).json({ error: 'Failed to diff revisions' });
+  }
+};
+
+// Restore the playlist to a revision. The restore is itself recorded as a new
+// revision, so it can be undone.
+const restoreRevision = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rev = parseRev(req.params.rev);
+    if (!rev) {
+      return res.status(400).json({ error: 'Invalid revision number' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const playlist = await Playlist.findById(id);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const access = await getPlaylistAccess(req.user, playlist, 'playlist:update');
+    if (!access) {
+      return res.status(403).json({ error: 'Can only restore your own playlists' });
+    }
+
+    const revision = await PlaylistRevision.findOne({ playlistId: id, rev });
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    await restoreSnapshot(id, revision.snapshot.toObject());
+    const restored = await recordRevision(id, {
+      author: req.user,
+      action: 'revision:restore',
+      details: { restoredFrom: revision.rev }
+    });
+
+    if (access === 'any') {
+      await logModerationAction({
+        actor: req.user,
+        action: 'playlist:restore',
+        targetType: 'playlist',
+        targetId: playlist._id,
+        targetOwnerId: playlist.userId,
+        details: { restoredFrom: revision.rev }
+      });
+    }
+
+    console.log('[PLAYLIST_RESTORED]', { playlistId: id, restoredFrom: revision.rev, userId: req.user._id, timestamp: new Date() });
+
+    res.json({
+      success: true,
+      message: `Playlist restored to revision ${revision.rev}`,
+      data: { rev: restored?.rev }
+    });
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    res.status(500).json({ error: 'Failed to restore revision' });
+  }
+};
+
+module.exports = {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+};
@@ -5,12 +5,25 @@ const Playlist = require('../models/Playlist');
 const Song = require('../models/Song');
 const PlaylistLike = require('../models/PlaylistLike');
 const SavedPlaylist = require('../models/SavedPlaylist');
+const PUBLIC_PROFILE_FIELDS = require('../config/publicProfileFields');
+const { getPagination, getPageQuery, buildPage } = require('../utils/pagination');
+
+// The cursor or offset a search page was read from, alongside the page's own
+// cursors, for the meta block of the search-only endpoints
+const getSearchMeta = (pagination, pageInfo) => ({
+  total: pageInfo.total,
+  limit: pagination.limit,
+  ...(pagination.mode === 'page' && { offset: pagination.skip }),
+  hasMore: !!pageInfo.nextCursor,
+  nextCursor: pageInfo.nextCursor,
+  prevCursor: pageInfo.prevCursor
+});
 
 // Simple in-memory cache with TTL
 const cache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
-const getCacheKey = (type, q, limit, offset) => `${type}-${q}-${limit}-${offset}`;
+const getCacheKey = (...parts) => parts.join('-');
 
 const getCached = (key) => {
   const item = cache.get(key);
@@ -25,18 +38,27 @@ const setCached = (key, data) => {
   cache.set(key, { data, timestamp: Date.now() });
 };
 
-// Universal search
+// Universal search. It returns several lists at once, so users and playlists
+// each page on their own: ?usersCursor= and ?playlistsCursor= take the
+// nextCursor/prevCursor from that list's meta. ?limit= and ?offset= apply to
+// every list.
 const universalSearch = async (req, res) => {
   try {
-    const { q, type = 'all', limit = 10, offset = 0 } = req.query;
+    const { q, type = 'all', usersCursor, playlistsCursor } = req.query;
 
     if (!q || q.length < 2) {
       return res.status(400).json({ error: 'Query must be at least 2 characters' });
     }
 
-    const searchLimit = Math.min(parseInt(limit), 20);
-    const searchOffset = parseInt(offset);
-    const cacheKey = getCacheKey(type, q, searchLimit, searchOffset);
+    const listOptions = { defaultLimit: 10, maxLimit: 20 };
+    const userPagination = getPagination({ ...req.query, cursor: usersCursor }, { ...listOptions, sort: { followersCount: -1 } });
+    const playlistPagination = getPagination({ ...req.query, cursor: playlistsCursor }, { ...listOptions, sort: { likesCount: -1 } });
+    if (userPagination.error || playlistPagination.error) {
+      return res.status(400).json({ error: userPagination.error || playlistPagination.error });
+    }
+
+    const searchLimit = userPagination.limit;
+    const cacheKey = getCacheKey(type, q, searchLimit, userPagination.skip, usersCursor, playlistsCursor);
 
     // Check cache first
     const cachedResult = getCached(cacheKey);
@@ -46,6 +68,7 @@ const universalSearch = async (req, res) => {
 
     let results = { users: [], playlists: [], tags: [] };
     let totalUsers = 0, totalPlaylists = 0, totalTags = 0;
+    const listMeta = {};
 
     if (type === 'all' || type === 'users') {
       const userQuery = {
@@ -55,19 +78,21 @@ const universalSearch = async (req, res) => {
         ]
       };
 
-      const users = await User.find(userQuery)
-        .select('-passwordHash')
-        .skip(searchOffset)
-        .limit(searchLimit)
-        .sort({ followersCount: -1 });
+      const { filter, sort, skip, limit } = getPageQuery(userPagination, userQuery);
+      const fetched = await User.find(filter)
+        .select(PUBLIC_PROFILE_FIELDS)
+        .skip(skip)
+        .limit(limit)
+        .sort(sort);
 
-      const usersWithId = users.map(user => ({
+      totalUsers = await User.countDocuments(userQuery);
+      const { items: users, pagination: pageInfo } = buildPage(fetched, userPagination, { total: totalUsers });
+
+      results.users = users.map(user => ({
         id: user._id,
         ...user.toObject()
       }));
-
-      totalUsers = await User.countDocuments(userQuery);
-      results.users = usersWithId;
+      listMeta.users = getSearchMeta(userPagination, pageInfo);
     }
 
     if (type === 'all' || type === 'playlists') {
@@ -80,13 +105,15 @@ const universalSearch = async (req, res) => {
         ]
       };
 
-      const playlists = await Playlist.find(playlistQuery)
+      const { filter, sort, skip, limit } = getPageQuery(playlistPagination, playlistQuery);
+      const fetched = await Playlist.find(filter)
         .populate('userId', 'username')
-        .skip(searchOffset)
-        .limit(searchLimit)
-        .sort({ likesCount: -1 });
+        .skip(skip)
+        .limit(limit)
+        .sort(sort);
 
       totalPlaylists = await Playlist.countDocuments(playlistQuery);
+      const { items: playlists, pagination: pageInfo } = buildPage(fetched, playlistPagination, { total: totalPlaylists });
       
       // Add user interaction status to each playlist
       const playlistsWithDetails = await Promise.all(
@@ -123,6 +150,7 @@ const universalSearch = async (req, res) => {
       );
       
       results.playlists = playlistsWithDetails;
+      listMeta.playlists = getSearchMeta(playlistPagination, pageInfo);
     }
 
     if (type === 'all' || type === 'tags') {
@@ -159,7 +187,8 @@ const universalSearch = async (req, res) => {
           query: q,
           totalUsers,
           totalPlaylists,
-          totalTags
+          totalTags,
+          ...listMeta
         }
       }
     };
@@ -177,14 +206,16 @@ const universalSearch = async (req, res) => {
 // Search users only
 const searchUsers = async (req, res) => {
   try {
-    const { q, limit = 20, offset = 0 } = req.query;
+    const { q } = req.query;
 
     if (!q || q.length < 2) {
       return res.status(400).json({ error: 'Query must be at least 2 characters' });
     }
 
-    const searchLimit = Math.min(parseInt(limit), 50);
-    const searchOffset = parseInt(offset);
+    const pagination = getPagination(req.query, { sort: { followersCount: -1 }, maxLimit: 50 });
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
 
     const query = {
       $or: [
@@ -193,29 +224,26 @@ const searchUsers = async (req, res) => {
       ]
     };
 
-    const users = await User.find(query)
-      .select('-passwordHash')
-      .skip(searchOffset)
-      .limit(searchLimit)
-      .sort({ followersCount: -1 });
+    const { filter, sort, skip, limit } = getPageQuery(pagination, query);
+    const fetched = await User.find(filter)
+      .select(PUBLIC_PROFILE_FIELDS)
+      .skip(skip)
+      .limit(limit)
+      .sort(sort);
+
+    const total = await User.countDocuments(query);
+    const { items: users, pagination: pageInfo } = buildPage(fetched, pagination, { total });
 
     const usersWithId = users.map(user => ({
       id: user._id,
       ...user.toObject()
     }));
 
-    const total = await User.countDocuments(query);
-
     res.json({
       success: true,
       data: {
         users: usersWithId,
-        meta: {
-          total,
-          limit: searchLimit,
-          offset: searchOffset,
-          hasMore: total > searchOffset + searchLimit
-        }
+        meta: getSearchMeta(pagination, pageInfo)
       }
     });
   } catch (error) {
@@ -227,15 +255,12 @@ const searchUsers = async (req, res) => {
 // Search playlists only
 const searchPlaylists = async (req, res) => {
   try {
-    const { q, limit = 20, offset = 0, sort = 'relevant' } = req.query;
+    const { q, sort = 'relevant' } = req.query;
 
     if (!q || q.length < 2) {
       return res.status(400).json({ error: 'Query must be at least 2 characters' });
     }
 
-    const searchLimit = Math.min(parseInt(limit), 50);
-    const searchOffset = parseInt(offset);
-
     const query = {
       isPublic: true,
       $or: [
@@ -252,13 +277,20 @@ const searchPlaylists = async (req, res) => {
       sortOption = { createdAt: -1 };
     }
 
-    const playlists = await Playlist.find(query)
+    const pagination = getPagination(req.query, { sort: sortOption, maxLimit: 50 });
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const pageQuery = getPageQuery(pagination, query);
+    const fetched = await Playlist.find(pageQuery.filter)
       .populate('userId', 'username')
-      .skip(searchOffset)
-      .limit(searchLimit)
-      .sort(sortOption);
+      .skip(pageQuery.skip)
+      .limit(pageQuery.limit)
+      .sort(pageQuery.sort);
 
     const total = await Playlist.countDocuments(query);
+    const { items: playlists, pagination: pageInfo } = buildPage(fetched, pagination, { total });
 
     // Add user interaction status to each playlist
     const playlistsWithDetails = await Promise.all(
@@ -299,10 +331,7 @@ const searchPlaylists = async (req, res) => {
       data: {
         playlists: playlistsWithDetails,
         meta: {
-          total,
-          limit: searchLimit,
-          offset: searchOffset,
-          hasMore: total > searchOffset + searchLimit,
+          ...getSearchMeta(pagination, pageInfo),
           sort
         }
       }
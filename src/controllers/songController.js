@@ -4,6 +4,11 @@ const SavedSong = require('../models/SavedSong');
 const Joi = require('joi');
 const { detectPlatform, getYouTubeThumbnail } = require('../services/platformDetector');
 const { fetchThumbnail } = require('../services/thumbnailFetcher');
+const { getPlaylistAccess } = require('../middleware/authorize');
+const { canViewPlaylist } = require('../services/playlistVisibility');
+const { logModerationAction } = require('../services/moderationLog');
+const { recordRevision, ensureBaselineRevision } = require('../services/playlistRevisions');
+const { getPagination, getPageQuery, buildPage } = require('../utils/pagination');
 
 // Validation schemas
 const updateSongSchema = Joi.object({
@@ -39,16 +44,18 @@ const getPlaylistSongs = async (req, res) => {
     const { id } = req.params;
 
     // Check if playlist exists and is accessible
-    const playlist = await Playlist.findById(id);
+    const playlist = await Playlist.findById(id).select('+shareToken');
     if (!playlist) {
       return res.status(404).json({ error: 'Playlist not found' });
     }
 
-    if (!playlist.isPublic && (!req.user || req.user._id.toString() !== playlist.userId.toString())) {
+    if (!await canViewPlaylist(req.user, playlist, req.query.share)) {
       return res.status(404).json({ error: 'Playlist not found' });
     }
 
-    const songs = await Song.find({ playlistId: id }).sort({ position: 1 });
+    const songs = await Song.find({ playlistId: id })
+      .populate('addedBy', 'username avatarUrl')
+      .sort({ position: 1 });
 
     res.json({
       success: true,
@@ -66,16 +73,19 @@ const addSong = async (req, res) => {
     const { id } = req.params;
     const { title, artist, url, platform: providedPlatform } = req.body;
 
-    // Check if playlist exists and user owns it
+    // Check if playlist exists and user can edit it
     const playlist = await Playlist.findById(id);
     if (!playlist) {
       return res.status(404).json({ error: 'Playlist not found' });
     }
 
-    if (playlist.userId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Can only add songs to your own playlists' });
+    const access = await getPlaylistAccess(req.user, playlist, 'song:add');
+    if (!access) {
+      return res.status(403).json({ error: 'Can only add songs to playlists you own or edit' });
     }
 
+    await ensureBaselineRevision(id);
+
     // Auto-detect platform if not provided
     const platform = providedPlatform || detectPlatform(url);
 
@@ -94,11 +104,25 @@ const addSong = async (req, res) => {
       url,
       platform,
       thumbnail,
-      position
+      position,
+      addedBy: req.user._id
     });
 
     await song.save();
 
+    await recordRevision(id, { author: req.user, action: 'song:add', details: { songId: song._id } });
+
+    if (access === 'any') {
+      await logModerationAction({
+        actor: req.user,
+        action: 'song:add',
+        targetType: 'song',
+        targetId: song._id,
+        targetOwnerId: playlist.userId,
+        details: { playlistId: playlist._id, title, artist, url }
+      });
+    }
+
     console.log('[SONG_ADDED]', { playlistId: id, songId: song._id, timestamp: new Date() });
 
     res.status(201).json({
@@ -117,22 +141,39 @@ const updateSong = async (req, res) => {
     const { id } = req.params;
     const updates = req.body;
 
+    // A song whose playlist is in the trash populates to null: treat it as gone
     const song = await Song.findById(id).populate('playlistId');
-    if (!song) {
+    if (!song || !song.playlistId) {
       return res.status(404).json({ error: 'Song not found' });
     }
 
-    // Check ownership
-    if (song.playlistId.userId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Can only update songs in your own playlists' });
+    // Check ownership (editors and moderators can update songs too)
+    const access = await getPlaylistAccess(req.user, song.playlistId, 'song:update');
+    if (!access) {
+      return res.status(403).json({ error: 'Can only update songs in playlists you own or edit' });
     }
 
+    await ensureBaselineRevision(song.playlistId._id);
+
     const updatedSong = await Song.findByIdAndUpdate(
       id,
       updates,
       { new: true, runValidators: true }
     );
 
+    await recordRevision(song.playlistId._id, { author: req.user, action: 'song:update', details: { songId: song._id } });
+
+    if (access === 'any') {
+      await logModerationAction({
+        actor: req.user,
+        action: 'song:update',
+        targetType: 'song',
+        targetId: song._id,
+        targetOwnerId: song.playlistId.userId,
+        details: { playlistId: song.playlistId._id, updates }
+      });
+    }
+
     res.json({
       success: true,
       data: { song: updatedSong }
@@ -148,24 +189,41 @@ const deleteSong = async (req, res) => {
   try {
     const { id } = req.params;
 
+    // A song whose playlist is in the trash populates to null: treat it as gone
     const song = await Song.findById(id).populate('playlistId');
-    if (!song) {
+    if (!song || !song.playlistId) {
       return res.status(404).json({ error: 'Song not found' });
     }
 
-    // Check ownership
-    if (song.playlistId.userId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Can only delete songs from your own playlists' });
+    // Check ownership (editors and moderators can delete songs too)
+    const access = await getPlaylistAccess(req.user, song.playlistId, 'song:delete');
+    if (!access) {
+      return res.status(403).json({ error: 'Can only delete songs from playlists you own or edit' });
     }
 
+    await ensureBaselineRevision(song.playlistId._id);
+
     await Song.findByIdAndDelete(id);
 
+    if (access === 'any') {
+      await logModerationAction({
+        actor: req.user,
+        action: 'song:delete',
+        targetType: 'song',
+        targetId: song._id,
+        targetOwnerId: song.playlistId.userId,
+        details: { playlistId: song.playlistId._id, title: song.title, artist: song.artist, url: song.url }
+      });
+    }
+
     // Reorder remaining songs
     const remainingSongs = await Song.find({ playlistId: song.playlistId._id }).sort({ position: 1 });
     for (let i = 0; i < remainingSongs.length; i++) {
       await Song.findByIdAndUpdate(remainingSongs[i]._id, { position: i + 1 });
     }
 
+    await recordRevision(song.playlistId._id, { author: req.user, action: 'song:delete', details: { songId: song._id } });
+
     res.json({
       success: true,
       message: 'Song deleted successfully'
@@ -182,14 +240,15 @@ const reorderSongs = async (req, res) => {
     const { id } = req.params;
     const { songs } = req.body;
 
-    // Check if playlist exists and user owns it
+    // Check if playlist exists and user can edit it
     const playlist = await Playlist.findById(id);
     if (!playlist) {
       return res.status(404).json({ error: 'Playlist not found' });
     }
 
-    if (playlist.userId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Can only reorder songs in your own playlists' });
+    const access = await getPlaylistAccess(req.user, playlist, 'song:update');
+    if (!access) {
+      return res.status(403).json({ error: 'Can only reorder songs in playlists you own or edit' });
     }
 
     // Validate that all song IDs belong to this playlist
@@ -203,6 +262,8 @@ const reorderSongs = async (req, res) => {
       return res.status(400).json({ error: 'Some songs not found in this playlist' });
     }
 
+    await ensureBaselineRevision(id);
+
     // Update positions
     const updatePromises = songs.map(songData =>
       Song.findByIdAndUpdate(songData.id, { position: songData.position })
@@ -210,6 +271,19 @@ const reorderSongs = async (req, res) => {
 
     await Promise.all(updatePromises);
 
+    await recordRevision(id, { author: req.user, action: 'song:reorder' });
+
+    if (access === 'any') {
+      await logModerationAction({
+        actor: req.user,
+        action: 'song:reorder',
+        targetType: 'playlist',
+        targetId: playlist._id,
+        targetOwnerId: playlist.userId,
+        details: { songs }
+      });
+    }
+
     res.json({
       success: true,
       message: 'Songs reordered successfully'
@@ -226,16 +300,19 @@ const addSongs = async (req, res) => {
     const { id } = req.params;
     const { songs } = req.body;
 
-    // Check if playlist exists and user owns it
+    // Check if playlist exists and user can edit it
     const playlist = await Playlist.findById(id);
     if (!playlist) {
       return res.status(404).json({ error: 'Playlist not found' });
     }
 
-    if (playlist.userId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Can only add songs to your own playlists' });
+    const access = await getPlaylistAccess(req.user, playlist, 'song:add');
+    if (!access) {
+      return res.status(403).json({ error: 'Can only add songs to playlists you own or edit' });
     }
 
+    await ensureBaselineRevision(id);
+
     // Get the next position
     const lastSong = await Song.findOne({ playlistId: id }).sort({ position: -1 });
     let nextPosition = lastSong ? lastSong.position + 1 : 1;
@@ -258,7 +335,8 @@ const addSongs = async (req, res) => {
         url,
         platform,
         thumbnail,
-        position: nextPosition++
+        position: nextPosition++,
+        addedBy: req.user._id
       });
 
       return song.save();
@@ -266,6 +344,19 @@ const addSongs = async (req, res) => {
 
     const savedSongs = await Promise.all(songPromises);
 
+    await recordRevision(id, { author: req.user, action: 'song:add', details: { songIds: savedSongs.map(song => song._id) } });
+
+    if (access === 'any') {
+      await logModerationAction({
+        actor: req.user,
+        action: 'song:add',
+        targetType: 'playlist',
+        targetId: playlist._id,
+        targetOwnerId: playlist.userId,
+        details: { songIds: savedSongs.map(song => song._id) }
+      });
+    }
+
     console.log('[SONGS_ADDED]', { playlistId: id, songCount: savedSongs.length, timestamp: new Date() });
 
     res.status(201).json({
@@ -334,10 +425,14 @@ const unsaveSong = async (req, res) => {
 // Get user's saved songs
 const getSavedSongs = async (req, res) => {
   try {
-    const { page = 1, limit = 50 } = req.query;
-    const skip = (page - 1) * limit;
+    const pagination = getPagination(req.query, { sort: { createdAt: -1 }, defaultLimit: 50 });
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
 
-    const savedSongs = await SavedSong.find({ userId: req.user._id })
+    const query = { userId: req.user._id };
+    const { filter, sort, skip, limit } = getPageQuery(pagination, query);
+    const fetched = await SavedSong.find(filter)
       .populate({
         path: 'songId',
         populate: {
@@ -350,14 +445,15 @@ const getSavedSongs = async (req, res) => {
         }
       })
       .skip(skip)
-      .limit(parseInt(limit))
-      .sort({ createdAt: -1 });
+      .limit(limit)
+      .sort(sort);
 
-    const total = await SavedSong.countDocuments({ userId: req.user._id });
+    const total = await SavedSong.countDocuments(query);
+    const { items: savedSongs, pagination: pageInfo } = buildPage(fetched, pagination, { total });
 
-    // Filter out null songs (in case some were deleted)
+    // Filter out null songs (in case some were deleted) and songs in trashed playlists
     const validSongs = savedSongs
-      .filter(save => save.songId)
+      .filter(save => save.songId && save.songId.playlistId)
       .map(save => ({
         ...save.songId.toObject(),
         savedAt: save.createdAt,
@@ -372,12 +468,7 @@ const getSavedSongs = async (req, res) => {
       success: true,
       data: {
         songs: validSongs,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        pagination: pageInfo
       }
     });
   } catch (error) {
@@ -0,0 +1,165 @@
+const bcrypt = require('bcryptjs');
+const Joi = require('joi');
+const User = require('../models/User');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../services/totp');
+const {
+  TWO_FACTOR_SECRET_FIELDS,
+  generateRecoveryCodes,
+  verifyTwoFactorCode
+} = require('../services/twoFactor');
+
+// Validation schemas
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().required()
+});
+
+const disableTwoFactorSchema = Joi.object({
+  password: Joi.string(),
+  code: Joi.string()
+}).or('password', 'code');
+
+// Start enrollment: hand out a new secret to add to an authenticator app
+const setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    await User.findByIdAndUpdate(req.user._id, { 'twoFactor.pendingSecret': secret });
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({
+          secret,
+          accountName: req.user.email,
+          issuer: process.env.TOTP_ISSUER || 'vibecheck'
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Setup two-factor error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+};
+
+// Finish enrollment with the first code from the app
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code.trim());
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: undefined,
+      recoveryCodeHashes: hashes,
+      lastUsedStep: step
+    };
+    await user.save();
+
+    console.log('[TWO_FACTOR_ENABLED]', { userId: user._id, timestamp: new Date() });
+
+    // Recovery codes are only ever shown here
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+};
+
+// Turn 2FA off; needs the account password or a current code
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = req.user;
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    let verified = false;
+    if (password && user.passwordHash) {
+      verified = await bcrypt.compare(password, user.passwordHash);
+    } else if (code) {
+      verified = !!(await verifyTwoFactorCode(user._id, code));
+    }
+
+    if (!verified) {
+      return res.status(401).json({ error: 'Invalid password or code' });
+    }
+
+    await User.findByIdAndUpdate(user._id, {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.recoveryCodeHashes': 1,
+        'twoFactor.lastUsedStep': 1
+      }
+    });
+
+    console.log('[TWO_FACTOR_DISABLED]', { userId: user._id, timestamp: new Date() });
+
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+};
+
+// Replace all recovery codes; needs a current code
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await verifyTwoFactorCode(req.user._id, code))) {
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.findByIdAndUpdate(req.user._id, { 'twoFactor.recoveryCodeHashes': hashes });
+
+    res.json({
+      success: true,
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  twoFactorCodeSchema,
+  disableTwoFactorSchema
+};
@@ -1,17 +1,43 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Playlist = require('../models/Playlist');
 const UserFollow = require('../models/UserFollow');
 const PlaylistLike = require('../models/PlaylistLike');
 const SavedPlaylist = require('../models/SavedPlaylist');
+const PlaylistCollaborator = require('../models/PlaylistCollaborator');
 const Song = require('../models/Song');
+const Notification = require('../models/Notification');
+const PUBLIC_PROFILE_FIELDS = require('../config/publicProfileFields');
 const cloudinary = require('../config/cloudinary');
 const multer = require('multer');
+const Joi = require('joi');
+const { sendEmailVerification } = require('../services/emailVerification');
+const { revokeUserSessions, revokeUserAccessTokens } = require('../services/tokenService');
+const { sendAccountDeletionScheduledEmail } = require('../services/emails');
+const { getVisibility } = require('../services/playlistVisibility');
+const { changeUsername, getNextUsernameChangeAt, resolveUsername } = require('../services/usernames');
+const { getFollowState, getFollowStates } = require('../services/follows');
+const { withTransaction } = require('../utils/transaction');
+const { getPagination, getPageQuery, buildPage } = require('../utils/pagination');
+const { createNotification } = require('./notificationController');
+
+// Days a deleted account can still be recovered before it is purged
+const ACCOUNT_DELETION_GRACE_DAYS = 14;
+
+// Validation schemas
+const updateUsernameSchema = Joi.object({
+  username: Joi.string().trim().min(3).max(50).required()
+});
 
 // Get users with pagination
 const getUsers = async (req, res) => {
   try {
-    const { page = 1, limit = 20, search } = req.query;
-    const skip = (page - 1) * limit;
+    const { search } = req.query;
+
+    const pagination = getPagination(req.query, { sort: { createdAt: -1 } });
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
 
     let query = {};
     if (search) {
@@ -23,24 +49,21 @@ const getUsers = async (req, res) => {
       };
     }
 
-    const users = await User.find(query)
-      .select('-passwordHash')
+    const { filter, sort, skip, limit } = getPageQuery(pagination, query);
+    const fetched = await User.find(filter)
+      .select(PUBLIC_PROFILE_FIELDS)
       .skip(skip)
-      .limit(parseInt(limit))
-      .sort({ createdAt: -1 });
+      .limit(limit)
+      .sort(sort);
 
     const total = await User.countDocuments(query);
+    const { items: users, pagination: pageInfo } = buildPage(fetched, pagination, { total });
 
     res.json({
       success: true,
       data: {
         users,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        pagination: pageInfo
       }
     });
   } catch (error) {
@@ -53,31 +76,25 @@ const getUsers = async (req, res) => {
 const getUserByUsername = async (req, res) => {
   try {
     const { username } = req.params;
-    const user = await User.findOne({ username }).select('-passwordHash');
+    const resolved = await resolveUsername(username);
     
-    if (!user) {
+    if (!resolved) {
       return res.status(404).json({ error: 'User not found' });
     }
+    const { user, previousUsername } = resolved;
 
-    // NOTE: Follow/following features are not needed in v1
-    // Check if current user is following this user
-    // let isFollowing = false;
-    // if (req.user) {
-    //   const follow = await UserFollow.findOne({
-    //     followerId: req.user._id,
-    //     followingId: user._id
-    //   });
-    //   isFollowing = !!follow;
-    // }
+    // How the current user relates to this one (all false when signed out)
+    const followState = await getFollowState(req.user, user._id);
 
     res.json({
       success: true,
       data: {
         user: {
           ...user.toObject(),
-          // NOTE: Follow/following features are not needed in v1
-          // isFollowing
-        }
+          ...followState
+        },
+        // Set when the profile was found by a name the user has since changed
+        previousUsername
       }
     });
   } catch (error) {
@@ -90,30 +107,21 @@ const getUserByUsername = async (req, res) => {
 const getUserById = async (req, res) => {
   try {
     const { id } = req.params;
-    const user = await User.findById(id).select('-passwordHash');
+    const user = await User.findById(id).select(PUBLIC_PROFILE_FIELDS);
     
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // NOTE: Follow/following features are not needed in v1
-    // Check if current user is following this user
-    // let isFollowing = false;
-    // if (req.user) {
-    //   const follow = await UserFollow.findOne({
-    //     followerId: req.user._id,
-    //     followingId: user._id
-    //   });
-    //   isFollowing = !!follow;
-    // }
+    // How the current user relates to this one (all false when signed out)
+    const followState = await getFollowState(req.user, user._id);
 
     res.json({
       success: true,
       data: {
         user: {
           ...user.toObject(),
-          // NOTE: Follow/following features are not needed in v1
-          // isFollowing
+          ...followState
         }
       }
     });
@@ -127,7 +135,7 @@ const getUserById = async (req, res) => {
 const updateUser = async (req, res) => {
   try {
     const { id } = req.params;
-    const { bio, avatarUrl, username, socialLinks } = req.body;
+    const { bio, avatarUrl, username, socialLinks, email } = req.body;
 
     // Check if user is updating their own profile
     if (req.user._id.toString() !== id) {
@@ -157,24 +165,38 @@ const updateUser = async (req, res) => {
       }
     }
 
-    // If username is being updated, ensure uniqueness and basic validation
-    if (username) {
-      const usernameTrim = username.trim();
-      const usernameRegex = /^[a-zA-Z0-9_\-]{3,50}$/;
-      if (!usernameRegex.test(usernameTrim)) {
-        return res.status(400).json({ error: 'Username must be 3-50 chars, alphanumeric, underscore or dash' });
+    // A new email address has to be verified again
+    let emailChanged = false;
+    if (email !== undefined) {
+      const emailTrim = email.trim();
+      if (Joi.string().email().validate(emailTrim).error) {
+        return res.status(400).json({ error: 'Invalid email address' });
       }
 
-      const existing = await User.findOne({ username: usernameTrim });
-      if (existing && existing._id.toString() !== id) {
-        return res.status(400).json({ error: 'Username already taken' });
+      if (emailTrim !== req.user.email) {
+        const existing = await User.findOne({ email: emailTrim });
+        if (existing && existing._id.toString() !== id) {
+          return res.status(400).json({ error: 'Email already in use' });
+        }
+        emailChanged = true;
+      }
+    }
+
+    // Renames go through the same checks as PUT /me/username (cooldown, reserved names)
+    if (username) {
+      const rename = await changeUsername(req.user, username);
+      if (rename.error) {
+        return res.status(rename.status).json({ error: rename.error });
       }
     }
 
     const updates = {};
+    if (emailChanged) {
+      updates.email = email.trim();
+      updates.emailVerified = false;
+    }
     if (bio !== undefined) updates.bio = bio;
     if (avatarUrl !== undefined) updates.avatarUrl = avatarUrl;
-    if (username !== undefined) updates.username = username.trim();
     if (socialLinks !== undefined) updates.socialLinks = socialLinks;
 
     const user = await User.findByIdAndUpdate(
@@ -187,6 +209,11 @@ const updateUser = async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    if (emailChanged) {
+      await sendEmailVerification(user).catch(err => console.error('Send verification email error:', err));
+      console.log('[USER_EMAIL_CHANGED]', { userId: user._id, timestamp: new Date() });
+    }
+
     res.json({
       success: true,
       data: { user }
@@ -197,6 +224,27 @@ const updateUser = async (req, res) => {
   }
 };
 
+// Change the current user's username
+const updateUsername = async (req, res) => {
+  try {
+    const rename = await changeUsername(req.user, req.body.username);
+    if (rename.error) {
+      return res.status(rename.status).json({ error: rename.error, nextChangeAt: rename.nextChangeAt });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user: rename.user,
+        nextChangeAt: getNextUsernameChangeAt(rename.user)
+      }
+    });
+  } catch (error) {
+    console.error('Update username error:', error);
+    res.status(500).json({ error: 'Failed to update username' });
+  }
+};
+
 // Delete user account
 const deleteUser = async (req, res) => {
   try {
@@ -207,11 +255,39 @@ const deleteUser = async (req, res) => {
       return res.status(403).json({ error: 'Can only delete your own account' });
     }
 
-    await User.findByIdAndDelete(id);
+    // Nothing is removed yet: the account is purged once the grace period is over
+    let user = req.user;
+    if (!user.deletionScheduledFor) {
+      const now = new Date();
+      user = await User.findByIdAndUpdate(
+        id,
+        {
+          deletionRequestedAt: now,
+          deletionScheduledFor: new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000)
+        },
+        { new: true }
+      );
+
+      // Scripts signed in with access tokens stop too; they aren't restored on cancel
+      await Promise.all([
+        revokeUserSessions(user._id, { exceptSessionId: req.sessionId }),
+        revokeUserAccessTokens(user._id)
+      ]);
+
+      console.log('[ACCOUNT_DELETION_SCHEDULED]', { userId: user._id, scheduledFor: user.deletionScheduledFor, timestamp: new Date() });
+
+      sendAccountDeletionScheduledEmail(user).catch(error => {
+        console.error('Send deletion scheduled email error:', error);
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Account deleted successfully'
+      message: `Account scheduled for deletion. You can cancel until ${user.deletionScheduledFor.toUTCString()}.`,
+      data: {
+        deletionRequestedAt: user.deletionRequestedAt,
+        deletionScheduledFor: user.deletionScheduledFor
+      }
     });
   } catch (error) {
     console.error('Delete user error:', error);
@@ -219,12 +295,38 @@ const deleteUser = async (req, res) => {
   }
 };
 
+// Cancel a scheduled account deletion during the grace period
+const cancelAccountDeletion = async (req, res) => {
+  try {
+    if (!req.user.deletionScheduledFor) {
+      return res.status(400).json({ error: 'Account is not scheduled for deletion' });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $unset: { deletionRequestedAt: 1, deletionScheduledFor: 1 }
+    });
+
+    console.log('[ACCOUNT_DELETION_CANCELLED]', { userId: req.user._id, timestamp: new Date() });
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({ error: 'Failed to cancel account deletion' });
+  }
+};
+
 // Get user's playlists
 const getUserPlaylists = async (req, res) => {
   try {
     const { id } = req.params;
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
+
+    const pagination = getPagination(req.query, { sort: { createdAt: -1 } });
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
 
     // Check if user exists
     const user = await User.findById(id);
@@ -232,20 +334,33 @@ const getUserPlaylists = async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    let query = { userId: id };
+    // Include playlists the user collaborates on
+    const collaborations = await PlaylistCollaborator.find({ userId: id, status: 'accepted' });
+    const collaboratorRoles = new Map(
+      collaborations.map(collaboration => [collaboration.playlistId.toString(), collaboration.role])
+    );
+
+    let query = {
+      $or: [
+        { userId: id },
+        { _id: { $in: collaborations.map(collaboration => collaboration.playlistId) } }
+      ]
+    };
     
     // If not the owner, only show public playlists
     if (!req.user || req.user._id.toString() !== id) {
       query.isPublic = true;
     }
 
-    const playlists = await Playlist.find(query)
+    const { filter, sort, skip, limit } = getPageQuery(pagination, query);
+    const fetched = await Playlist.find(filter)
       .populate('userId', 'username')
       .skip(skip)
-      .limit(parseInt(limit))
-      .sort({ createdAt: -1 });
+      .limit(limit)
+      .sort(sort);
 
     const total = await Playlist.countDocuments(query);
+    const { items: playlists, pagination: pageInfo } = buildPage(fetched, pagination, { total });
 
     // Add song count and user interaction status to each playlist
     const playlistsWithDetails = await Promise.all(
@@ -274,16 +389,19 @@ const getUserPlaylists = async (req, res) => {
         return {
           _id: playlist._id,
           title: playlist.title,
+          slug: playlist.slug,
           description: playlist.description,
           coverGradient: playlist.coverGradient,
           thumbnailUrl: playlist.thumbnailUrl,
           tags: playlist.tags,
           likesCount: playlist.likesCount,
           isPublic: playlist.isPublic,
+          visibility: getVisibility(playlist),
           createdAt: playlist.createdAt,
           updatedAt: playlist.updatedAt,
           username: playlist.userId.username,
           userAvatar: playlist.userId.avatarUrl,
+          role: collaboratorRoles.get(playlist._id.toString()) || 'owner',
           songCount,
           isLiked,
           isSaved
@@ -295,12 +413,7 @@ const getUserPlaylists = async (req, res) => {
       success: true,
       data: {
         playlists: playlistsWithDetails,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        pagination: pageInfo
       }
     });
   } catch (error) {
@@ -309,32 +422,62 @@ const getUserPlaylists = async (req, res) => {
   }
 };
 
-// NOTE: Follow/following features are not needed in v1
-/*
+// Profile fields shown in follower and following lists
+const FOLLOW_LIST_FIELDS = 'username avatarUrl bio followersCount followingCount playlistCount';
+
+// One page of a follow list. `field` is the side of each UserFollow that holds
+// the listed user; the viewer's relationship to each of them is added.
+// Returns { error } for an invalid cursor.
+const getFollowList = async (req, { match, field }) => {
+  const pagination = getPagination(req.query, { sort: { createdAt: -1 } });
+  if (pagination.error) {
+    return pagination;
+  }
+
+  const { filter, sort, skip, limit } = getPageQuery(pagination, match);
+  const [fetched, total] = await Promise.all([
+    UserFollow.find(filter)
+      .populate(field, FOLLOW_LIST_FIELDS)
+      .skip(skip)
+      .limit(limit)
+      .sort(sort),
+    UserFollow.countDocuments(match)
+  ]);
+  const { items: follows, pagination: pageInfo } = buildPage(fetched, pagination, { total });
+
+  // Accounts purged since the follow was made populate as null
+  const listed = follows.filter(follow => follow[field]);
+  const states = await getFollowStates(req.user, listed.map(follow => follow[field]._id));
+
+  return {
+    users: listed.map(follow => ({
+      ...follow[field].toObject(),
+      ...states.get(follow[field]._id.toString()),
+      followedAt: follow.createdAt
+    })),
+    pagination: pageInfo
+  };
+};
+
+// Get user's followers
 const getUserFollowers = async (req, res) => {
   try {
     const { id } = req.params;
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
 
-    const followers = await UserFollow.find({ followingId: id })
-      .populate('followerId', '-passwordHash')
-      .skip(skip)
-      .limit(parseInt(limit))
-      .sort({ createdAt: -1 });
+    if (!mongoose.Types.ObjectId.isValid(id) || !await User.exists({ _id: id })) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-    const total = await UserFollow.countDocuments({ followingId: id });
+    const list = await getFollowList(req, { match: { followingId: id }, field: 'followerId' });
+    if (list.error) {
+      return res.status(400).json({ error: list.error });
+    }
 
     res.json({
       success: true,
       data: {
-        followers: followers.map(f => f.followerId),
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        followers: list.users,
+        pagination: list.pagination
       }
     });
   } catch (error) {
@@ -347,27 +490,21 @@ const getUserFollowers = async (req, res) => {
 const getUserFollowing = async (req, res) => {
   try {
     const { id } = req.params;
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
 
-    const following = await UserFollow.find({ followerId: id })
-      .populate('followingId', '-passwordHash')
-      .skip(skip)
-      .limit(parseInt(limit))
-      .sort({ createdAt: -1 });
+    if (!mongoose.Types.ObjectId.isValid(id) || !await User.exists({ _id: id })) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-    const total = await UserFollow.countDocuments({ followerId: id });
+    const list = await getFollowList(req, { match: { followerId: id }, field: 'followingId' });
+    if (list.error) {
+      return res.status(400).json({ error: list.error });
+    }
 
     res.json({
       success: true,
       data: {
-        following: following.map(f => f.followingId),
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        following: list.users,
+        pagination: list.pagination
       }
     });
   } catch (error) {
@@ -382,38 +519,53 @@ const followUser = async (req, res) => {
     const { id } = req.params;
     const followerId = req.user._id;
 
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
     if (followerId.toString() === id) {
       return res.status(400).json({ error: 'Cannot follow yourself' });
     }
 
-    // Check if already following
-    const existingFollow = await UserFollow.findOne({
-      followerId,
-      followingId: id
-    });
+    const target = await User.findById(id).select('_id deletionScheduledFor');
+    if (!target || target.deletionScheduledFor) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-    if (existingFollow) {
-      return res.status(409).json({ error: 'Already following this user' });
+    // Create the follow and update both counters together
+    let updatedUser;
+    try {
+      updatedUser = await withTransaction(async (session) => {
+        await UserFollow.create([{ followerId, followingId: id }], { session });
+        await User.findByIdAndUpdate(followerId, { $inc: { followingCount: 1 } }, { session });
+        return User.findByIdAndUpdate(id, { $inc: { followersCount: 1 } }, { new: true, session });
+      });
+    } catch (error) {
+      // Already following, possibly from a concurrent request
+      if (error.code === 11000) {
+        return res.status(409).json({ error: 'Already following this user' });
+      }
+      throw error;
     }
 
-    // Create follow relationship
-    const follow = new UserFollow({
-      followerId,
-      followingId: id
+    await createNotification({
+      userId: id,
+      type: 'user_follow',
+      actorId: followerId
     });
-    await follow.save();
 
-    // Update counts
-    await User.findByIdAndUpdate(followerId, { $inc: { followingCount: 1 } });
-    const updatedUser = await User.findByIdAndUpdate(id, { $inc: { followersCount: 1 } }, { new: true });
+    const { followsYou, isMutual } = await getFollowState(req.user, target._id);
 
-    console.log('[USER_FOLLOWED]', { followerId, followingId: id, timestamp: new Date() });
+    console.log('[USER_FOLLOWED]', { followerId, followingId: id, isMutual, timestamp: new Date() });
 
     res.json({
       success: true,
       message: 'Successfully followed user',
       data: {
-        followersCount: updatedUser.followersCount
+        followersCount: updatedUser.followersCount,
+        isFollowing: true,
+        followsYou,
+        isMutual
       }
     });
   } catch (error) {
@@ -428,24 +580,38 @@ const unfollowUser = async (req, res) => {
     const { id } = req.params;
     const followerId = req.user._id;
 
-    const follow = await UserFollow.findOneAndDelete({
-      followerId,
-      followingId: id
-    });
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-    if (!follow) {
+    // Remove the follow and update both counters together
+    const updatedUser = await withTransaction(async (session) => {
+      const follow = await UserFollow.findOneAndDelete({ followerId, followingId: id }, { session });
+      if (!follow) {
+        return null;
+      }
+
+      await User.findByIdAndUpdate(followerId, { $inc: { followingCount: -1 } }, { session });
+      return User.findByIdAndUpdate(id, { $inc: { followersCount: -1 } }, { new: true, session });
+    });
+    if (updatedUser === null) {
       return res.status(404).json({ error: 'Not following this user' });
     }
 
-    // Update counts
-    await User.findByIdAndUpdate(followerId, { $inc: { followingCount: -1 } });
-    const updatedUser = await User.findByIdAndUpdate(id, { $inc: { followersCount: -1 } }, { new: true });
+    await Notification.findOneAndDelete({
+      userId: id,
+      type: 'user_follow',
+      actorId: followerId
+    }).catch(err => console.error('Delete notification error:', err));
+
+    console.log('[USER_UNFOLLOWED]', { followerId, followingId: id, timestamp: new Date() });
 
     res.json({
       success: true,
       message: 'Successfully unfollowed user',
       data: {
-        followersCount: updatedUser.followersCount
+        followersCount: updatedUser.followersCount,
+        isFollowing: false
       }
     });
   } catch (error) {
@@ -453,7 +619,6 @@ const unfollowUser = async (req, res) => {
     res.status(500).json({ error: 'Failed to unfollow user' });
   }
 };
-*/
 
 // Upload profile picture
 const uploadProfilePicture = async (req, res) => {
@@ -514,12 +679,14 @@ module.exports = {
   getUserByUsername,
   getUserById,
   updateUser,
+  updateUsername,
+  updateUsernameSchema,
   deleteUser,
+  cancelAccountDeletion,
   getUserPlaylists,
   uploadProfilePicture,
-  // NOTE: Follow/following features are not needed in v1
-  // getUserFollowers,
-  // getUserFollowing,
-  // followUser,
-  // unfollowUser
+  getUserFollowers,
+  getUserFollowing,
+  followUser,
+  unfollowUser
 };
\ No newline at end of file
@@ -0,0 +1,273 @@
+const AccountExport = require('../models/AccountExport');
+const User = require('../models/User');
+const Playlist = require('../models/Playlist');
+const Song = require('../models/Song');
+const PlaylistLike = require('../models/PlaylistLike');
+const SavedPlaylist = require('../models/SavedPlaylist');
+const SavedSong = require('../models/SavedSong');
+const PlaylistCollaborator = require('../models/PlaylistCollaborator');
+const UserFollow = require('../models/UserFollow');
+const Notification = require('../models/Notification');
+const { createZip } = require('../services/zipArchive');
+const { getPlaylistWriter } = require('../services/playlistFormats');
+const { getSignInMethods } = require('../services/identities');
+const { getVisibility } = require('../services/playlistVisibility');
+const { sendAccountExportReadyEmail } = require('../services/emails');
+const { generateSlug } = require('../utils/helpers');
+const { runJobFromCli, scheduleJob } = require('./cli');
+
+const RETENTION = (parseInt(process.env.ACCOUNT_EXPORT_RETENTION_HOURS) || 72) * 60 * 60 * 1000;
+const EXPORT_INTERVAL = 60 * 1000;
+// An export still processing after this long was lost (e.g. the worker died)
+const EXPORT_STALE_AFTER = 30 * 60 * 1000;
+// Archives are stored on the export document, which MongoDB caps at 16MB
+const MAX_ARCHIVE_SIZE = 15 * 1024 * 1024;
+
+const README = `vibecheck account export
+
+profile.json          Your profile, social links and sign-in methods
+playlists.json        Your playlists with all of their songs, including those in the trash
+playlists/*.m3u8      Each playlist as an M3U8 file for other music apps
+collaborations.json   Playlists you were invited to collaborate on
+likes.json            Playlists you liked
+saved-playlists.json  Playlists you saved
+saved-songs.json      Songs you saved
+following.json        Accounts you follow
+followers.json        Accounts following you
+notifications.json    Your notifications
+`;
+
+const toJson = (value) => JSON.stringify(value, null, 2);
+
+const renderPlaylistFile = (playlist, songs) => {
+  const writer = getPlaylistWriter('m3u8');
+  return writer.header(playlist) + songs.map((song, index) => writer.song(song, index)).join('') + writer.footer(playlist);
+};
+
+// Collect everything tied to the account into a ZIP archive
+const buildAccountArchive = async (user) => {
+  const userId = user._id;
+
+  const [playlists, collaborations, likes, savedPlaylists, savedSongs, notifications, following, followers] = await Promise.all([
+    // Playlists in the trash are still the user's until they are purged
+    Playlist.find({ userId }).setOptions({ includeDeleted: true }).populate('userId', 'username').sort({ createdAt: 1 }),
+    PlaylistCollaborator.find({ userId }).populate('playlistId', 'title').lean(),
+    PlaylistLike.find({ userId }).populate('playlistId', 'title').lean(),
+    SavedPlaylist.find({ userId }).populate('playlistId', 'title').lean(),
+    SavedSong.find({ userId }).populate('songId', 'title artist url playlistId').lean(),
+    Notification.find({ userId }).populate('actorId', 'username').populate('playlistId', 'title').lean(),
+    UserFollow.find({ followerId: userId }).populate('followingId', 'username').sort({ createdAt: 1 }).lean(),
+    UserFollow.find({ followingId: userId }).populate('followerId', 'username').sort({ createdAt: 1 }).lean()
+  ]);
+
+  const songs = await Song.find({ playlistId: { $in: playlists.map(playlist => playlist._id) } }).sort({ position: 1 });
+  const songsByPlaylist = new Map(playlists.map(playlist => [playlist._id.toString(), []]));
+  songs.forEach(song => songsByPlaylist.get(song.playlistId.toString()).push(song));
+
+  const playlistRef = (playlist) => playlist ? { _id: playlist._id, title: playlist.title } : null;
+  const userRef = (account) => account ? { _id: account._id, username: account.username } : null;
+
+  const files = [
+    { name: 'README.txt', content: README },
+    {
+      name: 'profile.json',
+      content: toJson({
+        _id: user._id,
+        username: user.username,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        role: user.role,
+        bio: user.bio,
+        avatarUrl: user.avatarUrl,
+        socialLinks: user.socialLinks,
+        signInMethods: getSignInMethods(user),
+        twoFactorEnabled: user.twoFactor?.enabled || false,
+        playlistCount: user.playlistCount,
+        followersCount: user.followersCount,
+        followingCount: user.followingCount,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt
+      })
+    },
+    {
+      name: 'playlists.json',
+      content: toJson(playlists.map(playlist => ({
+        _id: playlist._id,
+        title: playlist.title,
+        description: playlist.description,
+        tags: playlist.tags,
+        coverGradient: playlist.coverGradient,
+        thumbnailUrl: playlist.thumbnailUrl,
+        isPublic: playlist.isPublic,
+        visibility: getVisibility(playlist),
+        likesCount: playlist.likesCount,
+        forkedFrom: playlist.forkedFrom,
+        trashed: Boolean(playlist.deletedAt),
+        deletedAt: playlist.deletedAt,
+        createdAt: playlist.createdAt,
+        updatedAt: playlist.updatedAt,
+        songs: songsByPlaylist.get(playlist._id.toString()).map(song => ({
+          _id: song._id,
+          title: song.title,
+          artist: song.artist,
+          url: song.url,
+          platform: song.platform,
+          thumbnail: song.thumbnail,
+          position: song.position,
+          createdAt: song.createdAt
+        }))
+      })))
+    },
+    {
+      name: 'collaborations.json',
+      content: toJson(collaborations.map(collaboration => ({
+        playlist: playlistRef(collaboration.playlistId),
+        role: collaboration.role,
+        status: collaboration.status,
+        createdAt: collaboration.createdAt,
+        respondedAt: collaboration.respondedAt
+      })))
+    },
+    {
+      name: 'likes.json',
+      content: toJson(likes.map(like => ({ playlist: playlistRef(like.playlistId), likedAt: like.createdAt })))
+    },
+    {
+      name: 'saved-playlists.json',
+      content: toJson(savedPlaylists.map(save => ({ playlist: playlistRef(save.playlistId), savedAt: save.createdAt })))
+    },
+    {
+      name: 'saved-songs.json',
+      content: toJson(savedSongs.map(save => ({
+        song: save.songId ? {
+          _id: save.songId._id,
+          title: save.songId.title,
+          artist: save.songId.artist,
+          url: save.songId.url,
+          playlistId: save.songId.playlistId
+        } : null,
+        savedAt: save.createdAt
+      })))
+    },
+    {
+      name: 'following.json',
+      content: toJson(following.map(follow => ({ user: userRef(follow.followingId), followedAt: follow.createdAt })))
+    },
+    {
+      name: 'followers.json',
+      content: toJson(followers.map(follow => ({ user: userRef(follow.followerId), followedAt: follow.createdAt })))
+    },
+    {
+      name: 'notifications.json',
+      content: toJson(notifications.map(notification => ({
+        type: notification.type,
+        actor: notification.actorId?.username || null,
+        playlist: playlistRef(notification.playlistId),
+        isRead: notification.isRead,
+        createdAt: notification.createdAt
+      })))
+    }
+  ];
+
+  // Slugs can repeat (or be empty), so prefix each file with its position
+  playlists.forEach((playlist, index) => {
+    const slug = generateSlug(playlist.title) || 'playlist';
+    files.push({
+      name: `playlists/${String(index + 1).padStart(3, '0')}-${slug}.m3u8`,
+      content: renderPlaylistFile(playlist, songsByPlaylist.get(playlist._id.toString()))
+    });
+  });
+
+  return createZip(files);
+};
+
+// Drop archives past their expiry
+const cleanupExpiredExports = async () => {
+  const result = await AccountExport.updateMany(
+    { status: 'completed', expiresAt: { $lte: new Date() } },
+    { $set: { status: 'expired' }, $unset: { archive: 1 } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`Cleaned up ${result.modifiedCount} expired account exports`);
+  }
+  return result.modifiedCount;
+};
+
+// Build the archive for a pending export and mark it completed or failed
+const runAccountExport = async (exportId) => {
+  const accountExport = await AccountExport.findOneAndUpdate(
+    { _id: exportId, status: 'pending' },
+    { status: 'processing', startedAt: new Date() },
+    { new: true }
+  );
+  if (!accountExport) {
+    return;
+  }
+
+  try {
+    const user = await User.findById(accountExport.userId).select('+identities');
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const archive = await buildAccountArchive(user);
+    if (archive.length > MAX_ARCHIVE_SIZE) {
+      throw new Error(`Archive is too large to store (${archive.length} bytes)`);
+    }
+
+    accountExport.set({
+      status: 'completed',
+      archive,
+      size: archive.length,
+      completedAt: new Date(),
+      expiresAt: new Date(Date.now() + RETENTION)
+    });
+    await accountExport.save();
+
+    console.log('[ACCOUNT_EXPORT_COMPLETED]', { exportId, userId: user._id, size: archive.length, timestamp: new Date() });
+
+    await sendAccountExportReadyEmail(user, accountExport).catch(error => {
+      console.error('Send export ready email error:', error);
+    });
+  } catch (error) {
+    console.error('Account export error:', error);
+    accountExport.set({ status: 'failed', error: error.message });
+    await accountExport.save();
+  }
+};
+
+// Build every requested export, oldest first. Requests are only recorded by
+// the API, so this has to run somewhere that stays up long enough: on a
+// schedule in the server, or from cron with `npm run process:exports`.
+const processPendingExports = async () => {
+  await cleanupExpiredExports();
+
+  await AccountExport.updateMany(
+    { status: 'processing', startedAt: { $lte: new Date(Date.now() - EXPORT_STALE_AFTER) } },
+    { status: 'failed', error: 'Export timed out' }
+  );
+
+  const pending = await AccountExport.find({ status: 'pending' }).sort({ createdAt: 1 }).select('_id');
+  for (const { _id } of pending) {
+    await runAccountExport(_id);
+  }
+
+  if (pending.length > 0) {
+    console.log(`Processed ${pending.length} account exports`);
+  }
+  return pending.length;
+};
+
+const scheduleAccountExports = () => scheduleJob('Account export', processPendingExports, EXPORT_INTERVAL);
+
+if (require.main === module) {
+  runJobFromCli(processPendingExports);
+}
+
+module.exports = {
+  EXPORT_STALE_AFTER,
+  runAccountExport,
+  processPendingExports,
+  cleanupExpiredExports,
+  scheduleAccountExports
+};
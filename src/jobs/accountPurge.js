@@ -0,0 +1,149 @@
+const User = require('../models/User');
+const Playlist = require('../models/Playlist');
+const Song = require('../models/Song');
+const PlaylistLike = require('../models/PlaylistLike');
+const UserFollow = require('../models/UserFollow');
+const SavedPlaylist = require('../models/SavedPlaylist');
+const SavedSong = require('../models/SavedSong');
+const PlaylistCollaborator = require('../models/PlaylistCollaborator');
+const PlaylistRevision = require('../models/PlaylistRevision');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const AccountExport = require('../models/AccountExport');
+const UsernameHistory = require('../models/UsernameHistory');
+const cloudinary = require('../config/cloudinary');
+const { purgePlaylist } = require('../services/playlistDeletion');
+const { withTransaction } = require('../utils/transaction');
+const { runJobFromCli, scheduleJob } = require('./cli');
+
+const PURGE_INTERVAL = 60 * 60 * 1000;
+// Rows deleted (and taken out of counters) per transaction
+const PURGE_BATCH_SIZE = 500;
+
+const deleteAvatar = async (user) => {
+  if (!user.avatarUrl || !user.avatarUrl.includes('cloudinary.com')) {
+    return;
+  }
+
+  try {
+    const urlParts = user.avatarUrl.split('/');
+    const publicIdWithExtension = urlParts[urlParts.length - 1];
+    await cloudinary.uploader.destroy(`profile-pictures/${publicIdWithExtension.split('.')[0]}`);
+  } catch (cloudinaryError) {
+    console.error('Error deleting avatar from Cloudinary:', cloudinaryError);
+  }
+};
+
+// Delete the rows matching filter a batch at a time, calling
+// decrement(rows, session) for each batch in the same transaction so the
+// counters and the rows change together. On deployments without
+// transactions a failure in between can leave counters off until the
+// counter reconciliation job recomputes them.
+const deleteCountedRows = async (Model, filter, decrement) => {
+  let deleted = 0;
+  for (;;) {
+    const count = await withTransaction(async (session) => {
+      const rows = await Model.find(filter).limit(PURGE_BATCH_SIZE).session(session);
+      if (rows.length === 0) {
+        return 0;
+      }
+      await decrement(rows, session);
+      await Model.deleteMany({ _id: { $in: rows.map(row => row._id) } }, { session });
+      return rows.length;
+    });
+    if (count === 0) {
+      return deleted;
+    }
+    deleted += count;
+  }
+};
+
+// Remove a user and everything they own. Contributions to other people's
+// playlists stay but lose their author; moderation logs are kept as an audit trail.
+const purgeAccount = async (user) => {
+  const userId = user._id;
+
+  const playlists = await Playlist.find({ userId }).setOptions({ includeDeleted: true });
+  for (const playlist of playlists) {
+    await purgePlaylist(playlist);
+  }
+
+  // Take the user's likes and follows back out of other people's counters
+  const likes = await deleteCountedRows(PlaylistLike, { userId }, (rows, session) => Playlist.updateMany(
+    { _id: { $in: rows.map(like => like.playlistId) }, likesCount: { $gt: 0 } },
+    { $inc: { likesCount: -1 } },
+    { session }
+  ));
+  await deleteCountedRows(UserFollow, { followerId: userId }, (rows, session) => User.updateMany(
+    { _id: { $in: rows.map(follow => follow.followingId) }, followersCount: { $gt: 0 } },
+    { $inc: { followersCount: -1 } },
+    { session }
+  ));
+  await deleteCountedRows(UserFollow, { followingId: userId }, (rows, session) => User.updateMany(
+    { _id: { $in: rows.map(follow => follow.followerId) }, followingCount: { $gt: 0 } },
+    { $inc: { followingCount: -1 } },
+    { session }
+  ));
+
+  await Promise.all([
+    SavedPlaylist.deleteMany({ userId }),
+    SavedSong.deleteMany({ userId }),
+    PlaylistCollaborator.deleteMany({ userId }),
+    Notification.deleteMany({ $or: [{ userId }, { actorId: userId }] }),
+    Session.deleteMany({ userId }),
+    AuthToken.deleteMany({ userId }),
+    PersonalAccessToken.deleteMany({ userId }),
+    AccountExport.deleteMany({ userId }),
+    UsernameHistory.deleteMany({ userId }),
+    Song.updateMany({ addedBy: userId }, { $unset: { addedBy: 1 } }),
+    Playlist.updateMany({ forkedFromUserId: userId }, { $unset: { forkedFromUserId: 1 } }),
+    PlaylistRevision.updateMany({ authorId: userId }, { $unset: { authorId: 1 } }),
+    PlaylistRevision.updateMany(
+      { 'snapshot.songs.addedBy': userId },
+      { $unset: { 'snapshot.songs.$[song].addedBy': 1 } },
+      { arrayFilters: [{ 'song.addedBy': userId }] }
+    )
+  ]);
+
+  await deleteAvatar(user);
+  await User.findByIdAndDelete(userId);
+
+  console.log('[ACCOUNT_PURGED]', { userId, playlists: playlists.length, likes, timestamp: new Date() });
+};
+
+// Purge every account whose deletion grace period has run out
+const purgeDueAccounts = async () => {
+  const users = await User.find({ deletionScheduledFor: { $lte: new Date() } });
+
+  let purged = 0;
+  for (const user of users) {
+    try {
+      await purgeAccount(user);
+      purged++;
+    } catch (error) {
+      // Leave the account scheduled so the next run retries it
+      console.error('Purge account error:', { userId: user._id, error });
+    }
+  }
+
+  if (purged > 0) {
+    console.log(`Purged ${purged} deleted accounts`);
+  }
+  return purged;
+};
+
+// Run the purge periodically for as long as the server is up
+const scheduleAccountPurge = () => scheduleJob('Account purge', purgeDueAccounts, PURGE_INTERVAL);
+
+// Also runnable on its own, e.g. from cron: `npm run purge:accounts`
+if (require.main === module) {
+  runJobFromCli(purgeDueAccounts);
+}
+
+module.exports = {
+  purgeAccount,
+  purgeDueAccounts,
+  scheduleAccountPurge
+};
@@ -0,0 +1,26 @@
+// Run a job once from the command line (e.g. from cron) against MONGODB_URI
+const runJobFromCli = (job) => {
+  require('dotenv').config();
+  const mongoose = require('mongoose');
+
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => job())
+    .then(() => mongoose.disconnect())
+    .catch(async (error) => {
+      console.error('Job failed:', error);
+      await mongoose.disconnect();
+      process.exit(1);
+    });
+};
+
+// Run a job every interval (and right away, unless runNow is false) for as
+// long as the server is up
+const scheduleJob = (name, job, interval, { runNow = true } = {}) => {
+  const run = () => job().catch(err => console.error(`${name} job error:`, err));
+  setInterval(run, interval).unref();
+  if (runNow) {
+    setImmediate(run);
+  }
+};
+
+module.exports = { runJobFromCli, scheduleJob };
@@ -0,0 +1,149 @@
+const User = require('../models/User');
+const Playlist = require('../models/Playlist');
+const PlaylistLike = require('../models/PlaylistLike');
+const UserFollow = require('../models/UserFollow');
+const { runJobFromCli, scheduleJob } = require('./cli');
+
+// Off unless configured: a full pass reads every playlist and user
+const RECONCILE_INTERVAL_HOURS = parseInt(process.env.COUNTER_RECONCILE_INTERVAL_HOURS) || 0;
+const SAMPLE_SIZE = 20;
+
+// Map of String(groupField) => number of matching documents
+const countBy = async (Model, field, match = {}) => {
+  const rows = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+  ]);
+  return new Map(rows.map(row => [String(row._id), row.count]));
+};
+
+// Compare one counter field on every document against the counts computed up
+// front. Those go stale while the pass runs, so each document that looks
+// drifted is recounted just before it's fixed, and the fix only applies if the
+// stored value hasn't changed since it was read. A like or delete landing in
+// between makes the update miss; the next run picks that document up.
+const reconcileCounter = async ({ Model, field, actualCounts, recount, cursorOptions = {}, dryRun }) => {
+  const report = { checked: 0, drifted: 0, fixed: 0, totalDrift: 0, samples: [] };
+
+  const cursor = Model.find({}).setOptions(cursorOptions).select(field).lean().cursor();
+  for await (const doc of cursor) {
+    report.checked++;
+
+    const stored = doc[field] || 0;
+    if (stored === (actualCounts.get(doc._id.toString()) || 0)) {
+      continue;
+    }
+
+    const actual = await recount(doc._id);
+    if (stored === actual) {
+      continue;
+    }
+
+    const drift = stored - actual;
+    report.drifted++;
+    report.totalDrift += Math.abs(drift);
+    if (report.samples.length < SAMPLE_SIZE) {
+      report.samples.push({ _id: doc._id, stored, actual, drift });
+    }
+
+    if (!dryRun) {
+      const result = await Model.updateOne(
+        { _id: doc._id, [field]: doc[field] ?? null },
+        { $set: { [field]: actual } }
+      );
+      report.fixed += result.modifiedCount;
+    }
+  }
+
+  return report;
+};
+
+// Recompute Playlist.likesCount, Playlist.forksCount, User.playlistCount,
+// User.followersCount and User.followingCount. With dryRun the drift is only
+// reported.
+const reconcileCounters = async ({ dryRun = false } = {}) => {
+  const startedAt = new Date();
+
+  // Trashed playlists keep their likes (they come back on restore) but don't
+  // count towards their owner's playlistCount or the original's forksCount
+  const [likeCounts, playlistCounts, forkCounts, followerCounts, followingCounts] = await Promise.all([
+    countBy(PlaylistLike, 'playlistId'),
+    countBy(Playlist, 'userId'),
+    countBy(Playlist, 'forkedFrom', { forkedFrom: { $ne: null } }),
+    countBy(UserFollow, 'followingId'),
+    countBy(UserFollow, 'followerId')
+  ]);
+
+  const report = {
+    dryRun,
+    likesCount: await reconcileCounter({
+      Model: Playlist,
+      field: 'likesCount',
+      actualCounts: likeCounts,
+      recount: (playlistId) => PlaylistLike.countDocuments({ playlistId }),
+      cursorOptions: { includeDeleted: true },
+      dryRun
+    }),
+    forksCount: await reconcileCounter({
+      Model: Playlist,
+      field: 'forksCount',
+      actualCounts: forkCounts,
+      recount: (forkedFrom) => Playlist.countDocuments({ forkedFrom }),
+      cursorOptions: { includeDeleted: true },
+      dryRun
+    }),
+    playlistCount: await reconcileCounter({
+      Model: User,
+      field: 'playlistCount',
+      actualCounts: playlistCounts,
+      recount: (userId) => Playlist.countDocuments({ userId }),
+      dryRun
+    }),
+    followersCount: await reconcileCounter({
+      Model: User,
+      field: 'followersCount',
+      actualCounts: followerCounts,
+      recount: (followingId) => UserFollow.countDocuments({ followingId }),
+      dryRun
+    }),
+    followingCount: await reconcileCounter({
+      Model: User,
+      field: 'followingCount',
+      actualCounts: followingCounts,
+      recount: (followerId) => UserFollow.countDocuments({ followerId }),
+      dryRun
+    }),
+    durationMs: Date.now() - startedAt.getTime()
+  };
+
+  console.log('[COUNTERS_RECONCILED]', {
+    dryRun,
+    likesCount: { drifted: report.likesCount.drifted, fixed: report.likesCount.fixed },
+    forksCount: { drifted: report.forksCount.drifted, fixed: report.forksCount.fixed },
+    playlistCount: { drifted: report.playlistCount.drifted, fixed: report.playlistCount.fixed },
+    followersCount: { drifted: report.followersCount.drifted, fixed: report.followersCount.fixed },
+    followingCount: { drifted: report.followingCount.drifted, fixed: report.followingCount.fixed },
+    timestamp: new Date()
+  });
+
+  return report;
+};
+
+const scheduleCounterReconciliation = () => {
+  if (RECONCILE_INTERVAL_HOURS > 0) {
+    scheduleJob('Counter reconciliation', reconcileCounters, RECONCILE_INTERVAL_HOURS * 60 * 60 * 1000, { runNow: false });
+  }
+};
+
+// Also runnable on its own: `npm run reconcile:counters [-- --dry-run]`
+if (require.main === module) {
+  runJobFromCli(async () => {
+    const report = await reconcileCounters({ dryRun: process.argv.includes('--dry-run') });
+    console.log(JSON.stringify(report, null, 2));
+  });
+}
+
+module.exports = {
+  reconcileCounters,
+  scheduleCounterReconciliation
+};
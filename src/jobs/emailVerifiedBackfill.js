@@ -0,0 +1,22 @@
+const User = require('../models/User');
+const { runJobFromCli } = require('./cli');
+
+// Accounts created before email verification existed have no emailVerified
+// field. Treat them as verified so turning on REQUIRE_VERIFIED_EMAIL_FOR
+// doesn't lock existing users out. Run once before enabling it:
+// `npm run backfill:email-verified`
+const backfillEmailVerified = async () => {
+  const result = await User.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+
+  console.log(`Marked ${result.modifiedCount} existing accounts as verified`);
+  return result.modifiedCount;
+};
+
+if (require.main === module) {
+  runJobFromCli(backfillEmailVerified);
+}
+
+module.exports = { backfillEmailVerified };
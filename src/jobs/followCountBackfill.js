@@ -0,0 +1,23 @@
+const User = require('../models/User');
+const { runJobFromCli } = require('./cli');
+
+// Accounts created while following was switched off have no followersCount or
+// followingCount field, which leaves them out of range queries and makes them
+// sort apart from accounts with a 0. Nobody could follow anyone then, so 0 is
+// right for all of them. Run once when upgrading:
+// `npm run backfill:follow-counts`
+const backfillFollowCounts = async () => {
+  const [followers, following] = await Promise.all([
+    User.updateMany({ followersCount: { $exists: false } }, { $set: { followersCount: 0 } }),
+    User.updateMany({ followingCount: { $exists: false } }, { $set: { followingCount: 0 } })
+  ]);
+
+  console.log(`Set followersCount on ${followers.modifiedCount} and followingCount on ${following.modifiedCount} accounts`);
+  return { followersCount: followers.modifiedCount, followingCount: following.modifiedCount };
+};
+
+if (require.main === module) {
+  runJobFromCli(backfillFollowCounts);
+}
+
+module.exports = { backfillFollowCounts };
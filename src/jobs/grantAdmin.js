@@ -0,0 +1,39 @@
+const User = require('../models/User');
+const { runJobFromCli } = require('./cli');
+
+// Roles can only be changed by an admin, so the first one has to be granted
+// from the command line: `npm run grant:admin -- <email or username>`
+const grantAdmin = async (identifier) => {
+  if (!identifier) {
+    throw new Error('Usage: npm run grant:admin -- <email or username>');
+  }
+
+  const value = identifier.trim();
+  const user = await User.findOne({
+    $or: [{ email: value }, { usernameLower: value.toLowerCase() }, { username: value }]
+  });
+  if (!user) {
+    throw new Error(`No user found for "${identifier}"`);
+  }
+
+  if (user.role === 'admin') {
+    console.log(`${user.username} is already an admin`);
+    return user;
+  }
+
+  user.role = 'admin';
+  await user.save();
+
+  console.log('[ADMIN_GRANTED]', {
+    userId: user._id,
+    username: user.username,
+    timestamp: new Date()
+  });
+  return user;
+};
+
+if (require.main === module) {
+  runJobFromCli(() => grantAdmin(process.argv[2]));
+}
+
+module.exports = { grantAdmin };
@@ -0,0 +1,38 @@
+const Playlist = require('../models/Playlist');
+const { generateUniqueSlug, isSlugConflict } = require('../services/playlistSlugs');
+const { runJobFromCli } = require('./cli');
+
+// Give playlists created before slugs existed one. A one-off migration (it
+// scans every playlist without a slug), safe to run repeatedly.
+const backfillPlaylistSlugs = async () => {
+  const cursor = Playlist.find({ slug: { $exists: false } })
+    .setOptions({ includeDeleted: true })
+    .select('userId title')
+    .cursor();
+
+  let updated = 0;
+  for await (const playlist of cursor) {
+    const slug = await generateUniqueSlug(playlist.userId, playlist.title);
+    try {
+      const result = await Playlist.updateOne({ _id: playlist._id, slug: { $exists: false } }, { slug });
+      updated += result.modifiedCount;
+    } catch (error) {
+      // A playlist created meanwhile took the slug; the next run picks another
+      if (!isSlugConflict(error)) {
+        throw error;
+      }
+    }
+  }
+
+  if (updated > 0) {
+    console.log(`Backfilled slugs for ${updated} playlists`);
+  }
+  return updated;
+};
+
+// Run once when upgrading: `npm run backfill:slugs`
+if (require.main === module) {
+  runJobFromCli(backfillPlaylistSlugs);
+}
+
+module.exports = { backfillPlaylistSlugs };
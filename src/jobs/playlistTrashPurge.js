@@ -0,0 +1,39 @@
+const Playlist = require('../models/Playlist');
+const { purgePlaylist, PLAYLIST_TRASH_DAYS } = require('../services/playlistDeletion');
+const { runJobFromCli, scheduleJob } = require('./cli');
+
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+// Purge playlists that have been in the trash longer than PLAYLIST_TRASH_DAYS
+const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - PLAYLIST_TRASH_DAYS * 24 * 60 * 60 * 1000);
+  const playlists = await Playlist.find({ deletedAt: { $lte: cutoff } });
+
+  let purged = 0;
+  for (const playlist of playlists) {
+    try {
+      await purgePlaylist(playlist);
+      purged++;
+    } catch (error) {
+      // Left in the trash so the next run retries it
+      console.error('Purge trashed playlist error:', { playlistId: playlist._id, error });
+    }
+  }
+
+  if (purged > 0) {
+    console.log(`Purged ${purged} playlists from the trash`);
+  }
+  return purged;
+};
+
+const schedulePlaylistTrashPurge = () => scheduleJob('Playlist trash purge', purgeExpiredTrash, PURGE_INTERVAL);
+
+// Also runnable on its own, e.g. from cron: `npm run purge:trash`
+if (require.main === module) {
+  runJobFromCli(purgeExpiredTrash);
+}
+
+module.exports = {
+  purgeExpiredTrash,
+  schedulePlaylistTrashPurge
+};
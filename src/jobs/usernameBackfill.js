@@ -0,0 +1,42 @@
+const User = require('../models/User');
+const { runJobFromCli } = require('./cli');
+
+// Fill in usernameLower for accounts created before usernames became
+// case-insensitive. Accounts whose name clashes with another one in a
+// different case are left out and reported. A one-off migration (it scans
+// every account without usernameLower), safe to run repeatedly.
+const backfillUsernameLower = async () => {
+  const cursor = User.find({ usernameLower: { $exists: false } }).select('username').cursor();
+
+  let updated = 0;
+  const clashes = [];
+  for await (const user of cursor) {
+    try {
+      const result = await User.updateOne(
+        { _id: user._id, usernameLower: { $exists: false } },
+        { usernameLower: user.username.toLowerCase() }
+      );
+      updated += result.modifiedCount;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      clashes.push({ userId: user._id, username: user.username });
+    }
+  }
+
+  if (updated > 0) {
+    console.log(`Backfilled usernameLower for ${updated} users`);
+  }
+  if (clashes.length > 0) {
+    console.log('[USERNAME_CASE_CLASHES]', { clashes, timestamp: new Date() });
+  }
+  return { updated, clashes };
+};
+
+// Run once when upgrading: `npm run backfill:usernames`
+if (require.main === module) {
+  runJobFromCli(backfillUsernameLower);
+}
+
+module.exports = { backfillUsernameLower };
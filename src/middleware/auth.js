@@ -1,5 +1,45 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const {
+  verifyAccessToken,
+  getActiveSession,
+  isPersonalAccessToken,
+  verifyPersonalAccessToken
+} = require('../services/tokenService');
+
+// Scopes the current route declared with requireScope(). Personal access
+// tokens are refused on routes that declare none, so account management
+// endpoints stay session-only without having to opt out.
+const getDeclaredScopes = (req) => {
+  return (req.route?.stack || [])
+    .map(layer => layer.handle.requiredScope)
+    .filter(Boolean);
+};
+
+// Resolve a bearer token to { user, sessionId } or { user, tokenScopes }.
+// Returns null if the token is not valid here.
+const resolveToken = async (req, token) => {
+  if (isPersonalAccessToken(token)) {
+    if (getDeclaredScopes(req).length === 0) {
+      return null;
+    }
+
+    const accessToken = await verifyPersonalAccessToken(token);
+    const user = accessToken && await User.findById(accessToken.userId);
+    return user ? { user, tokenScopes: accessToken.scopes } : null;
+  }
+
+  const decoded = verifyAccessToken(token);
+  const [user, session] = await Promise.all([
+    User.findById(decoded.userId),
+    getActiveSession(decoded.sid)
+  ]);
+
+  if (!user) {
+    return null;
+  }
+
+  return session ? { user, sessionId: decoded.sid } : { user, revoked: true };
+};
 
 const authenticate = async (req, res, next) => {
   try {
@@ -9,14 +49,19 @@ const authenticate = async (req, res, next) => {
       return res.status(401).json({ error: 'Access token required' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
+    const auth = await resolveToken(req, token);
     
-    if (!user) {
+    if (!auth) {
       return res.status(401).json({ error: 'Invalid token' });
     }
 
-    req.user = user;
+    if (auth.revoked) {
+      return res.status(401).json({ error: 'Session revoked' });
+    }
+
+    req.user = auth.user;
+    req.sessionId = auth.sessionId;
+    req.tokenScopes = auth.tokenScopes;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -29,11 +74,12 @@ const optionalAuthenticate = async (req, res, next) => {
     const token = req.headers.authorization?.split(' ')[1];
     
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId);
+      const auth = await resolveToken(req, token);
       
-      if (user) {
-        req.user = user;
+      if (auth && !auth.revoked) {
+        req.user = auth.user;
+        req.sessionId = auth.sessionId;
+        req.tokenScopes = auth.tokenScopes;
       }
     }
     
@@ -44,7 +90,22 @@ const optionalAuthenticate = async (req, res, next) => {
   }
 };
 
+// Declare the scope a personal access token needs for this route. Place it
+// in the route's own middleware list; session tokens always pass.
+const requireScope = (scope) => {
+  const middleware = (req, res, next) => {
+    if (!req.tokenScopes || req.tokenScopes.includes(scope)) {
+      return next();
+    }
+
+    res.status(403).json({ error: `Token is missing the ${scope} scope` });
+  };
+  middleware.requiredScope = scope;
+  return middleware;
+};
+
 module.exports = {
   authenticate,
-  optionalAuthenticate
-};
\ No newline at end of file
+  optionalAuthenticate,
+  requireScope
+};
@@ -0,0 +1,63 @@
+const PlaylistCollaborator = require('../models/PlaylistCollaborator');
+const { ROLE_PERMISSIONS, COLLABORATOR_PERMISSIONS } = require('../config/permissions');
+
+const hasPermission = (user, permission) => {
+  if (!user) {
+    return false;
+  }
+  return (ROLE_PERMISSIONS[user.role || 'user'] || []).includes(permission);
+};
+
+// Access a user has to a resource owned by `ownerId` for `action`
+// (e.g. 'playlist:delete'): 'own' for the owner, 'any' when their role may
+// act on anyone's content, otherwise null
+const getAccess = (user, action, ownerId) => {
+  if (!user) {
+    return null;
+  }
+
+  if (ownerId && ownerId.toString() === user._id.toString()) {
+    return 'own';
+  }
+
+  return hasPermission(user, `${action}:any`) ? 'any' : null;
+};
+
+// Like getAccess, but also grants 'collaborator' access to users who accepted
+// an invitation to the playlist with a role that allows the action
+const getPlaylistAccess = async (user, playlist, action) => {
+  const ownerId = playlist.userId._id || playlist.userId;
+  const access = getAccess(user, action, ownerId);
+  if (!user || access === 'own') {
+    return access;
+  }
+
+  const collaborator = await PlaylistCollaborator.findOne({
+    playlistId: playlist._id,
+    userId: user._id,
+    status: 'accepted'
+  });
+  if (collaborator && COLLABORATOR_PERMISSIONS[collaborator.role].includes(action)) {
+    return 'collaborator';
+  }
+
+  return access;
+};
+
+// Route guard for permissions that don't depend on ownership
+const authorize = (...permissions) => {
+  return (req, res, next) => {
+    if (permissions.every(permission => hasPermission(req.user, permission))) {
+      return next();
+    }
+
+    res.status(403).json({ error: 'Insufficient permissions' });
+  };
+};
+
+module.exports = {
+  authorize,
+  hasPermission,
+  getAccess,
+  getPlaylistAccess
+};
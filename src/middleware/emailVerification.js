@@ -0,0 +1,28 @@
+// Actions that require a verified email are configured with
+// REQUIRE_VERIFIED_EMAIL_FOR, a comma-separated list such as
+// "playlist:create,song:add" ("*" requires it everywhere it is checked)
+const getProtectedActions = () => (process.env.REQUIRE_VERIFIED_EMAIL_FOR || '')
+  .split(',')
+  .map(action => action.trim())
+  .filter(Boolean);
+
+const isVerificationRequired = (action) => {
+  const actions = getProtectedActions();
+  return actions.includes('*') || actions.includes(action);
+};
+
+// Must run after authenticate
+const requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    if (!isVerificationRequired(action) || req.user?.emailVerified) {
+      return next();
+    }
+
+    res.status(403).json({ error: 'Please verify your email address first' });
+  };
+};
+
+module.exports = {
+  requireVerifiedEmail,
+  isVerificationRequired
+};
@@ -13,6 +13,11 @@ const errorHandler = (err, req, res, next) => {
     return res.status(409).json({ error: `${field} already exists` });
   }
 
+  // File upload errors (e.g. file too large)
+  if (err.name === 'MulterError') {
+    return res.status(400).json({ error: err.message });
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     return res.status(401).json({ error: 'Invalid token' });
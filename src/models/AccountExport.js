@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Background job that builds a downloadable archive of a user's data
+const accountExportSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed', 'expired'],
+    default: 'pending'
+  },
+  // The ZIP archive, set once completed and removed when it expires. Only
+  // loaded for downloads.
+  archive: {
+    type: Buffer,
+    select: false
+  },
+  size: {
+    type: Number
+  },
+  error: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  // When the archive is deleted and the download link stops working
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+accountExportSchema.index({ userId: 1, createdAt: -1 });
+accountExportSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('AccountExport', accountExportSchema);
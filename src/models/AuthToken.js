@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens sent to users by email (password reset links etc.).
+// Only a SHA-256 hash of the token is stored.
+const authTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'email_verification'],
+    required: true
+  },
+  // Address the link was sent to, for tokens tied to a specific email
+  email: {
+    type: String
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+authTokenSchema.index({ userId: 1, purpose: 1 });
+
+// TTL index to drop tokens once they expire
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
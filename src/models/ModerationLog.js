@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Audit trail of actions moderators and admins take on other users' content
+const moderationLogSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['playlist', 'song', 'user'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  targetOwnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+moderationLogSchema.index({ createdAt: -1 });
+moderationLogSchema.index({ actorId: 1, createdAt: -1 });
+moderationLogSchema.index({ targetType: 1, targetId: 1 });
+
+module.exports = mongoose.model('ModerationLog', moderationLogSchema);
@@ -9,7 +9,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['playlist_like', 'playlist_save'],
+    enum: ['playlist_like', 'playlist_save', 'playlist_invite', 'playlist_fork', 'user_follow'],
     required: true
   },
   actorId: {
@@ -17,10 +17,13 @@ const notificationSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Not set for user_follow, which is about the recipient rather than a playlist
   playlistId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Playlist',
-    required: true
+    required: function () {
+      return this.type !== 'user_follow';
+    }
   },
   isRead: {
     type: Boolean,
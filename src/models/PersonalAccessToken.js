@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const SCOPES = require('../config/scopes');
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+  // SHA-256 of the token; the token itself is only shown once at creation
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the token so users can tell them apart
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+  scopes: [{
+    type: String,
+    enum: SCOPES
+  }],
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
@@ -14,6 +14,15 @@ const playlistSchema = new mongoose.Schema({
   description: {
     type: String
   },
+  // URL name from the title, unique among the owner's playlists
+  slug: {
+    type: String,
+    maxlength: 100
+  },
+  // Slugs from before renames, so old links can redirect
+  previousSlugs: [{
+    type: String
+  }],
   coverGradient: {
     type: String,
     default: 'from-purple-800 to-pink-900',
@@ -32,6 +41,35 @@ const playlistSchema = new mongoose.Schema({
   isPublic: {
     type: Boolean,
     default: true
+  },
+  // public, unlisted or private (see services/playlistVisibility). isPublic is
+  // kept in sync and is only true for public playlists.
+  visibility: {
+    type: String,
+    enum: ['public', 'unlisted', 'private']
+  },
+  // Secret for unlisted share links, rotated or revoked by the owner
+  shareToken: {
+    type: String,
+    select: false
+  },
+  forkedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Playlist'
+  },
+  // Kept separately so the credit survives the original being deleted
+  forkedFromUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  forksCount: {
+    type: Number,
+    default: 0
+  },
+  // Set while the playlist sits in its owner's trash, waiting to be purged
+  deletedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -40,6 +78,34 @@ const playlistSchema = new mongoose.Schema({
 // Indexes
 playlistSchema.index({ userId: 1 });
 playlistSchema.index({ isPublic: 1 });
+playlistSchema.index({ isPublic: 1, createdAt: -1 });
 playlistSchema.index({ tags: 1 });
+playlistSchema.index({ forkedFrom: 1, createdAt: -1 });
+playlistSchema.index(
+  { userId: 1, slug: 1 },
+  { unique: true, partialFilterExpression: { slug: { $type: 'string' } } }
+);
+playlistSchema.index({ userId: 1, previousSlugs: 1 });
+playlistSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+playlistSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+
+// Trashed playlists are hidden from every read unless the query filters on
+// deletedAt itself (or, for finds, sets the includeDeleted option)
+const excludeDeleted = function () {
+  if (this.getOptions().includeDeleted || 'deletedAt' in this.getFilter()) {
+    return;
+  }
+  this.where({ deletedAt: null });
+};
+
+playlistSchema.pre(['find', 'findOne', 'countDocuments', 'distinct'], excludeDeleted);
+
+playlistSchema.pre('aggregate', function () {
+  const [firstStage] = this.pipeline();
+  if (firstStage && firstStage.$match && 'deletedAt' in firstStage.$match) {
+    return;
+  }
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
 
 module.exports = mongoose.model('Playlist', playlistSchema);
\ No newline at end of file
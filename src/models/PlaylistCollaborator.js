@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const playlistCollaboratorSchema = new mongoose.Schema({
+  playlistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Playlist',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['editor', 'viewer'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined'],
+    default: 'pending'
+  },
+  respondedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+playlistCollaboratorSchema.index({ playlistId: 1, userId: 1 }, { unique: true });
+playlistCollaboratorSchema.index({ userId: 1, status: 1 });
+
+module.exports = mongoose.model('PlaylistCollaborator', playlistCollaboratorSchema);
@@ -18,4 +18,8 @@ const playlistLikeSchema = new mongoose.Schema({
 // Compound index to ensure uniqueness
 playlistLikeSchema.index({ userId: 1, playlistId: 1 }, { unique: true });
 
+// Recent likes per playlist (feed ranking) and per user (their taste)
+playlistLikeSchema.index({ playlistId: 1, createdAt: -1 });
+playlistLikeSchema.index({ userId: 1, createdAt: -1 });
+
 module.exports = mongoose.model('PlaylistLike', playlistLikeSchema);
\ No newline at end of file
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const songSnapshotSchema = new mongoose.Schema({
+  songId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  title: String,
+  artist: String,
+  url: String,
+  platform: String,
+  thumbnail: String,
+  position: Number,
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+// Full snapshot of a playlist's metadata and songs after a change
+const playlistRevisionSchema = new mongoose.Schema({
+  playlistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Playlist',
+    required: true
+  },
+  rev: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  snapshot: {
+    title: String,
+    description: String,
+    coverGradient: String,
+    tags: [String],
+    isPublic: Boolean,
+    visibility: String,
+    songs: [songSnapshotSchema]
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+playlistRevisionSchema.index({ playlistId: 1, rev: -1 }, { unique: true });
+
+module.exports = mongoose.model('PlaylistRevision', playlistRevisionSchema);
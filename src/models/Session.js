@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A session is one refresh token family: every refresh rotates the token,
+// but the family keeps the same id until it is revoked or expires
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 of the only refresh token currently valid for this family
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  deviceLabel: {
+    type: String,
+    maxlength: 100
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'reuse_detected', 'user_revoked']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// TTL index to drop sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+
+module.exports = mongoose.model('Session', sessionSchema);
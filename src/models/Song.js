@@ -31,6 +31,10 @@ const songSchema = new mongoose.Schema({
   position: {
     type: Number,
     required: true
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true
@@ -7,28 +7,82 @@ const userSchema = new mongoose.Schema({
     unique: true,
     maxlength: 255
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
   username: {
     type: String,
     required: true,
     unique: true,
     maxlength: 50
   },
-  passwordHash: {
+  // Lowercased username; usernames are unique regardless of case
+  usernameLower: {
     type: String,
-    required: function() {
-      return !this.googleId; // Password not required for Google OAuth users
-    },
-    maxlength: 255
+    select: false
   },
-  googleId: {
+  usernameChangedAt: {
+    type: Date
+  },
+  role: {
     type: String,
-    sparse: true, // Allows multiple null values but unique when present
-    unique: true
+    enum: ['user', 'moderator', 'admin'],
+    default: 'user'
   },
-  provider: {
+  // Unset for accounts that only sign in through a linked provider
+  passwordHash: {
     type: String,
-    enum: ['local', 'google'],
-    default: 'local'
+    maxlength: 255
+  },
+  // External sign-in providers linked to the account. Not selected by
+  // default so provider ids and emails never leak into public profiles.
+  identities: {
+    type: [{
+      _id: false,
+      provider: {
+        type: String,
+        enum: ['google'],
+        required: true
+      },
+      providerId: {
+        type: String,
+        required: true
+      },
+      email: {
+        type: String
+      },
+      linkedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  // TOTP two-factor authentication; secrets are never selected by default
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret handed out by setup, waiting for the first code to confirm it
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodeHashes: {
+      type: [String],
+      select: false
+    },
+    // Last TOTP time step accepted, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    }
   },
   bio: {
     type: String
@@ -43,23 +97,50 @@ const userSchema = new mongoose.Schema({
     spotify: { type: String },
     website: { type: String }
   },
-  // NOTE: Follow/following features are not needed in v1
-  // followersCount: {
-  //   type: Number,
-  //   default: 0
-  // },
-  // followingCount: {
-  //   type: Number,
-  //   default: 0
-  // },
+  followersCount: {
+    type: Number,
+    default: 0
+  },
+  followingCount: {
+    type: Number,
+    default: 0
+  },
   playlistCount: {
     type: Number,
     default: 0
+  },
+  // Account deletion waits out a grace period the user can cancel in
+  deletionRequestedAt: {
+    type: Date
+  },
+  deletionScheduledFor: {
+    type: Date
   }
 }, {
   timestamps: true
 });
 
+// A provider identity can only be linked to one account
+userSchema.index(
+  { 'identities.provider': 1, 'identities.providerId': 1 },
+  { unique: true, partialFilterExpression: { 'identities.providerId': { $exists: true } } }
+);
+
+userSchema.index(
+  { usernameLower: 1 },
+  { unique: true, partialFilterExpression: { usernameLower: { $type: 'string' } } }
+);
+
+userSchema.pre('save', function (next) {
+  if (this.isModified('username')) {
+    this.usernameLower = this.username.toLowerCase();
+  }
+  next();
+});
+
+// Lets the purge job find accounts whose grace period is over
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+
 // Indexes are automatically created by unique: true
 // userSchema.index({ email: 1 });
 // userSchema.index({ username: 1 });
@@ -1,5 +1,3 @@
-// NOTE: Follow/following features are not needed in v1
-/*
 const mongoose = require('mongoose');
 
 const userFollowSchema = new mongoose.Schema({
@@ -20,5 +18,8 @@ const userFollowSchema = new mongoose.Schema({
 // Compound index to ensure uniqueness
 userFollowSchema.index({ followerId: 1, followingId: 1 }, { unique: true });
 
+// Follower and following lists, newest first
+userFollowSchema.index({ followingId: 1, createdAt: -1 });
+userFollowSchema.index({ followerId: 1, createdAt: -1 });
+
 module.exports = mongoose.model('UserFollow', userFollowSchema);
-*/
\ No newline at end of file
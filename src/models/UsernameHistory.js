@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Usernames an account used before renaming, so old profile links still
+// resolve. createdAt is when the name was given up.
+const usernameHistorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  // Lowercased, for case-insensitive lookups; a name points at one account at a time
+  usernameLower: {
+    type: String,
+    required: true,
+    unique: true
+  }
+}, {
+  timestamps: true
+});
+
+usernameHistorySchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('UsernameHistory', usernameHistorySchema);
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const validate = require('../middleware/validation');
+const {
+  updateUserRole,
+  getModerationLogs,
+  updateRoleSchema
+} = require('../controllers/adminController');
+
+// All routes require a signed-in moderator or admin (see config/permissions.js)
+
+// Change a user's role
+router.put('/users/:id/role', authenticate, authorize('user:role:update'), validate(updateRoleSchema), updateUserRole);
+
+// Moderation audit log
+router.get('/moderation-logs', authenticate, authorize('moderation_log:read'), getModerationLogs);
+
+module.exports = router;
@@ -3,24 +3,94 @@ const router = express.Router();
 const {
   register,
   login,
+  verifyLoginTwoFactor,
   getMe,
   refresh,
   logout,
   googleSignIn,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  resendVerificationEmail,
+  verifyEmail,
   registerSchema,
-  loginSchema
+  loginSchema,
+  twoFactorLoginSchema,
+  refreshSchema,
+  googleSignInSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  changePasswordSchema,
+  verifyEmailSchema
 } = require('../controllers/authController');
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  twoFactorCodeSchema,
+  disableTwoFactorSchema
+} = require('../controllers/twoFactorController');
+const {
+  getProviders,
+  linkGoogle,
+  setPassword,
+  unlinkProvider,
+  linkGoogleSchema,
+  setPasswordSchema
+} = require('../controllers/providerController');
+const {
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken,
+  createAccessTokenSchema
+} = require('../controllers/accessTokenController');
 const validate = require('../middleware/validation');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, optionalAuthenticate } = require('../middleware/auth');
 
 // Routes
 router.post('/register', validate(registerSchema), register);
 router.post('/login', validate(loginSchema), login);
-router.post('/refresh', refresh);
-router.post('/logout', logout);
+router.post('/login/2fa', validate(twoFactorLoginSchema), verifyLoginTwoFactor);
+router.post('/refresh', validate(refreshSchema), refresh);
+router.post('/logout', optionalAuthenticate, logout);
 router.get('/me', authenticate, getMe);
 
+// Password recovery and change
+router.post('/forgot-password', validate(forgotPasswordSchema), forgotPassword);
+router.post('/reset-password', validate(resetPasswordSchema), resetPassword);
+router.put('/password', authenticate, validate(changePasswordSchema), changePassword);
+
+// Email verification
+router.post('/verify-email', validate(verifyEmailSchema), verifyEmail);
+router.post('/verify-email/resend', authenticate, resendVerificationEmail);
+
+// Two-factor authentication
+router.post('/2fa/setup', authenticate, setupTwoFactor);
+router.post('/2fa/enable', authenticate, validate(twoFactorCodeSchema), enableTwoFactor);
+router.post('/2fa/disable', authenticate, validate(disableTwoFactorSchema), disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticate, validate(twoFactorCodeSchema), regenerateRecoveryCodes);
+
+// Linked sign-in providers
+router.get('/providers', authenticate, getProviders);
+router.post('/providers/google', authenticate, validate(linkGoogleSchema), linkGoogle);
+router.post('/providers/password', authenticate, validate(setPasswordSchema), setPassword);
+router.delete('/providers/:provider', authenticate, unlinkProvider);
+
+// Personal access tokens (for scripts and integrations)
+router.get('/tokens', authenticate, getAccessTokens);
+router.post('/tokens', authenticate, validate(createAccessTokenSchema), createAccessToken);
+router.delete('/tokens/:id', authenticate, revokeAccessToken);
+
+// Active sessions / devices
+router.get('/sessions', authenticate, getSessions);
+router.delete('/sessions', authenticate, deleteOtherSessions);
+router.delete('/sessions/:id', authenticate, deleteSession);
+
 // Google Sign In with JWT credential
-router.post('/google', googleSignIn);
+router.post('/google', validate(googleSignInSchema), googleSignIn);
 
 module.exports = router;
\ No newline at end of file
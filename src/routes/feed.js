@@ -1,9 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const { getFeed } = require('../controllers/feedController');
-const { optionalAuthenticate } = require('../middleware/auth');
+const { optionalAuthenticate, requireScope } = require('../middleware/auth');
 
 // Routes
-router.get('/', optionalAuthenticate, getFeed);
+router.get('/', optionalAuthenticate, requireScope('playlists:read'), getFeed);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireScope } = require('../middleware/auth');
 const {
   getNotifications,
   getUnreadCount,
@@ -8,19 +8,18 @@ const {
   deleteNotification
 } = require('../controllers/notificationController');
 
-// All routes require authentication
-router.use(authenticate);
+// All routes require authentication (and a notifications scope for access tokens)
 
 // Get notifications
-router.get('/', getNotifications);
+router.get('/', authenticate, requireScope('notifications:read'), getNotifications);
 
 // Get unread count
-router.get('/unread-count', getUnreadCount);
+router.get('/unread-count', authenticate, requireScope('notifications:read'), getUnreadCount);
 
 // Mark all as read
-router.post('/mark-all-read', markAllAsRead);
+router.post('/mark-all-read', authenticate, requireScope('notifications:write'), markAllAsRead);
 
 // Delete notification
-router.delete('/:notificationId', deleteNotification);
+router.delete('/:notificationId', authenticate, requireScope('notifications:write'), deleteNotification);
 
 module.exports = router;
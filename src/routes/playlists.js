@@ -6,7 +6,15 @@ const {
   createPlaylist,
   getPlaylist,
   updatePlaylist,
+  getShareLink,
+  rotateShareLink,
+  revokeShareLink,
   deletePlaylist,
+  getTrashedPlaylists,
+  restorePlaylist,
+  purgeTrashedPlaylist,
+  forkPlaylist,
+  getPlaylistForks,
   likePlaylist,
   unlikePlaylist,
   savePlaylist,
@@ -16,6 +24,7 @@ const {
   removePlaylistThumbnail,
   createPlaylistSchema,
   updatePlaylistSchema,
+  forkPlaylistSchema,
   addSongSchema
 } = require('../controllers/playlistController');
 const {
@@ -32,8 +41,31 @@ const {
   addSongsSchema,
   reorderSongsSchema
 } = require('../controllers/songController');
+const {
+  getCollaborators,
+  inviteCollaborator,
+  updateCollaborator,
+  removeCollaborator,
+  getInvitations,
+  acceptInvitation,
+  declineInvitation,
+  inviteCollaboratorSchema,
+  updateCollaboratorSchema
+} = require('../controllers/collaboratorController');
+const {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+} = require('../controllers/revisionController');
+const {
+  importPlaylist,
+  exportPlaylist,
+  importPlaylistSchema
+} = require('../controllers/playlistFileController');
 const validate = require('../middleware/validation');
-const { authenticate, optionalAuthenticate } = require('../middleware/auth');
+const { authenticate, optionalAuthenticate, requireScope } = require('../middleware/auth');
+const { requireVerifiedEmail } = require('../middleware/emailVerification');
 
 // Configure multer for thumbnail uploads
 const upload = multer({
@@ -50,34 +82,74 @@ const upload = multer({
   }
 });
 
+// Playlist files (M3U, XSPF, JSPF, CSV) for import
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1024 * 1024, // 1MB limit
+  }
+});
+
 // Playlist routes
-router.get('/', optionalAuthenticate, getPlaylists);
-router.post('/', authenticate, validate(createPlaylistSchema), createPlaylist);
+router.get('/', optionalAuthenticate, requireScope('playlists:read'), getPlaylists);
+router.post('/', authenticate, requireScope('playlists:write'), requireVerifiedEmail('playlist:create'), validate(createPlaylistSchema), createPlaylist);
+
+// Import a playlist file into a new playlist (must come before /:id route)
+router.post('/import', authenticate, requireScope('playlists:write'), requireVerifiedEmail('playlist:create'), importUpload.single('file'), validate(importPlaylistSchema), importPlaylist);
 
 // Get user's saved playlists (must come before /:id route)
-router.get('/saved', authenticate, getSavedPlaylists);
+router.get('/saved', authenticate, requireScope('playlists:read'), getSavedPlaylists);
 
 // Get user's saved songs
-router.get('/songs/saved', authenticate, getSavedSongs);
+router.get('/songs/saved', authenticate, requireScope('playlists:read'), getSavedSongs);
+
+// Get user's pending collaboration invitations
+router.get('/invitations', authenticate, requireScope('playlists:read'), getInvitations);
 
-router.get('/:id', optionalAuthenticate, getPlaylist);
-router.put('/:id', authenticate, validate(updatePlaylistSchema), updatePlaylist);
-router.post('/:id/thumbnail', authenticate, upload.single('thumbnail'), uploadPlaylistThumbnail);
-router.delete('/:id/thumbnail', authenticate, removePlaylistThumbnail);
-router.delete('/:id', authenticate, deletePlaylist);
-router.post('/:id/like', authenticate, likePlaylist);
-router.delete('/:id/like', authenticate, unlikePlaylist);
-router.post('/:id/save', authenticate, savePlaylist);
-router.delete('/:id/save', authenticate, unsavePlaylist);
+// Trash: deleted playlists can be restored until they are purged
+router.get('/trash', authenticate, requireScope('playlists:read'), getTrashedPlaylists);
+router.post('/trash/:id/restore', authenticate, requireScope('playlists:write'), restorePlaylist);
+router.delete('/trash/:id', authenticate, requireScope('playlists:write'), purgeTrashedPlaylist);
+
+router.get('/:id', optionalAuthenticate, requireScope('playlists:read'), getPlaylist);
+router.put('/:id', authenticate, requireScope('playlists:write'), validate(updatePlaylistSchema), updatePlaylist);
+router.post('/:id/thumbnail', authenticate, requireScope('playlists:write'), upload.single('thumbnail'), uploadPlaylistThumbnail);
+router.delete('/:id/thumbnail', authenticate, requireScope('playlists:write'), removePlaylistThumbnail);
+router.delete('/:id', authenticate, requireScope('playlists:write'), deletePlaylist);
+router.get('/:id/share', authenticate, requireScope('playlists:read'), getShareLink);
+router.post('/:id/share/rotate', authenticate, requireScope('playlists:write'), rotateShareLink);
+router.delete('/:id/share', authenticate, requireScope('playlists:write'), revokeShareLink);
+router.get('/:id/export', optionalAuthenticate, requireScope('playlists:read'), exportPlaylist);
+router.post('/:id/fork', authenticate, requireScope('playlists:write'), requireVerifiedEmail('playlist:create'), validate(forkPlaylistSchema), forkPlaylist);
+router.get('/:id/forks', optionalAuthenticate, requireScope('playlists:read'), getPlaylistForks);
+router.post('/:id/like', authenticate, requireScope('playlists:write'), likePlaylist);
+router.delete('/:id/like', authenticate, requireScope('playlists:write'), unlikePlaylist);
+router.post('/:id/save', authenticate, requireScope('playlists:write'), savePlaylist);
+router.delete('/:id/save', authenticate, requireScope('playlists:write'), unsavePlaylist);
 
 // Song routes
-router.get('/:id/songs', getPlaylistSongs);
-router.post('/:id/songs', authenticate, validate(addSongSchema), addSong);
-router.post('/songs/:id/save', authenticate, saveSong);
-router.delete('/songs/:id/save', authenticate, unsaveSong);
-router.post('/:id/songs/batch', authenticate, validate(addSongsSchema), addSongs);
-router.put('/songs/:id', authenticate, validate(updateSongSchema), updateSong);
-router.delete('/songs/:id', authenticate, deleteSong);
-router.put('/:id/songs/reorder', authenticate, validate(reorderSongsSchema), reorderSongs);
+router.get('/:id/songs', optionalAuthenticate, requireScope('playlists:read'), getPlaylistSongs);
+router.post('/:id/songs', authenticate, requireScope('playlists:write'), requireVerifiedEmail('song:add'), validate(addSongSchema), addSong);
+router.post('/songs/:id/save', authenticate, requireScope('playlists:write'), saveSong);
+router.delete('/songs/:id/save', authenticate, requireScope('playlists:write'), unsaveSong);
+router.post('/:id/import', authenticate, requireScope('playlists:write'), requireVerifiedEmail('song:add'), importUpload.single('file'), validate(importPlaylistSchema), importPlaylist);
+router.post('/:id/songs/batch', authenticate, requireScope('playlists:write'), requireVerifiedEmail('song:add'), validate(addSongsSchema), addSongs);
+router.put('/songs/:id', authenticate, requireScope('playlists:write'), validate(updateSongSchema), updateSong);
+router.delete('/songs/:id', authenticate, requireScope('playlists:write'), deleteSong);
+router.put('/:id/songs/reorder', authenticate, requireScope('playlists:write'), validate(reorderSongsSchema), reorderSongs);
+
+// Collaborator routes
+router.get('/:id/collaborators', optionalAuthenticate, requireScope('playlists:read'), getCollaborators);
+router.post('/:id/collaborators', authenticate, requireScope('playlists:write'), validate(inviteCollaboratorSchema), inviteCollaborator);
+router.put('/:id/collaborators/:userId', authenticate, requireScope('playlists:write'), validate(updateCollaboratorSchema), updateCollaborator);
+router.delete('/:id/collaborators/:userId', authenticate, requireScope('playlists:write'), removeCollaborator);
+router.post('/:id/invitation/accept', authenticate, requireScope('playlists:write'), acceptInvitation);
+router.post('/:id/invitation/decline', authenticate, requireScope('playlists:write'), declineInvitation);
+
+// Revision history (diff must come before /:rev)
+router.get('/:id/revisions', authenticate, requireScope('playlists:read'), getRevisions);
+router.get('/:id/revisions/diff', authenticate, requireScope('playlists:read'), diffRevisions);
+router.get('/:id/revisions/:rev', authenticate, requireScope('playlists:read'), getRevision);
+router.post('/:id/revisions/:rev/restore', authenticate, requireScope('playlists:write'), restoreRevision);
 
 module.exports = router;
\ No newline at end of file
@@ -6,16 +6,25 @@ const {
   getUserByUsername,
   getUserById,
   updateUser,
+  updateUsername,
+  updateUsernameSchema,
   deleteUser,
+  cancelAccountDeletion,
   getUserPlaylists,
   uploadProfilePicture,
-  // NOTE: Follow/following features are not needed in v1
-  // getUserFollowers,
-  // getUserFollowing,
-  // followUser,
-  // unfollowUser
+  getUserFollowers,
+  getUserFollowing,
+  followUser,
+  unfollowUser
 } = require('../controllers/userController');
-const { authenticate } = require('../middleware/auth');
+const {
+  requestAccountExport,
+  getAccountExport,
+  downloadAccountExport
+} = require('../controllers/accountExportController');
+const { getPlaylistBySlug } = require('../controllers/playlistController');
+const validate = require('../middleware/validation');
+const { authenticate, optionalAuthenticate, requireScope } = require('../middleware/auth');
 
 // Configure multer for file uploads
 const upload = multer({
@@ -34,16 +43,28 @@ const upload = multer({
 
 // Routes
 router.get('/', getUsers);
-router.get('/id/:id', getUserById);
-router.get('/:username', getUserByUsername);
+
+// Account data export (the download link carries its own token)
+router.post('/me/export', authenticate, requestAccountExport);
+router.get('/me/export/:id', authenticate, getAccountExport);
+router.get('/me/export/:id/download', downloadAccountExport);
+
+// Cancel a scheduled account deletion during its grace period
+router.post('/me/cancel-deletion', authenticate, cancelAccountDeletion);
+
+// Rename (limited to once per cooldown period; old names keep resolving)
+router.put('/me/username', authenticate, validate(updateUsernameSchema), updateUsername);
+
+router.get('/id/:id', optionalAuthenticate, getUserById);
+router.get('/:username', optionalAuthenticate, getUserByUsername);
 router.put('/:id', authenticate, updateUser);
 router.post('/upload-profile-picture', authenticate, upload.single('profilePicture'), uploadProfilePicture);
 router.delete('/:id', authenticate, deleteUser);
-router.get('/:id/playlists', getUserPlaylists);
-// NOTE: Follow/following features are not needed in v1
-// router.get('/:id/followers', getUserFollowers);
-// router.get('/:id/following', getUserFollowing);
-// router.post('/:id/follow', authenticate, followUser);
-// router.delete('/:id/follow', authenticate, unfollowUser);
+router.get('/:id/playlists', optionalAuthenticate, getUserPlaylists);
+router.get('/:username/playlists/:slug', optionalAuthenticate, requireScope('playlists:read'), getPlaylistBySlug);
+router.get('/:id/followers', optionalAuthenticate, getUserFollowers);
+router.get('/:id/following', optionalAuthenticate, getUserFollowing);
+router.post('/:id/follow', authenticate, followUser);
+router.delete('/:id/follow', authenticate, unfollowUser);
 
 module.exports = router;
\ No newline at end of file
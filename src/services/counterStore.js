@@ -0,0 +1,114 @@
+const { getRedisClient } = require('../config/redis');
+
+// Expiring counters and flags shared across instances through Redis, with an
+// in-memory fallback for single-instance and local setups. Every method is
+// async so both stores are interchangeable.
+
+// Bounds for the in-memory store, which would otherwise grow with every email
+// and IP anyone tries to log in with
+const MEMORY_MAX_ENTRIES = 100000;
+const MEMORY_SWEEP_INTERVAL = 60 * 1000;
+
+const createMemoryStore = ({ maxEntries = MEMORY_MAX_ENTRIES, sweepInterval = MEMORY_SWEEP_INTERVAL } = {}) => {
+  const entries = new Map();
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    }
+  };
+  if (sweepInterval > 0) {
+    setInterval(sweep, sweepInterval).unref();
+  }
+
+  // Store a new entry, making room first. When everything is still live the
+  // oldest entries go: at worst a very old counter restarts early.
+  const write = (key, entry) => {
+    entries.delete(key);
+    if (entries.size >= maxEntries) {
+      sweep();
+    }
+    for (const oldestKey of entries.keys()) {
+      if (entries.size < maxEntries) {
+        break;
+      }
+      entries.delete(oldestKey);
+    }
+    entries.set(key, entry);
+  };
+
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  return {
+    increment: async (key, ttlMs) => {
+      const entry = read(key);
+      if (entry) {
+        entry.value += 1;
+        return entry.value;
+      }
+      write(key, { value: 1, expiresAt: Date.now() + ttlMs });
+      return 1;
+    },
+    get: async (key) => {
+      const entry = read(key);
+      return entry ? entry.value : null;
+    },
+    set: async (key, value, ttlMs) => {
+      write(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    ttl: async (key) => {
+      const entry = read(key);
+      return entry ? entry.expiresAt - Date.now() : null;
+    },
+    del: async (...keys) => {
+      keys.forEach(key => entries.delete(key));
+    }
+  };
+};
+
+const createRedisStore = (client) => ({
+  increment: async (key, ttlMs) => {
+    const count = await client.incr(key);
+    if (count === 1) {
+      await client.pExpire(key, ttlMs);
+    }
+    return count;
+  },
+  get: async (key) => {
+    const value = await client.get(key);
+    return value === null ? null : Number(value);
+  },
+  set: async (key, value, ttlMs) => {
+    await client.set(key, String(value), { PX: ttlMs });
+  },
+  ttl: async (key) => {
+    const ttl = await client.pTTL(key);
+    return ttl > 0 ? ttl : null;
+  },
+  del: async (...keys) => {
+    await client.del(keys);
+  }
+});
+
+const memoryStore = createMemoryStore();
+
+const getCounterStore = async () => {
+  const client = await getRedisClient();
+  return client ? createRedisStore(client) : memoryStore;
+};
+
+module.exports = {
+  getCounterStore,
+  createMemoryStore,
+  createRedisStore
+};
@@ -0,0 +1,17 @@
+const { createOneTimeToken } = require('./tokenService');
+const { sendVerificationEmail } = require('./emails');
+
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+// Email a verification link for the user's current address (on sign-up and
+// whenever the email changes)
+const sendEmailVerification = async (user) => {
+  const token = await createOneTimeToken(user._id, 'email_verification', EMAIL_VERIFICATION_TTL, {
+    email: user.email
+  });
+  await sendVerificationEmail(user, token);
+};
+
+module.exports = {
+  sendEmailVerification
+};
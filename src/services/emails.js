@@ -0,0 +1,81 @@
+const { sendMail } = require('./mailer');
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:8080';
+
+const sendPasswordResetEmail = (user, token) => {
+  const link = `${getFrontendUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your vibecheck password',
+    text: `Hi ${user.username},\n\nSomeone asked to reset the password for your vibecheck account. ` +
+      `Open this link within the next hour to choose a new one:\n\n${link}\n\n` +
+      'If this wasn\'t you, you can ignore this email.'
+  });
+};
+
+const sendPasswordChangedEmail = (user) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Your vibecheck password was changed',
+    text: `Hi ${user.username},\n\nThe password for your vibecheck account was just changed. ` +
+      'If this wasn\'t you, reset your password right away.'
+  });
+};
+
+const sendVerificationEmail = (user, token) => {
+  const link = `${getFrontendUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your email for vibecheck',
+    text: `Hi ${user.username},\n\nConfirm this is your email address by opening the link below ` +
+      `within 24 hours:\n\n${link}\n\nIf you didn't sign up for vibecheck, you can ignore this email.`
+  });
+};
+
+const sendAccountLockedEmail = (user, lockoutMinutes) => {
+  const link = `${getFrontendUrl()}/forgot-password`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your vibecheck account was temporarily locked',
+    text: `Hi ${user.username},\n\nWe locked sign-in to your vibecheck account for ${lockoutMinutes} minutes ` +
+      'after several failed login attempts. If this wasn\'t you, someone may be guessing your password. ' +
+      `Resetting your password also unlocks the account:\n\n${link}`
+  });
+};
+
+const sendAccountExportReadyEmail = (user, accountExport) => {
+  const link = `${getFrontendUrl()}/settings/export?id=${accountExport._id}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your vibecheck data export is ready',
+    text: `Hi ${user.username},\n\nThe archive of your vibecheck data you asked for is ready. ` +
+      `Download it from your account settings before ${accountExport.expiresAt.toUTCString()}:\n\n${link}\n\n` +
+      'If you didn\'t ask for this export, change your password right away.'
+  });
+};
+
+const sendAccountDeletionScheduledEmail = (user) => {
+  const link = `${getFrontendUrl()}/settings/account`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your vibecheck account will be deleted',
+    text: `Hi ${user.username},\n\nYour vibecheck account, its playlists and everything else tied to it ` +
+      `will be permanently deleted on ${user.deletionScheduledFor.toUTCString()}. ` +
+      `Changed your mind? Sign in and cancel the deletion before then:\n\n${link}\n\n` +
+      'If you didn\'t ask for this, sign in, cancel the deletion and change your password right away.'
+  });
+};
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendVerificationEmail,
+  sendAccountLockedEmail,
+  sendAccountExportReadyEmail,
+  sendAccountDeletionScheduledEmail
+};
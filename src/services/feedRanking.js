@@ -0,0 +1,170 @@
+const Playlist = require('../models/Playlist');
+const PlaylistLike = require('../models/PlaylistLike');
+const UserFollow = require('../models/UserFollow');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Candidates are recent public playlists; older ones rarely win on recency
+// and scoring them all would read the whole collection
+const CANDIDATE_WINDOW_DAYS = 30;
+const MAX_CANDIDATES = 500;
+// How many of the viewer's most recent likes describe their taste
+const TASTE_SAMPLE_SIZE = 200;
+// Likes in this window count towards a playlist's velocity
+const VELOCITY_WINDOW_DAYS = 7;
+// A playlist loses half its recency score every this many hours
+const RECENCY_HALF_LIFE_HOURS = 48;
+// Recent likes at which velocity reaches ~63% of its maximum
+const VELOCITY_SCALE = 5;
+// Liked playlists from one creator at which creator affinity maxes out
+const CREATOR_LIKES_FOR_FULL_AFFINITY = 4;
+
+const WEIGHTS = {
+  recency: 0.35,
+  likesVelocity: 0.25,
+  tagAffinity: 0.25,
+  creatorAffinity: 0.15
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const countValues = (values) => {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return counts;
+};
+
+// What the viewer engages with: tags and creators of the playlists they
+// liked recently, and the accounts they follow
+const getViewerTaste = async (viewerId) => {
+  const [likes, followedIds] = await Promise.all([
+    PlaylistLike.find({ userId: viewerId })
+      .sort({ createdAt: -1 })
+      .limit(TASTE_SAMPLE_SIZE)
+      .select('playlistId')
+      .lean(),
+    UserFollow.find({ followerId: viewerId }).distinct('followingId')
+  ]);
+
+  const likedPlaylists = await Playlist.find({ _id: { $in: likes.map(like => like.playlistId) } })
+    .select('userId tags')
+    .lean();
+
+  return {
+    likedCount: likedPlaylists.length,
+    tagCounts: countValues(likedPlaylists.flatMap(playlist => playlist.tags || [])),
+    creatorLikes: countValues(likedPlaylists.map(playlist => playlist.userId.toString())),
+    followedIds: new Set(followedIds.map(String))
+  };
+};
+
+// Map of String(playlistId) => likes received within the velocity window
+const getRecentLikeCounts = async (playlistIds, now) => {
+  const rows = await PlaylistLike.aggregate([
+    {
+      $match: {
+        playlistId: { $in: playlistIds },
+        createdAt: { $gte: new Date(now - VELOCITY_WINDOW_DAYS * DAY) }
+      }
+    },
+    { $group: { _id: '$playlistId', count: { $sum: 1 } } }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row.count]));
+};
+
+const formatAge = (hours) => {
+  if (hours < 1) {
+    return 'less than an hour ago';
+  }
+  if (hours < 24) {
+    return `${Math.floor(hours)} hour${hours < 2 ? '' : 's'} ago`;
+  }
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+};
+
+// Score one candidate. Every signal is between 0 and 1; the score is their
+// weighted sum. Reasons describe the signals that contributed, strongest first.
+const scoreCandidate = (playlist, { taste, recentLikes, now }) => {
+  const ageHours = Math.max(0, (now - playlist.createdAt.getTime()) / (60 * 60 * 1000));
+  const recency = Math.pow(0.5, ageHours / RECENCY_HALF_LIFE_HOURS);
+
+  const likesVelocity = 1 - Math.exp(-recentLikes / VELOCITY_SCALE);
+
+  // Share of the viewer's liked playlists that carry each of this playlist's tags
+  const matchedTags = (playlist.tags || []).filter(tag => taste.tagCounts.has(tag));
+  const tagAffinity = taste.likedCount === 0 ? 0 : Math.min(1,
+    matchedTags.reduce((sum, tag) => sum + taste.tagCounts.get(tag), 0) / taste.likedCount
+  );
+
+  const creatorId = playlist.userId.toString();
+  const isFollowed = taste.followedIds.has(creatorId);
+  const likedFromCreator = taste.creatorLikes.get(creatorId) || 0;
+  const creatorAffinity = Math.min(1,
+    (isFollowed ? 0.5 : 0) + 0.5 * Math.min(1, likedFromCreator / CREATOR_LIKES_FOR_FULL_AFFINITY)
+  );
+
+  const signals = { recency, likesVelocity, tagAffinity, creatorAffinity };
+  const score = Object.keys(WEIGHTS).reduce((sum, key) => sum + WEIGHTS[key] * signals[key], 0);
+
+  const details = {
+    recency: `Posted ${formatAge(ageHours)}`,
+    likesVelocity: `${recentLikes} like${recentLikes === 1 ? '' : 's'} in the last ${VELOCITY_WINDOW_DAYS} days`,
+    tagAffinity: `Tagged ${matchedTags.slice(0, 3).join(', ')}, like playlists you liked`,
+    creatorAffinity: isFollowed
+      ? (likedFromCreator > 0 ? 'From an account you follow and have liked before' : 'From an account you follow')
+      : `You liked ${likedFromCreator} of this creator's playlists`
+  };
+  const reasons = Object.keys(WEIGHTS)
+    .map(key => ({ signal: key, contribution: WEIGHTS[key] * signals[key] }))
+    .filter(reason => reason.contribution > 0.01)
+    .sort((a, b) => b.contribution - a.contribution)
+    .map(reason => ({ signal: reason.signal, contribution: round(reason.contribution), detail: details[reason.signal] }));
+
+  return {
+    score: round(score),
+    signals: Object.fromEntries(Object.entries(signals).map(([key, value]) => [key, round(value)])),
+    reasons
+  };
+};
+
+// Rank recent public playlists for the viewer. Their own playlists and ones
+// they already liked are left out. Returns [{ playlistId, ranking }] best first.
+const rankForYou = async (viewerId) => {
+  const now = Date.now();
+
+  const [taste, likedIds] = await Promise.all([
+    getViewerTaste(viewerId),
+    PlaylistLike.find({ userId: viewerId }).distinct('playlistId')
+  ]);
+
+  const candidates = await Playlist.find({
+    isPublic: true,
+    userId: { $ne: viewerId },
+    _id: { $nin: likedIds },
+    createdAt: { $gte: new Date(now - CANDIDATE_WINDOW_DAYS * DAY) }
+  })
+    .sort({ createdAt: -1 })
+    .limit(MAX_CANDIDATES)
+    .select('userId tags createdAt')
+    .lean();
+
+  const recentLikeCounts = await getRecentLikeCounts(candidates.map(playlist => playlist._id), now);
+
+  return candidates
+    .map(playlist => ({
+      playlistId: playlist._id,
+      ranking: scoreCandidate(playlist, {
+        taste,
+        recentLikes: recentLikeCounts.get(playlist._id.toString()) || 0,
+        now
+      })
+    }))
+    .sort((a, b) => b.ranking.score - a.ranking.score || b.playlistId.toString().localeCompare(a.playlistId.toString()));
+};
+
+module.exports = {
+  WEIGHTS,
+  scoreCandidate,
+  rankForYou
+};
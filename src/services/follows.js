@@ -0,0 +1,37 @@
+const UserFollow = require('../models/UserFollow');
+
+const NOT_FOLLOWING = { isFollowing: false, followsYou: false, isMutual: false };
+
+// How the viewer relates to each of the given users, as a Map of
+// String(userId) => { isFollowing, followsYou, isMutual }. Anonymous viewers
+// get all-false states.
+const getFollowStates = async (viewer, userIds) => {
+  const states = new Map(userIds.map(id => [id.toString(), NOT_FOLLOWING]));
+  if (!viewer || userIds.length === 0) {
+    return states;
+  }
+
+  const [following, followers] = await Promise.all([
+    UserFollow.find({ followerId: viewer._id, followingId: { $in: userIds } }).distinct('followingId'),
+    UserFollow.find({ followerId: { $in: userIds }, followingId: viewer._id }).distinct('followerId')
+  ]);
+  const followingSet = new Set(following.map(String));
+  const followersSet = new Set(followers.map(String));
+
+  for (const id of states.keys()) {
+    const isFollowing = followingSet.has(id);
+    const followsYou = followersSet.has(id);
+    states.set(id, { isFollowing, followsYou, isMutual: isFollowing && followsYou });
+  }
+  return states;
+};
+
+const getFollowState = async (viewer, userId) => {
+  const states = await getFollowStates(viewer, [userId]);
+  return states.get(userId.toString());
+};
+
+module.exports = {
+  getFollowStates,
+  getFollowState
+};
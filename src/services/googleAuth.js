@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const GOOGLE_CERTS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const DEFAULT_CACHE_TTL = 60 * 60 * 1000; // 1 hour, used when Google sends no max-age
+const MIN_REFETCH_INTERVAL = 60 * 1000; // Don't hammer Google for unknown key ids
+const FAILED_FETCH_BACKOFF = 30 * 1000; // Wait this long after a failed fetch before retrying
+
+// Sign-in can't be checked right now: Google's keys are unreachable or the
+// server isn't configured. Unlike a bad credential this isn't the client's fault.
+const unavailable = (message) => {
+  const error = new Error(message);
+  error.name = 'GoogleAuthUnavailableError';
+  return error;
+};
+
+const toKeyMap = (jwks) => {
+  const keys = new Map();
+  (jwks.keys || []).forEach(jwk => {
+    keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+  });
+  return keys;
+};
+
+// Key source backed by Google's JWKS endpoint, cached per Cache-Control max-age
+const createRemoteKeySource = (url = GOOGLE_CERTS_URL) => {
+  let keys = new Map();
+  let expiresAt = 0;
+  let lastFetchedAt = 0;
+  let lastFailedAt = 0;
+
+  const refresh = async () => {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch Google signing keys: ${response.status}`);
+    }
+
+    const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+    keys = toKeyMap(await response.json());
+    lastFetchedAt = Date.now();
+    expiresAt = lastFetchedAt + (maxAge ? parseInt(maxAge[1]) * 1000 : DEFAULT_CACHE_TTL);
+  };
+
+  return {
+    getKey: async (kid) => {
+      const now = Date.now();
+      // Refetch when the cache is stale, or when Google may have rotated in a new key
+      if (now >= expiresAt || (!keys.has(kid) && now - lastFetchedAt >= MIN_REFETCH_INTERVAL)) {
+        if (now - lastFailedAt < FAILED_FETCH_BACKOFF) {
+          if (!keys.has(kid)) {
+            throw unavailable('Google signing keys are unavailable');
+          }
+        } else {
+          try {
+            await refresh();
+          } catch (error) {
+            lastFailedAt = now;
+            console.error('Fetch Google signing keys error:', error.message);
+            // Keep using the keys we have until Google answers again
+            if (!keys.has(kid)) {
+              throw unavailable('Google signing keys are unavailable');
+            }
+          }
+        }
+      }
+      return keys.get(kid) || null;
+    }
+  };
+};
+
+// Key source over a fixed JWKS document (local development and tests)
+const createStaticKeySource = (jwks) => {
+  const keys = toKeyMap(jwks);
+  return {
+    getKey: async (kid) => keys.get(kid) || null
+  };
+};
+
+const isGoogleAuthUnavailable = (error) => error.name === 'GoogleAuthUnavailableError';
+
+let keySource = createRemoteKeySource();
+
+const setKeySource = (source) => {
+  keySource = source;
+};
+
+// Accepts a comma-separated list so web and mobile client IDs can share a backend
+const getClientIds = () => (process.env.GOOGLE_CLIENT_ID || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+// Verify a Google ID token's signature, audience, issuer and expiry and
+// return its claims. Throws if the token cannot be trusted.
+const verifyGoogleIdToken = async (idToken) => {
+  const clientIds = getClientIds();
+  if (clientIds.length === 0) {
+    throw unavailable('GOOGLE_CLIENT_ID is not configured');
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header.kid) {
+    throw new Error('Malformed Google ID token');
+  }
+
+  const key = await keySource.getKey(decoded.header.kid);
+  if (!key) {
+    throw new Error('Unknown Google signing key');
+  }
+
+  return jwt.verify(idToken, key, {
+    algorithms: ['RS256'],
+    audience: clientIds,
+    issuer: GOOGLE_ISSUERS
+  });
+};
+
+// Verify a Google Sign-In credential and extract the profile fields we use.
+// Returns null if the credential can't be trusted; throws a
+// GoogleAuthUnavailableError if it can't be checked at all.
+const verifyGoogleCredential = async (credential) => {
+  let payload;
+  try {
+    payload = await verifyGoogleIdToken(credential);
+  } catch (error) {
+    if (isGoogleAuthUnavailable(error)) {
+      throw error;
+    }
+    console.error('Error verifying Google credential:', error.message);
+    return null;
+  }
+
+  // Validate required fields
+  if (!payload.sub || !payload.email || !payload.email_verified) {
+    return null;
+  }
+
+  return {
+    googleId: payload.sub,
+    email: payload.email,
+    name: payload.name,
+    picture: payload.picture,
+    emailVerified: payload.email_verified
+  };
+};
+
+module.exports = {
+  isGoogleAuthUnavailable,
+  verifyGoogleIdToken,
+  verifyGoogleCredential,
+  createRemoteKeySource,
+  createStaticKeySource,
+  setKeySource
+};
@@ -0,0 +1,41 @@
+const User = require('../models/User');
+
+// Find the user a provider identity is linked to (with identities selected).
+// Accounts linked to Google before identities existed only carry the old
+// `googleId` field; they are migrated the first time they are looked up.
+const findUserByIdentity = async (provider, providerId) => {
+  const user = await User.findOne({
+    identities: { $elemMatch: { provider, providerId } }
+  }).select('+identities');
+
+  if (user || provider !== 'google') {
+    return user;
+  }
+
+  const legacyUser = await User.findOne({ googleId: providerId }).select('+identities');
+  if (legacyUser) {
+    legacyUser.identities.push({ provider, providerId, linkedAt: legacyUser.createdAt });
+    await legacyUser.save();
+    await User.updateOne(
+      { _id: legacyUser._id },
+      { $unset: { googleId: 1, provider: 1 } },
+      { strict: false }
+    );
+  }
+
+  return legacyUser;
+};
+
+// Ways the user can currently sign in; needs identities selected
+const getSignInMethods = (user) => {
+  const methods = (user.identities || []).map(identity => identity.provider);
+  if (user.passwordHash) {
+    methods.unshift('local');
+  }
+  return methods;
+};
+
+module.exports = {
+  findUserByIdentity,
+  getSignInMethods
+};
@@ -0,0 +1,85 @@
+const { getCounterStore } = require('./counterStore');
+
+// Failed-login tracking per account (email) and per IP.
+// - every failure adds a growing delay before the response
+// - MAX_ACCOUNT_FAILURES failures within FAILURE_WINDOW lock the account for LOCKOUT_DURATION
+// - MAX_IP_FAILURES failures from one IP block that IP for the rest of the window
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 50;
+const FAILURE_WINDOW = 15 * 60 * 1000; // 15 minutes
+const LOCKOUT_DURATION = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const BASE_DELAY = 250;
+const MAX_DELAY = 5000;
+
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+const keys = {
+  accountFailures: (email) => `login:fail:account:${normalizeEmail(email)}`,
+  accountLock: (email) => `login:lock:account:${normalizeEmail(email)}`,
+  ipFailures: (ip) => `login:fail:ip:${ip}`
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Doubles with each failure: 250ms, 500ms, 1s, ... capped at MAX_DELAY
+const getDelay = (failures) => Math.min(BASE_DELAY * 2 ** Math.max(failures - 1, 0), MAX_DELAY);
+
+// Check whether a login attempt may proceed. Returns
+// { allowed: true } or { allowed: false, retryAfter } with retryAfter in seconds.
+const checkLoginAllowed = async (email, ip) => {
+  const store = await getCounterStore();
+
+  const lockTtl = await store.ttl(keys.accountLock(email));
+  if (lockTtl) {
+    return { allowed: false, retryAfter: Math.ceil(lockTtl / 1000) };
+  }
+
+  const ipFailures = await store.get(keys.ipFailures(ip));
+  if (ipFailures >= MAX_IP_FAILURES) {
+    const ipTtl = await store.ttl(keys.ipFailures(ip));
+    return { allowed: false, retryAfter: Math.ceil((ipTtl || FAILURE_WINDOW) / 1000) };
+  }
+
+  return { allowed: true };
+};
+
+// Record a failed attempt and wait out the progressive delay.
+// Returns { locked } where locked is true when this failure caused a lockout.
+const recordLoginFailure = async (email, ip) => {
+  const store = await getCounterStore();
+
+  const [accountFailures] = await Promise.all([
+    store.increment(keys.accountFailures(email), FAILURE_WINDOW),
+    store.increment(keys.ipFailures(ip), FAILURE_WINDOW)
+  ]);
+
+  const locked = accountFailures >= MAX_ACCOUNT_FAILURES;
+  if (locked) {
+    await store.set(keys.accountLock(email), 1, LOCKOUT_DURATION);
+    await store.del(keys.accountFailures(email));
+  }
+
+  await sleep(getDelay(accountFailures));
+
+  return { locked };
+};
+
+// A successful login clears the account's failures (not the IP's)
+const recordLoginSuccess = async (email) => {
+  const store = await getCounterStore();
+  await store.del(keys.accountFailures(email));
+};
+
+// Lift a lockout, e.g. after the password is reset
+const unlockAccount = async (email) => {
+  const store = await getCounterStore();
+  await store.del(keys.accountFailures(email), keys.accountLock(email));
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  LOCKOUT_DURATION
+};
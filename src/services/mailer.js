@@ -0,0 +1,72 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// A transport is any object with `send({ to, subject, text, html })`.
+// Production deployments plug in their provider with setTransport().
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+// Logs messages instead of sending them. Bodies hold reset and verification
+// links, so in production only the recipient and subject are logged.
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    const { to, subject, text } = message;
+    console.log('[MAIL]', isProduction() ? { to, subject } : { to, subject, text });
+    return { id: crypto.randomUUID() };
+  }
+});
+
+// Refuses to send, so a production deployment without a mail setup fails
+// visibly instead of quietly dropping reset and verification emails
+const createUnconfiguredTransport = () => ({
+  send: async () => {
+    throw new Error('No mail transport configured: set MAIL_TRANSPORT or call setTransport()');
+  }
+});
+
+// Writes each message as a JSON file to an outbox directory
+const createFileTransport = (dir = process.env.MAIL_OUTBOX_DIR || '.outbox') => ({
+  send: async (message) => {
+    const id = crypto.randomUUID();
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(
+      path.join(dir, `${Date.now()}-${id}.json`),
+      JSON.stringify({ id, ...message, sentAt: new Date() }, null, 2)
+    );
+    return { id };
+  }
+});
+
+const createDefaultTransport = () => {
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'file':
+      return createFileTransport();
+    case 'console':
+      return createConsoleTransport();
+    default:
+      if (isProduction()) {
+        console.error('MAIL_TRANSPORT is not set; emails will fail until a transport is configured');
+        return createUnconfiguredTransport();
+      }
+      return createConsoleTransport();
+  }
+};
+
+let transport = createDefaultTransport();
+
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const from = process.env.MAIL_FROM || 'vibecheck <no-reply@vibecheck.app>';
+  return transport.send({ from, to, subject, text, html });
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  createConsoleTransport,
+  createFileTransport
+};
@@ -0,0 +1,21 @@
+const ModerationLog = require('../models/ModerationLog');
+
+// Record an action taken on someone else's content. Never fails the request.
+const logModerationAction = async ({ actor, action, targetType, targetId, targetOwnerId, details }) => {
+  console.log('[MODERATION_ACTION]', { actorId: actor._id, role: actor.role, action, targetType, targetId, timestamp: new Date() });
+
+  try {
+    await ModerationLog.create({
+      actorId: actor._id,
+      action,
+      targetType,
+      targetId,
+      targetOwnerId,
+      details
+    });
+  } catch (error) {
+    console.error('Moderation log error:', error);
+  }
+};
+
+module.exports = { logModerationAction };
@@ -0,0 +1,10 @@
+const bcrypt = require('bcryptjs');
+
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(12);
+  return bcrypt.hash(password, salt);
+};
+
+module.exports = {
+  hashPassword
+};
@@ -0,0 +1,69 @@
+const Playlist = require('../models/Playlist');
+const Song = require('../models/Song');
+const PlaylistLike = require('../models/PlaylistLike');
+const SavedPlaylist = require('../models/SavedPlaylist');
+const SavedSong = require('../models/SavedSong');
+const PlaylistCollaborator = require('../models/PlaylistCollaborator');
+const PlaylistRevision = require('../models/PlaylistRevision');
+const Notification = require('../models/Notification');
+const cloudinary = require('../config/cloudinary');
+const { withTransaction } = require('../utils/transaction');
+
+// Days a deleted playlist stays in the owner's trash before it is purged
+const PLAYLIST_TRASH_DAYS = 30;
+
+const getTrashPurgeDate = (deletedAt) => new Date(deletedAt.getTime() + PLAYLIST_TRASH_DAYS * 24 * 60 * 60 * 1000);
+
+// Delete a playlist's thumbnail from Cloudinary if it was uploaded there
+const deletePlaylistThumbnail = async (playlist) => {
+  if (!playlist.thumbnailUrl || !playlist.thumbnailUrl.includes('cloudinary.com')) {
+    return;
+  }
+
+  try {
+    // Extract public_id from Cloudinary URL
+    const urlParts = playlist.thumbnailUrl.split('/');
+    const publicIdWithExtension = urlParts[urlParts.length - 1];
+    const publicId = `playlist-thumbnails/${publicIdWithExtension.split('.')[0]}`;
+
+    await cloudinary.uploader.destroy(publicId);
+  } catch (cloudinaryError) {
+    console.error('Error deleting thumbnail from Cloudinary:', cloudinaryError);
+    // Don't fail the entire operation if Cloudinary deletion fails
+  }
+};
+
+// Delete a playlist with everything that hangs off it, in one transaction
+// where supported. The owner's playlistCount is left to the caller.
+const purgePlaylist = async (playlist) => {
+  const playlistId = playlist._id;
+
+  await withTransaction(async (session) => {
+    const songIds = await Song.find({ playlistId }).session(session).distinct('_id');
+
+    // Sequential: operations in a transaction must not run concurrently
+    await SavedSong.deleteMany({ songId: { $in: songIds } }, { session });
+    await Song.deleteMany({ playlistId }, { session });
+    await PlaylistLike.deleteMany({ playlistId }, { session });
+    await SavedPlaylist.deleteMany({ playlistId }, { session });
+    await PlaylistCollaborator.deleteMany({ playlistId }, { session });
+    await PlaylistRevision.deleteMany({ playlistId }, { session });
+    await Notification.deleteMany({ playlistId }, { session });
+    await Playlist.deleteOne({ _id: playlistId }, { session });
+
+    // A trashed fork already gave its count back
+    if (playlist.forkedFrom && !playlist.deletedAt) {
+      await Playlist.updateOne({ _id: playlist.forkedFrom }, { $inc: { forksCount: -1 } }, { session });
+    }
+  });
+
+  // Cloudinary isn't part of the transaction, so only clean up once it committed
+  await deletePlaylistThumbnail(playlist);
+};
+
+module.exports = {
+  PLAYLIST_TRASH_DAYS,
+  getTrashPurgeDate,
+  purgePlaylist,
+  deletePlaylistThumbnail
+};
@@ -0,0 +1,429 @@
+// Reading and writing playlist files for other tools.
+//
+// Parsers return { title, entries } where entries are { line, title, artist, url }
+// in file order. `line` is the source line of the entry (the track's index for JSPF).
+// They stop after `maxEntries` entries, and only use plain string searches and
+// single passes over the text so large or crafted files parse in linear time.
+
+const EXTENSION_FORMATS = {
+  m3u: 'm3u',
+  m3u8: 'm3u',
+  xspf: 'xspf',
+  jspf: 'jspf',
+  json: 'jspf',
+  csv: 'csv'
+};
+
+const clean = (value) => {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  return trimmed || null;
+};
+
+// "Artist - Title" is the usual convention in M3U titles
+const splitArtistTitle = (text) => {
+  const separator = text.indexOf(' - ');
+  if (separator === -1) {
+    return { artist: null, title: clean(text) };
+  }
+  return {
+    artist: clean(text.slice(0, separator)),
+    title: clean(text.slice(separator + 3))
+  };
+};
+
+// Line numbers for increasing offsets into text, counting newlines as it goes
+const createLineCounter = (text) => {
+  let line = 1;
+  let offset = 0;
+  return (index) => {
+    for (let next = text.indexOf('\n', offset); next !== -1 && next < index; next = text.indexOf('\n', offset)) {
+      line++;
+      offset = next + 1;
+    }
+    return line;
+  };
+};
+
+// Guess the format from the file extension, then from the content
+const detectFormat = (text, filename) => {
+  const extension = filename && filename.split('.').pop().toLowerCase();
+  if (extension && EXTENSION_FORMATS[extension]) {
+    return EXTENSION_FORMATS[extension];
+  }
+
+  const start = text.trimStart();
+  if (start.startsWith('#EXTM3U')) return 'm3u';
+  if (start.startsWith('<')) return 'xspf';
+  if (start.startsWith('{')) return 'jspf';
+
+  const firstLine = start.split('\n')[0];
+  return firstLine.includes(',') && !/^[a-z]+:\/\/\S+$/i.test(firstLine.trim()) ? 'csv' : 'm3u';
+};
+
+const parseM3U = (text, maxEntries) => {
+  let title = null;
+  let info = null;
+  const entries = [];
+  const lines = text.split(/\r?\n/);
+
+  for (let index = 0; index < lines.length && entries.length < maxEntries; index++) {
+    const line = lines[index].trim();
+    if (!line) continue;
+
+    if (line.startsWith('#PLAYLIST:')) {
+      title = clean(line.slice('#PLAYLIST:'.length));
+    } else if (line.startsWith('#EXTINF:')) {
+      // #EXTINF:<duration>,<Artist - Title>
+      const comma = line.indexOf(',');
+      info = comma === -1 ? null : splitArtistTitle(line.slice(comma + 1));
+    } else if (!line.startsWith('#')) {
+      entries.push({
+        line: index + 1,
+        title: info?.title || null,
+        artist: info?.artist || null,
+        url: line
+      });
+      info = null;
+    }
+  }
+
+  return { title, entries };
+};
+
+const decodeEntities = (value) => value
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+// Text content of an element: entities decoded, CDATA sections taken as is
+const decodeXml = (value) => {
+  let text = '';
+  let position = 0;
+  let start = value.indexOf('<![CDATA[');
+  while (start !== -1) {
+    const end = value.indexOf(']]>', start + 9);
+    if (end === -1) break;
+    text += decodeEntities(value.slice(position, start)) + value.slice(start + 9, end);
+    position = end + 3;
+    start = value.indexOf('<![CDATA[', position);
+  }
+  return text + decodeEntities(value.slice(position));
+};
+
+// The next <tag ...>...</tag> at or after `from`, as { index, content, end }
+// where `end` is just past the closing tag; null if there is none
+const findElement = (xml, tag, from = 0) => {
+  const open = `<${tag}`;
+  const close = `</${tag}>`;
+
+  for (let index = xml.indexOf(open, from); index !== -1; index = xml.indexOf(open, index + open.length)) {
+    // Skip longer tag names such as <trackList> when looking for <track>
+    const next = xml[index + open.length];
+    if (next !== '>' && !/\s/.test(next || '')) continue;
+
+    const contentStart = xml.indexOf('>', index + open.length) + 1;
+    const contentEnd = contentStart === 0 ? -1 : xml.indexOf(close, contentStart);
+    if (contentEnd === -1) return null;
+    return { index, content: xml.slice(contentStart, contentEnd), end: contentEnd + close.length };
+  }
+  return null;
+};
+
+const xmlElement = (xml, tag) => {
+  const element = findElement(xml, tag);
+  return element ? clean(decodeXml(element.content)) : null;
+};
+
+const parseXSPF = (text, maxEntries) => {
+  if (!/<playlist[\s>]/.test(text)) {
+    throw new Error('Not an XSPF document');
+  }
+
+  // The playlist title is the <title> that comes before the track list
+  const trackListStart = text.search(/<trackList[\s>]/);
+  const title = xmlElement(trackListStart === -1 ? text : text.slice(0, trackListStart), 'title');
+
+  const entries = [];
+  const lineAt = createLineCounter(text);
+  let track = findElement(text, 'track', Math.max(trackListStart, 0));
+  while (track && entries.length < maxEntries) {
+    entries.push({
+      line: lineAt(track.index),
+      title: xmlElement(track.content, 'title'),
+      artist: xmlElement(track.content, 'creator'),
+      url: xmlElement(track.content, 'location')
+    });
+    track = findElement(text, 'track', track.end);
+  }
+
+  return { title, entries };
+};
+
+const parseJSPF = (text, maxEntries) => {
+  const data = JSON.parse(text);
+  const playlist = data && data.playlist;
+  if (!playlist || typeof playlist !== 'object') {
+    throw new Error('Not a JSPF document');
+  }
+
+  const tracks = Array.isArray(playlist.track) ? playlist.track : [];
+  return {
+    title: clean(playlist.title),
+    entries: tracks.slice(0, maxEntries).map((track, index) => {
+      const location = Array.isArray(track?.location) ? track.location[0] : track?.location;
+      return {
+        line: index + 1,
+        title: clean(track?.title),
+        artist: clean(track?.creator),
+        url: clean(location)
+      };
+    })
+  };
+};
+
+// RFC 4180 records, keeping the line each record starts on. Blank records
+// are dropped; reading stops once maxRecords have been found.
+const readCsvRecords = (text, maxRecords) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const pushRecord = () => {
+    if (record.some(value => value.trim())) {
+      records.push({ line: recordLine, fields: record });
+    }
+  };
+
+  for (let i = 0; i < text.length && records.length < maxRecords; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      pushRecord();
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if ((field || record.length > 0) && records.length < maxRecords) {
+    record.push(field);
+    pushRecord();
+  }
+
+  return records;
+};
+
+const CSV_COLUMNS = {
+  title: ['title', 'name', 'track', 'song'],
+  artist: ['artist', 'creator', 'artists'],
+  url: ['url', 'link', 'location', 'uri']
+};
+
+// Columns are found by header name; files without a header are read as title,artist,url
+const parseCSV = (text, maxEntries) => {
+  // One more record in case the first is a header
+  const records = readCsvRecords(text, maxEntries + 1);
+  if (records.length === 0) {
+    return { title: null, entries: [] };
+  }
+
+  const header = records[0].fields.map(name => name.trim().toLowerCase());
+  const findColumn = (names) => header.findIndex(name => names.includes(name));
+  const hasHeader = findColumn(CSV_COLUMNS.url) !== -1;
+  const columns = hasHeader
+    ? { title: findColumn(CSV_COLUMNS.title), artist: findColumn(CSV_COLUMNS.artist), url: findColumn(CSV_COLUMNS.url) }
+    : { title: 0, artist: 1, url: 2 };
+
+  return {
+    title: null,
+    entries: records.slice(hasHeader ? 1 : 0, (hasHeader ? 1 : 0) + maxEntries).map(({ line, fields }) => ({
+      line,
+      title: clean(fields[columns.title]),
+      artist: clean(fields[columns.artist]),
+      url: clean(fields[columns.url])
+    }))
+  };
+};
+
+const PARSERS = {
+  m3u: parseM3U,
+  xspf: parseXSPF,
+  jspf: parseJSPF,
+  csv: parseCSV
+};
+
+// Parse playlist text. `format` may be m3u, m3u8, xspf, jspf or csv; it is
+// detected when omitted. At most `maxEntries` entries are read; `truncated`
+// says whether the file had more. Throws if the text isn't valid for the format.
+const parsePlaylist = (text, { format, filename, maxEntries = Infinity } = {}) => {
+  const resolved = format ? EXTENSION_FORMATS[format] : detectFormat(text, filename);
+  const { title, entries } = PARSERS[resolved](text.replace(/^\uFEFF/, ''), maxEntries + 1);
+  return {
+    format: resolved,
+    title,
+    entries: entries.slice(0, maxEntries),
+    truncated: entries.length > maxEntries
+  };
+};
+
+// Format names accepted by parsePlaylist
+const IMPORT_FORMATS = Object.keys(EXTENSION_FORMATS);
+
+// Writers produce a file in pieces so songs can be streamed out one at a time:
+// header(playlist), song(song, index), footer(playlist)
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const escapeCsv = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// M3U directives are line based, so line breaks in titles would corrupt the file
+const singleLine = (value) => String(value ?? '').replace(/[\r\n]+/g, ' ');
+
+const indentJson = (value, depth) => JSON.stringify(value, null, 2).replace(/\n/g, `\n${'  '.repeat(depth)}`);
+
+const WRITERS = {
+  m3u8: {
+    contentType: 'audio/x-mpegurl; charset=utf-8',
+    extension: 'm3u8',
+    header: (playlist) => `#EXTM3U\n#PLAYLIST:${singleLine(playlist.title)}\n`,
+    song: (song) => `#EXTINF:-1,${singleLine(song.artist)} - ${singleLine(song.title)}\n${song.url}\n`,
+    footer: () => ''
+  },
+  xspf: {
+    contentType: 'application/xspf+xml; charset=utf-8',
+    extension: 'xspf',
+    header: (playlist) => [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+      `  <title>${escapeXml(playlist.title)}</title>`,
+      `  <creator>${escapeXml(playlist.userId.username)}</creator>`,
+      playlist.description ? `  <annotation>${escapeXml(playlist.description)}</annotation>` : null,
+      `  <date>${playlist.createdAt.toISOString()}</date>`,
+      '  <trackList>',
+      ''
+    ].filter(line => line !== null).join('\n'),
+    song: (song) => [
+      '    <track>',
+      `      <location>${escapeXml(song.url)}</location>`,
+      `      <title>${escapeXml(song.title)}</title>`,
+      `      <creator>${escapeXml(song.artist)}</creator>`,
+      song.thumbnail ? `      <image>${escapeXml(song.thumbnail)}</image>` : null,
+      '    </track>',
+      ''
+    ].filter(line => line !== null).join('\n'),
+    footer: () => '  </trackList>\n</playlist>\n'
+  },
+  jspf: {
+    contentType: 'application/jspf+json; charset=utf-8',
+    extension: 'jspf',
+    header: (playlist) => {
+      const head = indentJson({
+        title: playlist.title,
+        creator: playlist.userId.username,
+        annotation: playlist.description || undefined,
+        date: playlist.createdAt.toISOString()
+      }, 1);
+      return `{\n  "playlist": ${head.slice(0, -4)},\n    "track": [`;
+    },
+    song: (song, index) => `${index > 0 ? ',' : ''}\n      ${indentJson({
+      location: [song.url],
+      title: song.title,
+      creator: song.artist,
+      image: song.thumbnail || undefined
+    }, 3)}`,
+    footer: () => '\n    ]\n  }\n}\n'
+  },
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: () => 'position,title,artist,url,platform\r\n',
+    song: (song) => [song.position, song.title, song.artist, song.url, song.platform].map(escapeCsv).join(',') + '\r\n',
+    footer: () => ''
+  },
+  // Everything we store about the playlist, for backups and moving between accounts
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    header: (playlist) => {
+      const head = indentJson({
+        format: 'vibecheck-playlist',
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        playlist: {
+          title: playlist.title,
+          description: playlist.description,
+          tags: playlist.tags,
+          coverGradient: playlist.coverGradient,
+          thumbnailUrl: playlist.thumbnailUrl,
+          isPublic: playlist.isPublic,
+          likesCount: playlist.likesCount,
+          owner: playlist.userId.username,
+          createdAt: playlist.createdAt,
+          updatedAt: playlist.updatedAt
+        }
+      }, 0);
+      return `${head.slice(0, -2)},\n  "songs": [`;
+    },
+    song: (song, index) => `${index > 0 ? ',' : ''}\n    ${indentJson({
+      title: song.title,
+      artist: song.artist,
+      url: song.url,
+      platform: song.platform,
+      thumbnail: song.thumbnail,
+      position: song.position,
+      addedAt: song.createdAt
+    }, 2)}`,
+    footer: () => '\n  ]\n}\n'
+  }
+};
+
+// Format names accepted by getPlaylistWriter
+const EXPORT_FORMATS = Object.keys(WRITERS);
+
+// Own keys only, so names like "constructor" don't resolve to Object members
+const getPlaylistWriter = (format) => (
+  Object.prototype.hasOwnProperty.call(WRITERS, format) ? WRITERS[format] : null
+);
+
+module.exports = {
+  IMPORT_FORMATS,
+  EXPORT_FORMATS,
+  parsePlaylist,
+  getPlaylistWriter
+};
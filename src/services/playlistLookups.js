@@ -0,0 +1,40 @@
+// Aggregation stages that add songCount and the owner (as user) to each
+// playlist in a pipeline, for list endpoints. With includeSongs the songs
+// themselves are kept as well.
+const withSongsAndUser = ({ includeSongs = false } = {}) => [
+  {
+    $lookup: {
+      from: 'songs',
+      localField: '_id',
+      foreignField: 'playlistId',
+      as: 'songs'
+    }
+  },
+  {
+    // Only public profile fields: select: false doesn't apply inside $lookup,
+    // so anything not listed here would reach the response
+    $lookup: {
+      from: 'users',
+      localField: 'userId',
+      foreignField: '_id',
+      pipeline: [{ $project: { username: 1, avatarUrl: 1 } }],
+      as: 'userData'
+    }
+  },
+  {
+    $addFields: {
+      songCount: { $size: '$songs' },
+      user: { $arrayElemAt: ['$userData', 0] }
+    }
+  },
+  {
+    // Aggregates ignore select: false
+    $project: {
+      ...(includeSongs ? {} : { songs: 0 }),
+      userData: 0,
+      shareToken: 0
+    }
+  }
+];
+
+module.exports = { withSongsAndUser };
@@ -0,0 +1,202 @@
+const Playlist = require('../models/Playlist');
+const Song = require('../models/Song');
+const PlaylistRevision = require('../models/PlaylistRevision');
+
+// Playlist fields tracked by revisions (thumbnails live in Cloudinary and are not versioned)
+const METADATA_FIELDS = ['title', 'description', 'coverGradient', 'tags', 'isPublic', 'visibility'];
+// Fields a restore brings back. Visibility and the share link are access
+// settings, not content: an old revision must not reopen a private playlist
+// or revive a revoked link.
+const RESTORED_FIELDS = ['title', 'description', 'coverGradient', 'tags'];
+const SONG_FIELDS = ['title', 'artist', 'url', 'platform', 'thumbnail'];
+const MAX_REV_ATTEMPTS = 3;
+
+const buildSnapshot = async (playlistId) => {
+  const [playlist, songs] = await Promise.all([
+    Playlist.findById(playlistId),
+    Song.find({ playlistId }).sort({ position: 1 })
+  ]);
+  if (!playlist) {
+    return null;
+  }
+
+  const snapshot = {};
+  METADATA_FIELDS.forEach(field => {
+    snapshot[field] = playlist[field];
+  });
+  snapshot.songs = songs.map(song => ({
+    songId: song._id,
+    title: song.title,
+    artist: song.artist,
+    url: song.url,
+    platform: song.platform,
+    thumbnail: song.thumbnail,
+    position: song.position,
+    addedBy: song.addedBy
+  }));
+  return snapshot;
+};
+
+// Snapshot the playlist's current state as its next revision. Never fails the
+// request that made the change; returns the revision or null.
+const recordRevision = async (playlistId, { author, action, details } = {}) => {
+  try {
+    const snapshot = await buildSnapshot(playlistId);
+    if (!snapshot) {
+      return null;
+    }
+
+    // Two concurrent changes can race for the same number; the unique index
+    // rejects one and it takes the next
+    for (let attempt = 1; ; attempt++) {
+      const latest = await PlaylistRevision.findOne({ playlistId }).sort({ rev: -1 }).select('rev');
+      try {
+        return await PlaylistRevision.create({
+          playlistId,
+          rev: latest ? latest.rev + 1 : 1,
+          action,
+          authorId: author?._id,
+          snapshot,
+          details
+        });
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= MAX_REV_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Record playlist revision error:', error);
+    return null;
+  }
+};
+
+// Playlists created before revisions existed have no history. Call this before
+// changing one so the state being changed can still be restored.
+const ensureBaselineRevision = async (playlistId) => {
+  if (await PlaylistRevision.exists({ playlistId })) {
+    return;
+  }
+  await recordRevision(playlistId, { action: 'baseline' });
+};
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Ids of songs whose relative order changed: those outside the longest common
+// subsequence of the two orderings. Positions shifted only by an add or
+// remove elsewhere don't count as moves. Both lists hold the same unique ids,
+// so that subsequence is the longest increasing run of old indexes in the new
+// order, found in O(n log n) time and linear memory.
+const findMovedIds = (fromIds, toIds) => {
+  const fromIndex = new Map(fromIds.map((id, index) => [id, index]));
+  const indexes = toIds.map(id => fromIndex.get(id));
+
+  // tails[k]: position in toIds ending the best increasing run of length k + 1
+  const tails = [];
+  const previous = new Array(indexes.length);
+  indexes.forEach((value, position) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (indexes[tails[mid]] < value) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    previous[position] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = position;
+  });
+
+  const inOrder = new Set();
+  for (let position = tails.length > 0 ? tails[tails.length - 1] : -1; position !== -1; position = previous[position]) {
+    inOrder.add(toIds[position]);
+  }
+
+  return new Set(toIds.filter(id => !inOrder.has(id)));
+};
+
+// Compare two snapshots: metadata changes plus songs added, removed, moved and edited
+const diffSnapshots = (from, to) => {
+  const metadata = METADATA_FIELDS
+    .filter(field => !isEqual(from[field], to[field]))
+    .map(field => ({ field, from: from[field], to: to[field] }));
+
+  const fromSongs = new Map(from.songs.map(song => [song.songId.toString(), song]));
+  const toSongs = new Map(to.songs.map(song => [song.songId.toString(), song]));
+
+  const added = to.songs.filter(song => !fromSongs.has(song.songId.toString()));
+  const removed = from.songs.filter(song => !toSongs.has(song.songId.toString()));
+  const movedIds = findMovedIds(
+    from.songs.map(song => song.songId.toString()).filter(id => toSongs.has(id)),
+    to.songs.map(song => song.songId.toString()).filter(id => fromSongs.has(id))
+  );
+  const moved = [];
+  const updated = [];
+
+  to.songs.forEach(song => {
+    const previous = fromSongs.get(song.songId.toString());
+    if (!previous) {
+      return;
+    }
+
+    if (movedIds.has(song.songId.toString())) {
+      moved.push({ song, from: previous.position, to: song.position });
+    }
+
+    const changes = SONG_FIELDS
+      .filter(field => !isEqual(previous[field], song[field]))
+      .map(field => ({ field, from: previous[field], to: song[field] }));
+    if (changes.length > 0) {
+      updated.push({ song, changes });
+    }
+  });
+
+  return {
+    metadata,
+    songs: { added, removed, moved, updated }
+  };
+};
+
+// Bring the playlist's content back to a snapshot, keeping its current
+// visibility and share link. Songs keep their original ids, so saves of a
+// restored song point at it again.
+const restoreSnapshot = async (playlistId, snapshot) => {
+  const metadata = {};
+  RESTORED_FIELDS.forEach(field => {
+    if (snapshot[field] !== undefined) {
+      metadata[field] = snapshot[field];
+    }
+  });
+  await Playlist.findByIdAndUpdate(playlistId, metadata, { runValidators: true });
+
+  const songIds = snapshot.songs.map(song => song.songId);
+  await Song.deleteMany({ playlistId, _id: { $nin: songIds } });
+
+  if (snapshot.songs.length > 0) {
+    await Song.bulkWrite(snapshot.songs.map(song => ({
+      replaceOne: {
+        filter: { _id: song.songId },
+        replacement: {
+          playlistId,
+          title: song.title,
+          artist: song.artist,
+          url: song.url,
+          platform: song.platform,
+          thumbnail: song.thumbnail,
+          position: song.position,
+          addedBy: song.addedBy
+        },
+        upsert: true
+      }
+    })));
+  }
+};
+
+module.exports = {
+  recordRevision,
+  ensureBaselineRevision,
+  diffSnapshots,
+  restoreSnapshot
+};
@@ -0,0 +1,79 @@
+const Playlist = require('../models/Playlist');
+const { generateSlug } = require('../utils/helpers');
+
+const MAX_SLUG_LENGTH = 80;
+const MAX_SAVE_ATTEMPTS = 3;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Slug for a title before making it unique ("My Mix!" -> "my-mix")
+const getBaseSlug = (title) => {
+  const slug = generateSlug(title || '').slice(0, MAX_SLUG_LENGTH).replace(/-+$/, '');
+  return slug || 'playlist';
+};
+
+// First free slug among base, base-2, base-3... within the user's playlists,
+// trashed ones included so restoring them can't collide
+const generateUniqueSlug = async (userId, title, { excludeId } = {}) => {
+  const base = getBaseSlug(title);
+
+  const query = { userId, slug: new RegExp(`^${escapeRegex(base)}(-\\d+)?$`) };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  const taken = new Set(await Playlist.find(query).setOptions({ includeDeleted: true }).distinct('slug'));
+
+  if (!taken.has(base)) {
+    return base;
+  }
+  for (let suffix = 2; ; suffix++) {
+    if (!taken.has(`${base}-${suffix}`)) {
+      return `${base}-${suffix}`;
+    }
+  }
+};
+
+const isSlugConflict = (error) => error.code === 11000 && error.keyPattern && error.keyPattern.slug;
+
+// Save a new playlist with a slug from its title. Two playlists created at the
+// same moment can pick the same slug; the unique index rejects one and it
+// picks again.
+const saveWithSlug = async (playlist) => {
+  for (let attempt = 1; ; attempt++) {
+    playlist.slug = await generateUniqueSlug(playlist.userId, playlist.title);
+    try {
+      return await playlist.save();
+    } catch (error) {
+      if (!isSlugConflict(error) || attempt >= MAX_SAVE_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Slug changes for a rename: the new slug, and the old one moved to
+// previousSlugs so existing links keep resolving. Returns {} if the slug stays.
+const getRenameSlugChanges = async (playlist, title) => {
+  if (playlist.slug && getBaseSlug(title) === getBaseSlug(playlist.title)) {
+    return {};
+  }
+
+  const slug = await generateUniqueSlug(playlist.userId, title, { excludeId: playlist._id });
+  if (slug === playlist.slug) {
+    return {};
+  }
+
+  const previousSlugs = (playlist.previousSlugs || []).filter(previous => previous !== slug);
+  if (playlist.slug && !previousSlugs.includes(playlist.slug)) {
+    previousSlugs.push(playlist.slug);
+  }
+  return { slug, previousSlugs };
+};
+
+module.exports = {
+  getBaseSlug,
+  generateUniqueSlug,
+  saveWithSlug,
+  getRenameSlugChanges,
+  isSlugConflict
+};
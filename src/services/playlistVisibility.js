@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const { getPlaylistAccess } = require('../middleware/authorize');
+
+// public: listed everywhere. unlisted: hidden from the feed, trending, search,
+// tags and profiles but readable by anyone with the share token. private:
+// owner, collaborators and moderators only.
+const VISIBILITIES = ['public', 'unlisted', 'private'];
+
+// Playlists created before visibility existed only have isPublic
+const getVisibility = (playlist) => {
+  return playlist.visibility || (playlist.isPublic === false ? 'private' : 'public');
+};
+
+// Visibility asked for in a request body, accepting the older isPublic flag
+const getRequestedVisibility = ({ visibility, isPublic }) => {
+  if (visibility) {
+    return visibility;
+  }
+  if (isPublic !== undefined) {
+    return isPublic === true || isPublic === 'true' ? 'public' : 'private';
+  }
+  return undefined;
+};
+
+// isPublic stays the flag every listing query filters on, so it's only true
+// for public playlists
+const getVisibilityFields = (visibility) => ({
+  visibility,
+  isPublic: visibility === 'public'
+});
+
+const generateShareToken = () => crypto.randomBytes(24).toString('base64url');
+
+// Share token update for moving a playlist (loaded with +shareToken) to a
+// visibility. Leaving unlisted drops the token and entering it creates a new
+// one, so an old link never opens the playlist again.
+const getShareTokenChanges = (playlist, visibility) => {
+  if (visibility !== 'unlisted') {
+    return { $unset: { shareToken: 1 } };
+  }
+  if (getVisibility(playlist) === 'unlisted' && playlist.shareToken) {
+    return {};
+  }
+  return { shareToken: generateShareToken() };
+};
+
+// Share tokens only open unlisted playlists. The playlist must have been
+// loaded with +shareToken.
+const hasValidShareToken = (playlist, token) => {
+  if (getVisibility(playlist) !== 'unlisted' || !playlist.shareToken || typeof token !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(playlist.shareToken);
+  const given = Buffer.from(token);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+// Whether the playlist can be read by this user, or by anyone holding shareToken
+const canViewPlaylist = async (user, playlist, shareToken) => {
+  if (getVisibility(playlist) === 'public' || hasValidShareToken(playlist, shareToken)) {
+    return true;
+  }
+  return !!await getPlaylistAccess(user, playlist, 'playlist:read');
+};
+
+module.exports = {
+  VISIBILITIES,
+  getVisibility,
+  getRequestedVisibility,
+  getVisibilityFields,
+  generateShareToken,
+  getShareTokenChanges,
+  hasValidShareToken,
+  canViewPlaylist
+};
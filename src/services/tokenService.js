@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+
+const ACCESS_TOKEN_TYPE = 'access';
+const REFRESH_TOKEN_TYPE = 'refresh';
+const TWO_FACTOR_CHALLENGE_TYPE = 'two_factor_challenge';
+const EXPORT_DOWNLOAD_TYPE = 'export_download';
+const PERSONAL_ACCESS_TOKEN_PREFIX = 'vcpat_';
+
+// Refresh tokens get their own secret when one is configured; the `type`
+// claim keeps the two apart even when both fall back to JWT_SECRET
+const getRefreshSecret = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId, type: ACCESS_TOKEN_TYPE }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+  });
+};
+
+const signRefreshToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId, type: REFRESH_TOKEN_TYPE }, getRefreshSecret(), {
+    expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '30d',
+    jwtid: crypto.randomUUID()
+  });
+};
+
+const getExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+// How often authenticated requests bump a session's lastUsedAt
+const LAST_USED_RESOLUTION = 5 * 60 * 1000;
+
+// Start a new session and issue its first token pair. `client` describes the
+// device signing in ({ deviceLabel, ip, userAgent }) for the sessions list.
+const generateTokens = async (userId, client = {}) => {
+  const session = new Session({
+    userId,
+    deviceLabel: client.deviceLabel?.slice(0, 100),
+    ip: client.ip,
+    userAgent: client.userAgent?.slice(0, 500)
+  });
+
+  const accessToken = signAccessToken(userId, session._id);
+  const refreshToken = signRefreshToken(userId, session._id);
+
+  session.refreshTokenHash = hashToken(refreshToken);
+  session.expiresAt = getExpiry(refreshToken);
+  await session.save();
+
+  return { accessToken, refreshToken };
+};
+
+// Verify an access token; refresh tokens are rejected even if the signature matches
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.type !== ACCESS_TOKEN_TYPE) {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+
+  return decoded;
+};
+
+const decodeRefreshToken = (refreshToken) => {
+  try {
+    const decoded = jwt.verify(refreshToken, getRefreshSecret());
+    return decoded.type === REFRESH_TOKEN_TYPE && decoded.sid ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Exchange a refresh token for a new pair. Presenting a token that has
+// already been rotated out revokes the whole family. Returns null when the
+// token cannot be used.
+const rotateRefreshToken = async (refreshToken, client = {}) => {
+  const decoded = decodeRefreshToken(refreshToken);
+  if (!decoded) {
+    return null;
+  }
+
+  const { userId, sid } = decoded;
+  const accessToken = signAccessToken(userId, sid);
+  const newRefreshToken = signRefreshToken(userId, sid);
+
+  // Only the current token of a live session may rotate; the filter makes
+  // concurrent refreshes with the same token race safely
+  const session = await Session.findOneAndUpdate(
+    { _id: sid, refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    {
+      refreshTokenHash: hashToken(newRefreshToken),
+      lastUsedAt: new Date(),
+      expiresAt: getExpiry(newRefreshToken),
+      ...(client.ip && { ip: client.ip })
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const revoked = await Session.findOneAndUpdate(
+      { _id: sid, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'reuse_detected' }
+    );
+
+    if (revoked) {
+      console.warn('[REFRESH_TOKEN_REUSE]', { sessionId: sid, userId, timestamp: new Date() });
+    }
+
+    return null;
+  }
+
+  return { accessToken, refreshToken: newRefreshToken };
+};
+
+const revokeSession = async (sessionId, reason = 'logout') => {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+
+  return session;
+};
+
+// Load a session that can still be used, bumping lastUsedAt at most once per
+// LAST_USED_RESOLUTION so authenticated requests don't all write
+const getActiveSession = async (sessionId) => {
+  const session = await Session.findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (session && Date.now() - session.lastUsedAt.getTime() > LAST_USED_RESOLUTION) {
+    session.lastUsedAt = new Date();
+    await Session.updateOne({ _id: session._id }, { lastUsedAt: session.lastUsedAt });
+  }
+
+  return session;
+};
+
+const listActiveSessions = (userId) => {
+  return Session.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select('-refreshTokenHash')
+    .sort({ lastUsedAt: -1 });
+};
+
+// Revoke every live session of a user, optionally keeping one (the caller's)
+const revokeUserSessions = async (userId, { exceptSessionId, reason = 'user_revoked' } = {}) => {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+// Revoke the session a refresh token belongs to (used by logout)
+const revokeRefreshToken = async (refreshToken) => {
+  const decoded = decodeRefreshToken(refreshToken);
+  if (!decoded) {
+    return null;
+  }
+
+  return revokeSession(decoded.sid);
+};
+
+// Short-lived token proving the password step of a two-factor login passed
+const signTwoFactorChallenge = (userId) => {
+  return jwt.sign({ userId, type: TWO_FACTOR_CHALLENGE_TYPE }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
+  });
+};
+
+// Returns the challenge's user id, or null if it is invalid or expired
+const verifyTwoFactorChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.type === TWO_FACTOR_CHALLENGE_TYPE ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Short-lived token for an account export download link, so the link can be
+// opened directly in a browser without the access token
+const signExportDownloadToken = (exportId) => {
+  return jwt.sign({ exportId, type: EXPORT_DOWNLOAD_TYPE }, process.env.JWT_SECRET, {
+    expiresIn: '15m'
+  });
+};
+
+// Returns the token's export id, or null if it is invalid or expired
+const verifyExportDownloadToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === EXPORT_DOWNLOAD_TYPE ? decoded.exportId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Issue a single-use token for an emailed link. Earlier unused tokens for
+// the same purpose are invalidated so only the latest link works.
+const createOneTimeToken = async (userId, purpose, ttlMs, { email } = {}) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await AuthToken.deleteMany({ userId, purpose, usedAt: null });
+  await AuthToken.create({
+    userId,
+    purpose,
+    email,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return token;
+};
+
+// Mark a one-time token as used and return it, or null if it is unknown,
+// expired or already used
+const consumeOneTimeToken = (token, purpose) => {
+  return AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+const isPersonalAccessToken = (token) => token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX);
+
+// Create a personal access token. The plain token is returned once and only
+// its hash is stored.
+const createPersonalAccessToken = async (userId, { name, scopes, expiresAt = null }) => {
+  const token = PERSONAL_ACCESS_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+  const accessToken = await PersonalAccessToken.create({
+    userId,
+    name,
+    scopes,
+    expiresAt,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, PERSONAL_ACCESS_TOKEN_PREFIX.length + 6)
+  });
+
+  return { token, accessToken };
+};
+
+// Look up a usable personal access token, bumping lastUsedAt like sessions do
+const verifyPersonalAccessToken = async (token) => {
+  const now = new Date();
+  const accessToken = await PersonalAccessToken.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+  });
+
+  if (accessToken && (!accessToken.lastUsedAt || now - accessToken.lastUsedAt > LAST_USED_RESOLUTION)) {
+    accessToken.lastUsedAt = now;
+    await PersonalAccessToken.updateOne({ _id: accessToken._id }, { lastUsedAt: now });
+  }
+
+  return accessToken;
+};
+
+// Revoke every live personal access token of a user
+const revokeUserAccessTokens = async (userId) => {
+  const result = await PersonalAccessToken.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  generateTokens,
+  verifyAccessToken,
+  rotateRefreshToken,
+  revokeSession,
+  revokeRefreshToken,
+  getActiveSession,
+  listActiveSessions,
+  revokeUserSessions,
+  createOneTimeToken,
+  consumeOneTimeToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  signExportDownloadToken,
+  verifyExportDownloadToken,
+  isPersonalAccessToken,
+  createPersonalAccessToken,
+  verifyPersonalAccessToken,
+  revokeUserAccessTokens,
+  hashToken
+};
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps),
+// the defaults every authenticator app understands
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+    value &= (1 << bits) - 1;
+  }
+
+  return Buffer.from(bytes);
+};
+
+// 160-bit secret, base32 encoded for authenticator apps
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return code.toString().padStart(DIGITS, '0');
+};
+
+const getStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+const generateTotp = (secret, time = Date.now()) => generateHotp(secret, getStep(time));
+
+// Check a code against the current step and `window` steps either side to
+// allow for clock drift. Returns the matching step (so callers can reject
+// replays) or null.
+const verifyTotp = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  if (typeof code !== 'string' || !/^\d+$/.test(code) || code.length !== DIGITS) {
+    return null;
+  }
+
+  const currentStep = getStep(time);
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+};
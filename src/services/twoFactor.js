@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { verifyTotp } = require('./totp');
+const { hashToken } = require('./tokenService');
+
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep';
+
+// Recovery codes look like "a1b2c-3d4e5"; compare them without dashes, spaces or case
+const normalizeRecoveryCode = (code) => code.replace(/[\s-]/g, '').toLowerCase();
+
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(normalizeRecoveryCode(code)))
+  };
+};
+
+// Check a TOTP code or an unused recovery code for a user with 2FA enabled.
+// Accepted codes are consumed: TOTP steps can't be replayed and recovery
+// codes are removed. Returns the method used, or null.
+const verifyTwoFactorCode = async (userId, code) => {
+  const user = await User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+  if (!user || !user.twoFactor?.enabled || !code) {
+    return null;
+  }
+
+  const step = verifyTotp(user.twoFactor.secret, code.trim());
+  if (step !== null) {
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $lt: step } },
+          { 'twoFactor.lastUsedStep': null }
+        ]
+      },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    return result.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  const codeHash = hashToken(normalizeRecoveryCode(code));
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.recoveryCodeHashes': codeHash },
+    { $pull: { 'twoFactor.recoveryCodeHashes': codeHash } }
+  );
+  return result.modifiedCount === 1 ? 'recovery_code' : null;
+};
+
+module.exports = {
+  TWO_FACTOR_SECRET_FIELDS,
+  generateRecoveryCodes,
+  verifyTwoFactorCode
+};
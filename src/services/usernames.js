@@ -0,0 +1,159 @@
+const User = require('../models/User');
+const UsernameHistory = require('../models/UsernameHistory');
+const { RESERVED_USERNAMES, BLOCKED_USERNAME_TERMS } = require('../config/reservedUsernames');
+const PUBLIC_PROFILE_FIELDS = require('../config/publicProfileFields');
+const { withTransaction } = require('../utils/transaction');
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_-]{3,50}$/;
+// Minimum time between two renames of the same account
+const USERNAME_CHANGE_COOLDOWN_DAYS = 30;
+// How long an old username stays with its previous owner before someone else
+// can take it, which ends its redirect
+const PREVIOUS_USERNAME_HOLD_DAYS = 180;
+
+const DAY = 24 * 60 * 60 * 1000;
+const RESERVED = new Set(RESERVED_USERNAMES);
+
+const isReservedUsername = (username) => {
+  const lower = username.toLowerCase();
+  const compact = lower.replace(/[_-]/g, '');
+  return RESERVED.has(lower) || BLOCKED_USERNAME_TERMS.some(term => compact.includes(term));
+};
+
+// Why a username can't be used by this account (userId is null for new
+// accounts) as { status, error }, or null if it is free
+const getUsernameProblem = async (username, userId = null) => {
+  if (!USERNAME_PATTERN.test(username)) {
+    return { status: 400, error: 'Username must be 3-50 chars, alphanumeric, underscore or dash' };
+  }
+  if (isReservedUsername(username)) {
+    return { status: 400, error: 'This username is not available' };
+  }
+
+  const usernameLower = username.toLowerCase();
+  const [existing, previous] = await Promise.all([
+    User.findOne({ $or: [{ usernameLower }, { username }] }).select('_id'),
+    UsernameHistory.findOne({ usernameLower })
+  ]);
+
+  const isSelf = (id) => userId && id.toString() === userId.toString();
+  const heldByOther = previous && !isSelf(previous.userId) &&
+    previous.createdAt > new Date(Date.now() - PREVIOUS_USERNAME_HOLD_DAYS * DAY);
+  if ((existing && !isSelf(existing._id)) || heldByOther) {
+    return { status: 409, error: 'Username already taken' };
+  }
+  return null;
+};
+
+// A free username derived from a display name, for accounts created through
+// a sign-in provider
+const generateAvailableUsername = async (name) => {
+  const cleaned = (name || '').replace(/[^a-zA-Z0-9_-]/g, '').toLowerCase().slice(0, 36);
+  // No number suffix makes a reserved or blocked name usable
+  const base = cleaned && !isReservedUsername(cleaned) ? cleaned : 'listener';
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const candidate = base + Math.floor(Math.random() * 1000 * 10 ** attempt);
+    if (!await getUsernameProblem(candidate)) {
+      return candidate;
+    }
+  }
+  return `${base}${Date.now()}`;
+};
+
+// When the user may rename next, or null if they can now
+const getNextUsernameChangeAt = (user) => {
+  if (!user.usernameChangedAt) {
+    return null;
+  }
+  const next = new Date(user.usernameChangedAt.getTime() + USERNAME_CHANGE_COOLDOWN_DAYS * DAY);
+  return next > new Date() ? next : null;
+};
+
+// Rename an account, keeping the old name in the history so links to it
+// resolve. Returns { user } or { status, error }.
+const changeUsername = async (user, requested) => {
+  const username = requested.trim();
+  if (username === user.username) {
+    return { user };
+  }
+
+  // Fixing capitalisation isn't a rename: no cooldown and nothing to redirect
+  const caseOnly = username.toLowerCase() === user.username.toLowerCase();
+
+  const nextChangeAt = getNextUsernameChangeAt(user);
+  if (!caseOnly && nextChangeAt) {
+    return {
+      status: 429,
+      error: `You can change your username again after ${nextChangeAt.toUTCString()}`,
+      nextChangeAt
+    };
+  }
+
+  const problem = await getUsernameProblem(username, user._id);
+  if (problem) {
+    return problem;
+  }
+
+  const updates = { username, usernameLower: username.toLowerCase() };
+  if (!caseOnly) {
+    updates.usernameChangedAt = new Date();
+  }
+
+  let updatedUser;
+  try {
+    // The history and the account change together, so a failed rename
+    // doesn't leave the old name redirecting to an account that still has it
+    updatedUser = await withTransaction(async (session) => {
+      if (!caseOnly) {
+        // The new name is no longer a redirect; the old one becomes one
+        await UsernameHistory.deleteOne({ usernameLower: updates.usernameLower }, { session });
+        await UsernameHistory.findOneAndUpdate(
+          { usernameLower: user.username.toLowerCase() },
+          { userId: user._id, username: user.username, createdAt: new Date() },
+          { upsert: true, timestamps: false, session }
+        );
+      }
+      return User.findByIdAndUpdate(user._id, updates, { new: true, runValidators: true, session })
+        .select('-passwordHash');
+    });
+  } catch (error) {
+    // Someone else took the name between the check and the update
+    if (error.code === 11000) {
+      return { status: 409, error: 'Username already taken' };
+    }
+    throw error;
+  }
+
+  console.log('[USERNAME_CHANGED]', { userId: user._id, from: user.username, to: username, timestamp: new Date() });
+
+  return { user: updatedUser };
+};
+
+// Find an account by username, ignoring case, falling back to names it used
+// before. Returns { user, previousUsername } or null.
+const resolveUsername = async (username, select = PUBLIC_PROFILE_FIELDS) => {
+  const usernameLower = username.toLowerCase();
+
+  const user = await User.findOne({ $or: [{ usernameLower }, { username }] }).select(select);
+  if (user) {
+    return { user, previousUsername: null };
+  }
+
+  const previous = await UsernameHistory.findOne({ usernameLower });
+  if (!previous) {
+    return null;
+  }
+
+  const renamedUser = await User.findById(previous.userId).select(select);
+  return renamedUser ? { user: renamedUser, previousUsername: previous.username } : null;
+};
+
+module.exports = {
+  USERNAME_CHANGE_COOLDOWN_DAYS,
+  isReservedUsername,
+  getUsernameProblem,
+  generateAvailableUsername,
+  getNextUsernameChangeAt,
+  changeUsername,
+  resolveUsername
+};
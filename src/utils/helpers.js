@@ -6,9 +6,31 @@ const generateSlug = (text) => {
     .replace(/^-+|-+$/g, '');
 };
 
-const paginate = (page = 1, limit = 10) => {
-  const offset = (page - 1) * limit;
-  return { offset, limit: parseInt(limit) };
+// Build a short human-readable label like "Chrome on macOS" from a user agent
+const getDeviceLabel = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) {
+    return 'Unknown device';
+  }
+
+  return [browser?.[0], system?.[0]].filter(Boolean).join(' on ');
 };
 
 const formatResponse = (data, meta = {}) => {
@@ -29,7 +51,7 @@ const formatError = (message, code = 500) => {
 
 module.exports = {
   generateSlug,
-  paginate,
+  getDeviceLabel,
   formatResponse,
   formatError
 };
\ No newline at end of file
@@ -0,0 +1,234 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Every sort ends on _id so items with equal sort keys still have a fixed
+// order, which is what lets a cursor say exactly where a page ended
+const withIdTiebreak = (sort) => {
+  if ('_id' in sort) {
+    return sort;
+  }
+  const directions = Object.values(sort);
+  return { ...sort, _id: directions[directions.length - 1] || -1 };
+};
+
+const getSortSignature = (sort) => Object.entries(sort).map(([key, direction]) => `${key}:${direction}`).join(',');
+
+const getPath = (item, path) => path.split('.').reduce((value, key) => value?.[key], item);
+
+// Dates and ObjectIds don't survive JSON on their own
+const encodeValue = (value) => {
+  if (value instanceof Date) {
+    return { d: value.toISOString() };
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return { o: value.toString() };
+  }
+  return value ?? null;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.d === 'string' && !isNaN(Date.parse(value.d))) {
+      return new Date(value.d);
+    }
+    if (typeof value.o === 'string' && mongoose.Types.ObjectId.isValid(value.o)) {
+      return new mongoose.Types.ObjectId(value.o);
+    }
+    throw new Error('Unknown cursor value');
+  }
+  return value;
+};
+
+// Opaque cursor pointing just after (or before) an item, in a given sort
+const encodeCursor = (item, sort, direction) => {
+  const payload = {
+    s: getSortSignature(sort),
+    d: direction,
+    v: Object.keys(sort).map(key => encodeValue(getPath(item, key)))
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// { direction, values } or null if the cursor is malformed or was issued
+// for a different sort
+const decodeCursor = (cursor, sort) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    const keys = Object.keys(sort);
+    if (payload.s !== getSortSignature(sort) ||
+        !['after', 'before'].includes(payload.d) ||
+        !Array.isArray(payload.v) || payload.v.length !== keys.length) {
+      return null;
+    }
+    return { direction: payload.d, values: payload.v.map(decodeValue) };
+  } catch (error) {
+    return null;
+  }
+};
+
+const reverseSort = (sort) => Object.fromEntries(Object.entries(sort).map(([key, direction]) => [key, -direction]));
+
+// Whether to read forwards (after) or backwards (before) through the sort
+const isBackward = (pagination) => pagination.cursor?.direction === 'before';
+
+// Filter for the items strictly past the cursor: a later first key, or an equal
+// first key and a later second key, and so on. Nulls and missing fields sort
+// lowest in MongoDB but don't compare with $lt/$gt, so reading downwards past a
+// value also takes the nulls, and reading upwards past a null takes $ne: null.
+const buildCursorFilter = (sort, { direction, values }) => {
+  const keys = Object.keys(sort);
+  const branches = [];
+
+  keys.forEach((key, index) => {
+    const ascending = (sort[key] === 1) === (direction === 'after');
+    const value = values[index];
+
+    let comparisons;
+    if (value === null) {
+      comparisons = ascending ? [{ $ne: null }] : [];
+    } else if (ascending) {
+      comparisons = [{ $gt: value }];
+    } else {
+      // _id is never null
+      comparisons = key === '_id' ? [{ $lt: value }] : [{ $lt: value }, null];
+    }
+
+    const prefix = {};
+    keys.slice(0, index).forEach((previousKey, previousIndex) => {
+      prefix[previousKey] = values[previousIndex];
+    });
+    comparisons.forEach(comparison => {
+      branches.push({ ...prefix, [key]: comparison });
+    });
+  });
+
+  return branches.length > 0 ? { $or: branches } : { _id: { $exists: false } };
+};
+
+// Read pagination from the query string. Lists accept either ?cursor= (from a
+// previous response's nextCursor/prevCursor) or the older ?page= / ?offset=.
+// Returns { error } if the cursor isn't valid for this list.
+const getPagination = (query, { sort, defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT }) => {
+  const fullSort = withIdTiebreak(sort);
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor, fullSort);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+    return { mode: 'cursor', limit, skip: 0, sort: fullSort, cursor };
+  }
+
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const skip = query.offset !== undefined
+    ? Math.max(parseInt(query.offset) || 0, 0)
+    : (page - 1) * limit;
+  return { mode: 'page', page, limit, skip, sort: fullSort, cursor: null };
+};
+
+// Filter, sort, skip and limit for fetching one page of a list whose own
+// filter is `match`. One extra item is fetched to tell whether more follow.
+const getPageQuery = (pagination, match = {}) => {
+  let filter = match;
+  if (pagination.cursor) {
+    const cursorFilter = buildCursorFilter(pagination.sort, pagination.cursor);
+    filter = Object.keys(match).length > 0 ? { $and: [match, cursorFilter] } : cursorFilter;
+  }
+
+  return {
+    filter,
+    sort: isBackward(pagination) ? reverseSort(pagination.sort) : pagination.sort,
+    skip: pagination.skip,
+    limit: pagination.limit + 1
+  };
+};
+
+// Turn the fetched items into the page and its pagination info. Pass total to
+// include it (and page/pages in page mode).
+const buildPage = (items, pagination, { total } = {}) => {
+  const { mode, limit, skip, sort } = pagination;
+  const backward = isBackward(pagination);
+
+  const hasMore = items.length > limit;
+  const pageItems = items.slice(0, limit);
+  if (backward) {
+    pageItems.reverse();
+  }
+
+  let hasNext;
+  let hasPrev;
+  if (mode === 'page') {
+    hasNext = hasMore;
+    hasPrev = skip > 0;
+  } else {
+    hasNext = backward || hasMore;
+    hasPrev = !backward || hasMore;
+  }
+
+  const first = pageItems[0];
+  const last = pageItems[pageItems.length - 1];
+  const info = {};
+  if (mode === 'page') {
+    info.page = pagination.page;
+  }
+  info.limit = limit;
+  if (total !== undefined) {
+    info.total = total;
+    if (mode === 'page') {
+      info.pages = Math.ceil(total / limit);
+    }
+  }
+  info.nextCursor = hasNext && last ? encodeCursor(last, sort, 'after') : null;
+  info.prevCursor = hasPrev && first ? encodeCursor(first, sort, 'before') : null;
+
+  return { items: pageItems, pagination: info };
+};
+
+const compareValues = (a, b) => {
+  if (a === null || a === undefined) {
+    return b === null || b === undefined ? 0 : -1;
+  }
+  if (b === null || b === undefined) {
+    return 1;
+  }
+  const left = a instanceof Date ? a.getTime() : a instanceof mongoose.Types.ObjectId ? a.toString() : a;
+  const right = b instanceof Date ? b.getTime() : b instanceof mongoose.Types.ObjectId ? b.toString() : b;
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+
+// Same as getPageQuery + buildPage for a list already held in memory and
+// sorted by pagination.sort
+const paginateArray = (items, pagination, { total = items.length } = {}) => {
+  const { sort, cursor } = pagination;
+  const keys = Object.keys(sort);
+
+  let remaining = items;
+  if (cursor) {
+    // Position of each item relative to the cursor in the list's order
+    const compareToCursor = (item) => {
+      for (let index = 0; index < keys.length; index++) {
+        const result = compareValues(getPath(item, keys[index]), cursor.values[index]) * sort[keys[index]];
+        if (result !== 0) {
+          return result;
+        }
+      }
+      return 0;
+    };
+    remaining = cursor.direction === 'after'
+      ? items.filter(item => compareToCursor(item) > 0)
+      : items.filter(item => compareToCursor(item) < 0).reverse();
+  }
+
+  const fetched = remaining.slice(pagination.skip, pagination.skip + pagination.limit + 1);
+  return buildPage(fetched, pagination, { total });
+};
+
+module.exports = {
+  getPagination,
+  getPageQuery,
+  buildPage,
+  paginateArray
+};
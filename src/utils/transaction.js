@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Standalone MongoDB servers (typical in development) reject transactions
+let transactionsSupported = true;
+
+const isTransactionUnsupported = (error) => {
+  return error && (
+    error.code === 20 ||
+    /Transaction numbers are only allowed/i.test(error.message || '')
+  );
+};
+
+// Run fn(session) in a transaction when the database supports one, otherwise
+// run it directly with a null session. Pass { session } to every write in fn.
+const withTransaction = async (fn) => {
+  if (!transactionsSupported) {
+    return fn(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) {
+      throw error;
+    }
+
+    console.log('Transactions not supported by this MongoDB deployment, continuing without them');
+    transactionsSupported = false;
+    return fn(null);
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { withTransaction };
@@ -0,0 +1,92 @@
+const request = require('supertest');
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const Notification = require('../src/models/Notification');
+const PersonalAccessToken = require('../src/models/PersonalAccessToken');
+const { generateTokens, createPersonalAccessToken } = require('../src/services/tokenService');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp } = require('./helpers/app');
+
+const app = createApp({
+  '/api/auth': require('../src/routes/auth'),
+  '/api/notifications': require('../src/routes/notifications')
+});
+
+describe('personal access token scopes', () => {
+  let user;
+  let accessTokens;
+
+  beforeEach(async () => {
+    useMemoryModel(User);
+    useMemoryModel(Session);
+    useMemoryModel(Notification);
+    accessTokens = useMemoryModel(PersonalAccessToken);
+
+    user = new User({ email: 'luna@example.com', username: 'luna' });
+    await user.save();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createToken = async (scopes, options = {}) => {
+    const { token } = await createPersonalAccessToken(user._id, { name: 'CLI', scopes, ...options });
+    return token;
+  };
+
+  it('passes routes that declare a granted scope', async () => {
+    const token = await createToken(['notifications:read']);
+
+    const res = await request(app)
+      .get('/api/notifications/unread-count')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ unreadCount: 0 });
+    expect(accessTokens[0].lastUsedAt).toBeInstanceOf(Date);
+  });
+
+  it('refuses routes that need a scope the token lacks', async () => {
+    const token = await createToken(['notifications:read']);
+
+    const res = await request(app)
+      .post('/api/notifications/mark-all-read')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Token is missing the notifications:write scope');
+  });
+
+  it('refuses routes that declare no scope', async () => {
+    const token = await createToken(['notifications:read', 'notifications:write']);
+
+    const res = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('stops working once revoked or expired', async () => {
+    const revoked = await createToken(['notifications:read']);
+    accessTokens[0].revokedAt = new Date();
+    const expired = await createToken(['notifications:read'], { expiresAt: new Date(Date.now() - 1000) });
+
+    for (const token of [revoked, expired]) {
+      await request(app)
+        .get('/api/notifications/unread-count')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+    }
+  });
+
+  it('does not limit session tokens', async () => {
+    const { accessToken } = await generateTokens(user._id);
+
+    await request(app)
+      .post('/api/notifications/mark-all-read')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+  });
+});
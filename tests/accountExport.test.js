@@ -0,0 +1,104 @@
+const zlib = require('zlib');
+const mongoose = require('mongoose');
+const AccountExport = require('../src/models/AccountExport');
+const User = require('../src/models/User');
+const Playlist = require('../src/models/Playlist');
+const Song = require('../src/models/Song');
+const PlaylistLike = require('../src/models/PlaylistLike');
+const SavedPlaylist = require('../src/models/SavedPlaylist');
+const SavedSong = require('../src/models/SavedSong');
+const PlaylistCollaborator = require('../src/models/PlaylistCollaborator');
+const UserFollow = require('../src/models/UserFollow');
+const Notification = require('../src/models/Notification');
+const { setTransport, createConsoleTransport } = require('../src/services/mailer');
+const { runAccountExport } = require('../src/jobs/accountExport');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+// Read the entries of a ZIP archive written by createZip
+const readZip = (archive) => {
+  const files = {};
+  let offset = 0;
+  while (archive.readUInt32LE(offset) === 0x04034b50) {
+    const size = archive.readUInt32LE(offset + 18);
+    const nameLength = archive.readUInt16LE(offset + 26);
+    const extraLength = archive.readUInt16LE(offset + 28);
+    const start = offset + 30 + nameLength + extraLength;
+    const name = archive.toString('utf8', offset + 30, offset + 30 + nameLength);
+    files[name] = zlib.inflateRawSync(archive.subarray(start, start + size)).toString('utf8');
+    offset = start + size;
+  }
+  return files;
+};
+
+describe('account export', () => {
+  let user;
+  let exports;
+
+  beforeEach(async () => {
+    exports = useMemoryModel(AccountExport);
+    useMemoryModel(User);
+    useMemoryModel(Playlist, { hideDeleted: true });
+    useMemoryModel(Song);
+    [PlaylistLike, SavedPlaylist, SavedSong, PlaylistCollaborator, UserFollow, Notification].forEach(Model => useMemoryModel(Model));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    setTransport({ send: async () => {} });
+
+    user = new User({ email: 'luna@example.com', username: 'luna', passwordHash: 'hash' });
+    await user.save();
+  });
+
+  afterEach(() => {
+    setTransport(createConsoleTransport());
+    jest.restoreAllMocks();
+  });
+
+  const createPlaylist = async (title, fields = {}) => {
+    const playlist = new Playlist({ title, userId: user._id, ...fields });
+    await playlist.save();
+    await new Song({
+      playlistId: playlist._id,
+      title: `${title} song`,
+      artist: 'Artist',
+      url: `https://youtu.be/${playlist._id}`,
+      platform: 'youtube',
+      position: 1,
+      addedBy: user._id
+    }).save();
+    return playlist;
+  };
+
+  const runExport = async () => {
+    const accountExport = new AccountExport({ userId: user._id });
+    await accountExport.save();
+    await runAccountExport(accountExport._id);
+    return exports[0];
+  };
+
+  it('includes playlists in the trash and marks them', async () => {
+    const deletedAt = new Date('2026-01-05T00:00:00Z');
+    await createPlaylist('Live');
+    await createPlaylist('Binned', { deletedAt });
+
+    const accountExport = await runExport();
+
+    expect(accountExport.status).toBe('completed');
+    const files = readZip(accountExport.archive);
+    const playlists = JSON.parse(files['playlists.json']);
+    expect(playlists).toEqual([
+      expect.objectContaining({ title: 'Live', trashed: false, deletedAt: null }),
+      expect.objectContaining({ title: 'Binned', trashed: true, deletedAt: deletedAt.toISOString() })
+    ]);
+    expect(playlists[1].songs).toEqual([expect.objectContaining({ title: 'Binned song' })]);
+    expect(files['playlists/002-binned.m3u8']).toContain('#EXTINF:-1,Artist - Binned song');
+  });
+
+  it('fails the export when the account is gone', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const accountExport = new AccountExport({ userId: new mongoose.Types.ObjectId() });
+    await accountExport.save();
+
+    await runAccountExport(accountExport._id);
+
+    expect(exports[0]).toMatchObject({ status: 'failed', error: 'User not found' });
+  });
+});
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const Playlist = require('../src/models/Playlist');
+const Song = require('../src/models/Song');
+const PlaylistLike = require('../src/models/PlaylistLike');
+const UserFollow = require('../src/models/UserFollow');
+const SavedPlaylist = require('../src/models/SavedPlaylist');
+const SavedSong = require('../src/models/SavedSong');
+const PlaylistCollaborator = require('../src/models/PlaylistCollaborator');
+const PlaylistRevision = require('../src/models/PlaylistRevision');
+const Notification = require('../src/models/Notification');
+const Session = require('../src/models/Session');
+const AuthToken = require('../src/models/AuthToken');
+const PersonalAccessToken = require('../src/models/PersonalAccessToken');
+const AccountExport = require('../src/models/AccountExport');
+const UsernameHistory = require('../src/models/UsernameHistory');
+const { purgeAccount } = require('../src/jobs/accountPurge');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+describe('account purge', () => {
+  let users;
+  let playlists;
+  let songs;
+  let likes;
+  let follows;
+  let transactions;
+  let user;
+
+  beforeEach(async () => {
+    users = useMemoryModel(User);
+    playlists = useMemoryModel(Playlist, { hideDeleted: true });
+    songs = useMemoryModel(Song);
+    likes = useMemoryModel(PlaylistLike);
+    follows = useMemoryModel(UserFollow);
+    [
+      SavedPlaylist, SavedSong, PlaylistCollaborator, PlaylistRevision, Notification,
+      Session, AuthToken, PersonalAccessToken, AccountExport, UsernameHistory
+    ].forEach(Model => useMemoryModel(Model));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    transactions = 0;
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: async (fn) => {
+        transactions++;
+        await fn();
+      },
+      endSession: async () => {}
+    });
+
+    user = await User.create({ email: 'luna@example.com', username: 'luna', passwordHash: 'hash' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createUser = (username, fields = {}) => User.create({
+    email: `${username}@example.com`,
+    username,
+    passwordHash: 'hash',
+    ...fields
+  });
+
+  it('takes every like back out of the liked playlists, a batch at a time', async () => {
+    const owner = await createUser('sol');
+    for (let i = 0; i < 501; i++) {
+      const playlist = await Playlist.create({ title: `Mix ${i}`, userId: owner._id, likesCount: 2 });
+      await PlaylistLike.create({ userId: user._id, playlistId: playlist._id });
+    }
+
+    await purgeAccount(user);
+
+    expect(likes).toHaveLength(0);
+    expect(playlists.every(playlist => playlist.likesCount === 1)).toBe(true);
+    // Two batches of likes and one empty read, plus one empty read per follow direction
+    expect(transactions).toBe(5);
+  });
+
+  it('updates the follow counters on both sides', async () => {
+    const followed = await createUser('sol', { followersCount: 3 });
+    const follower = await createUser('mars', { followingCount: 1 });
+    await UserFollow.create({ followerId: user._id, followingId: followed._id });
+    await UserFollow.create({ followerId: follower._id, followingId: user._id });
+
+    await purgeAccount(user);
+
+    expect(follows).toHaveLength(0);
+    expect(followed.followersCount).toBe(2);
+    expect(follower.followingCount).toBe(0);
+    expect(users).toEqual([followed, follower]);
+  });
+
+  it('purges the account\'s playlists, including the trash', async () => {
+    const live = await Playlist.create({ title: 'Live', userId: user._id });
+    const trashed = await Playlist.create({ title: 'Binned', userId: user._id, deletedAt: new Date() });
+    for (const playlist of [live, trashed]) {
+      await Song.create({
+        playlistId: playlist._id,
+        title: 'Song',
+        artist: 'Artist',
+        url: 'https://youtu.be/abc',
+        platform: 'youtube',
+        position: 1
+      });
+    }
+
+    await purgeAccount(user);
+
+    expect(playlists).toHaveLength(0);
+    expect(songs).toHaveLength(0);
+    expect(users).toHaveLength(0);
+  });
+});
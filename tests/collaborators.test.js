@@ -0,0 +1,76 @@
+const request = require('supertest');
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const Playlist = require('../src/models/Playlist');
+const PlaylistCollaborator = require('../src/models/PlaylistCollaborator');
+const Notification = require('../src/models/Notification');
+const UsernameHistory = require('../src/models/UsernameHistory');
+const { generateTokens } = require('../src/services/tokenService');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp } = require('./helpers/app');
+
+const app = createApp({ '/api/playlists': require('../src/routes/playlists') });
+
+describe('inviting collaborators', () => {
+  let owner;
+  let alice;
+  let playlist;
+  let collaborators;
+  let accessToken;
+
+  const createUser = (username) => new User({
+    email: `${username.toLowerCase()}@example.com`,
+    username,
+    usernameLower: username.toLowerCase()
+  }).save();
+
+  const invite = (username) => request(app)
+    .post(`/api/playlists/${playlist._id}/collaborators`)
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send({ username, role: 'viewer' });
+
+  beforeEach(async () => {
+    useMemoryModel(User);
+    useMemoryModel(Session);
+    useMemoryModel(Playlist);
+    useMemoryModel(Notification);
+    useMemoryModel(UsernameHistory);
+    collaborators = useMemoryModel(PlaylistCollaborator);
+    jest.spyOn(PlaylistCollaborator.prototype, 'populate').mockImplementation(function populate() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    owner = await createUser('luna');
+    alice = await createUser('alice');
+    playlist = await new Playlist({ userId: owner._id, title: 'Road trip' }).save();
+    ({ accessToken } = await generateTokens(owner._id));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('finds the invitee whatever the case of the name', async () => {
+    const res = await invite('Alice');
+
+    expect(res.status).toBe(201);
+    expect(collaborators).toHaveLength(1);
+    expect(String(collaborators[0].userId)).toBe(String(alice._id));
+    expect(collaborators[0].status).toBe('pending');
+  });
+
+  it('finds the invitee by a name they have since changed', async () => {
+    await UsernameHistory.create({ userId: alice._id, username: 'alice_old', usernameLower: 'alice_old' });
+
+    await invite('ALICE_OLD').expect(201);
+
+    expect(String(collaborators[0].userId)).toBe(String(alice._id));
+  });
+
+  it('answers 404 for unknown users', async () => {
+    await invite('nobody').expect(404);
+
+    expect(collaborators).toHaveLength(0);
+  });
+});
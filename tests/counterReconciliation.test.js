@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const Playlist = require('../src/models/Playlist');
+const PlaylistLike = require('../src/models/PlaylistLike');
+const UserFollow = require('../src/models/UserFollow');
+const { reconcileCounters } = require('../src/jobs/counterReconciliation');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+describe('counter reconciliation', () => {
+  let luna;
+  let sol;
+  let mix;
+
+  const like = (playlist) => PlaylistLike.create({ userId: new mongoose.Types.ObjectId(), playlistId: playlist._id });
+
+  beforeEach(async () => {
+    useMemoryModel(User);
+    useMemoryModel(Playlist, { hideDeleted: true });
+    useMemoryModel(PlaylistLike);
+    useMemoryModel(UserFollow);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    luna = await User.create({ email: 'luna@example.com', username: 'luna', playlistCount: 1, followersCount: 1 });
+    sol = await User.create({ email: 'sol@example.com', username: 'sol', followingCount: 1 });
+    mix = await Playlist.create({ title: 'Mix', userId: luna._id });
+    await UserFollow.create({ followerId: sol._id, followingId: luna._id });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('leaves correct counters alone', async () => {
+    await like(mix);
+    mix.likesCount = 1;
+
+    const report = await reconcileCounters();
+
+    ['likesCount', 'forksCount', 'playlistCount', 'followersCount', 'followingCount'].forEach(field => {
+      expect(report[field]).toMatchObject({ drifted: 0, fixed: 0 });
+    });
+    expect(report.likesCount.checked).toBe(1);
+  });
+
+  it('recomputes drifted counters', async () => {
+    await like(mix);
+    await like(mix);
+    mix.likesCount = 5;
+    await Playlist.create({ title: 'Fork', userId: sol._id, forkedFrom: mix._id });
+    luna.followersCount = 0;
+    sol.followingCount = 3;
+
+    const report = await reconcileCounters();
+
+    expect(mix.likesCount).toBe(2);
+    expect(mix.forksCount).toBe(1);
+    expect(sol.playlistCount).toBe(1);
+    expect(luna.followersCount).toBe(1);
+    expect(sol.followingCount).toBe(1);
+    expect(report.likesCount).toMatchObject({
+      drifted: 1,
+      fixed: 1,
+      totalDrift: 3,
+      samples: [{ _id: mix._id, stored: 5, actual: 2, drift: 3 }]
+    });
+    expect(report.forksCount).toMatchObject({ drifted: 1, fixed: 1 });
+  });
+
+  it('only reports drift on a dry run', async () => {
+    mix.likesCount = 5;
+
+    const report = await reconcileCounters({ dryRun: true });
+
+    expect(mix.likesCount).toBe(5);
+    expect(report.likesCount).toMatchObject({ drifted: 1, fixed: 0 });
+  });
+
+  it('keeps the likes of trashed playlists but leaves them out of the owner\'s count', async () => {
+    const trashed = await Playlist.create({ title: 'Binned', userId: luna._id, forkedFrom: mix._id, deletedAt: new Date() });
+    await like(trashed);
+    mix.forksCount = 1;
+
+    await reconcileCounters();
+
+    expect(trashed.likesCount).toBe(1);
+    expect(mix.forksCount).toBe(0);
+    expect(luna.playlistCount).toBe(1);
+  });
+
+  it('skips a counter that caught up while the pass was running', async () => {
+    mix.likesCount = 1;
+    // A like lands after the counts were taken, and the like endpoint has
+    // already bumped the counter for it
+    const aggregate = PlaylistLike.aggregate.getMockImplementation();
+    PlaylistLike.aggregate.mockImplementationOnce((pipeline) => aggregate(pipeline).then(async (rows) => {
+      await like(mix);
+      return rows;
+    }));
+
+    const report = await reconcileCounters();
+
+    expect(mix.likesCount).toBe(1);
+    expect(report.likesCount).toMatchObject({ drifted: 0, fixed: 0 });
+  });
+
+  it('does not overwrite a counter that changed since it was read', async () => {
+    mix.likesCount = 5;
+    const updateOne = Playlist.updateOne.getMockImplementation();
+    Playlist.updateOne.mockImplementationOnce((filter, update) => {
+      mix.likesCount = 6;
+      return updateOne(filter, update);
+    });
+
+    const report = await reconcileCounters();
+
+    expect(mix.likesCount).toBe(6);
+    expect(report.likesCount).toMatchObject({ drifted: 1, fixed: 0 });
+  });
+});
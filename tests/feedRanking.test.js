@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const Playlist = require('../src/models/Playlist');
+const PlaylistLike = require('../src/models/PlaylistLike');
+const UserFollow = require('../src/models/UserFollow');
+const { WEIGHTS, scoreCandidate, rankForYou } = require('../src/services/feedRanking');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const noTaste = { likedCount: 0, tagCounts: new Map(), creatorLikes: new Map(), followedIds: new Set() };
+
+describe('scoreCandidate', () => {
+  const now = Date.now();
+  const creatorId = new mongoose.Types.ObjectId();
+  const candidate = (fields = {}) => ({ userId: creatorId, tags: [], createdAt: new Date(now), ...fields });
+
+  it('scores a brand new playlist on recency alone', () => {
+    const ranking = scoreCandidate(candidate(), { taste: noTaste, recentLikes: 0, now });
+
+    expect(ranking.score).toBe(WEIGHTS.recency);
+    expect(ranking.signals).toEqual({ recency: 1, likesVelocity: 0, tagAffinity: 0, creatorAffinity: 0 });
+    expect(ranking.reasons).toEqual([
+      { signal: 'recency', contribution: WEIGHTS.recency, detail: 'Posted less than an hour ago' }
+    ]);
+  });
+
+  it('halves recency every 48 hours', () => {
+    const ranking = scoreCandidate(candidate({ createdAt: new Date(now - 96 * HOUR) }), { taste: noTaste, recentLikes: 0, now });
+
+    expect(ranking.signals.recency).toBe(0.25);
+    expect(ranking.reasons[0].detail).toBe('Posted 4 days ago');
+  });
+
+  it('grows likes velocity with diminishing returns', () => {
+    const velocity = (recentLikes) => scoreCandidate(candidate(), { taste: noTaste, recentLikes, now }).signals.likesVelocity;
+
+    expect(velocity(5)).toBe(0.632);
+    expect(velocity(50)).toBe(1);
+    expect(velocity(10) - velocity(5)).toBeLessThan(velocity(5) - velocity(0));
+  });
+
+  it('explains the strongest signals first', () => {
+    const taste = {
+      likedCount: 4,
+      tagCounts: new Map([['indie', 4], ['lofi', 2]]),
+      creatorLikes: new Map([[creatorId.toString(), 4]]),
+      followedIds: new Set([creatorId.toString()])
+    };
+
+    const ranking = scoreCandidate(candidate({ tags: ['indie', 'lofi', 'jazz'], createdAt: new Date(now - 30 * DAY) }), {
+      taste,
+      recentLikes: 1,
+      now
+    });
+
+    expect(ranking.signals).toMatchObject({ tagAffinity: 1, creatorAffinity: 1 });
+    expect(ranking.reasons.map(reason => reason.signal)).toEqual(['tagAffinity', 'creatorAffinity', 'likesVelocity']);
+    expect(ranking.reasons.map(reason => reason.detail)).toEqual([
+      'Tagged indie, lofi, like playlists you liked',
+      'From an account you follow and have liked before',
+      '1 like in the last 7 days'
+    ]);
+  });
+});
+
+describe('rankForYou', () => {
+  const viewerId = new mongoose.Types.ObjectId();
+  const followedId = new mongoose.Types.ObjectId();
+  const strangerId = new mongoose.Types.ObjectId();
+
+  const createPlaylist = (fields) => Playlist.create({
+    title: 'Mix',
+    isPublic: true,
+    createdAt: new Date(Date.now() - HOUR),
+    ...fields
+  });
+  const like = (userId, playlist, age = HOUR) => PlaylistLike.create({
+    userId,
+    playlistId: playlist._id,
+    createdAt: new Date(Date.now() - age)
+  });
+
+  beforeEach(async () => {
+    useMemoryModel(Playlist, { hideDeleted: true });
+    useMemoryModel(PlaylistLike);
+    useMemoryModel(UserFollow);
+
+    await UserFollow.create({ followerId: viewerId, followingId: followedId });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('leaves out the viewer\'s own, liked, private, old and trashed playlists', async () => {
+    const candidate = await createPlaylist({ userId: strangerId });
+    const liked = await createPlaylist({ userId: strangerId });
+    await like(viewerId, liked);
+    await createPlaylist({ userId: viewerId });
+    await createPlaylist({ userId: strangerId, isPublic: false });
+    await createPlaylist({ userId: strangerId, createdAt: new Date(Date.now() - 31 * DAY) });
+    await createPlaylist({ userId: strangerId, deletedAt: new Date() });
+
+    const ranked = await rankForYou(viewerId);
+
+    expect(ranked.map(item => String(item.playlistId))).toEqual([String(candidate._id)]);
+  });
+
+  it('ranks playlists from followed accounts and liked tags higher', async () => {
+    const plain = await createPlaylist({ userId: strangerId });
+    const followed = await createPlaylist({ userId: followedId });
+    const tagged = await createPlaylist({ userId: strangerId, tags: ['indie'] });
+    const likedBefore = await createPlaylist({ userId: strangerId, tags: ['indie'], createdAt: new Date(Date.now() - 60 * DAY) });
+    await like(viewerId, likedBefore, 40 * DAY);
+
+    const ranked = await rankForYou(viewerId);
+
+    expect(ranked.map(item => String(item.playlistId))).toEqual([tagged, followed, plain].map(playlist => String(playlist._id)));
+    expect(ranked[1].ranking.reasons).toContainEqual(expect.objectContaining({
+      signal: 'creatorAffinity',
+      detail: 'From an account you follow'
+    }));
+  });
+
+  it('only counts likes from the last week towards velocity', async () => {
+    const playlist = await createPlaylist({ userId: strangerId });
+    await like(new mongoose.Types.ObjectId(), playlist, DAY);
+    await like(new mongoose.Types.ObjectId(), playlist, 2 * DAY);
+    await like(new mongoose.Types.ObjectId(), playlist, 8 * DAY);
+
+    const [ranked] = await rankForYou(viewerId);
+
+    expect(ranked.ranking.reasons).toContainEqual(expect.objectContaining({
+      signal: 'likesVelocity',
+      detail: '2 likes in the last 7 days'
+    }));
+  });
+});
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const UserFollow = require('../src/models/UserFollow');
+const Notification = require('../src/models/Notification');
+const { getFollowStates, getFollowState } = require('../src/services/follows');
+const { generateTokens } = require('../src/services/tokenService');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp } = require('./helpers/app');
+
+const app = createApp({ '/api/users': require('../src/routes/users') });
+
+describe('follows', () => {
+  let luna;
+  let sol;
+  let follows;
+  let notifications;
+  let accessToken;
+
+  const createUser = (username, fields = {}) => User.create({
+    email: `${username}@example.com`,
+    username,
+    usernameLower: username,
+    ...fields
+  });
+  const authed = (req) => req.set('Authorization', `Bearer ${accessToken}`);
+
+  beforeEach(async () => {
+    useMemoryModel(User);
+    useMemoryModel(Session);
+    follows = useMemoryModel(UserFollow);
+    notifications = useMemoryModel(Notification);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: async (fn) => fn(),
+      endSession: async () => {}
+    });
+
+    luna = await createUser('luna');
+    sol = await createUser('sol');
+    ({ accessToken } = await generateTokens(luna._id));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('updates both counters on follow and unfollow', async () => {
+    const followed = await authed(request(app).post(`/api/users/${sol._id}/follow`));
+
+    expect(followed.status).toBe(200);
+    expect(followed.body.data).toMatchObject({ followersCount: 1, isFollowing: true, followsYou: false, isMutual: false });
+    expect(luna.followingCount).toBe(1);
+    expect(sol.followersCount).toBe(1);
+    expect(notifications).toEqual([expect.objectContaining({ type: 'user_follow' })]);
+
+    const unfollowed = await authed(request(app).delete(`/api/users/${sol._id}/follow`));
+
+    expect(unfollowed.status).toBe(200);
+    expect(unfollowed.body.data).toEqual({ followersCount: 0, isFollowing: false });
+    expect(luna.followingCount).toBe(0);
+    expect(sol.followersCount).toBe(0);
+    expect(follows).toHaveLength(0);
+    expect(notifications).toHaveLength(0);
+  });
+
+  it('reports a follow back as mutual', async () => {
+    await UserFollow.create({ followerId: sol._id, followingId: luna._id });
+
+    const res = await authed(request(app).post(`/api/users/${sol._id}/follow`));
+
+    expect(res.body.data).toMatchObject({ followsYou: true, isMutual: true });
+  });
+
+  it('leaves the counters alone when the follow already exists', async () => {
+    jest.spyOn(UserFollow, 'create').mockRejectedValueOnce(Object.assign(new Error('E11000'), { code: 11000 }));
+
+    const res = await authed(request(app).post(`/api/users/${sol._id}/follow`));
+
+    expect(res.status).toBe(409);
+    expect(luna.followingCount).toBe(0);
+    expect(sol.followersCount).toBe(0);
+  });
+
+  it('only unfollows users that are followed', async () => {
+    const res = await authed(request(app).delete(`/api/users/${sol._id}/follow`));
+
+    expect(res.status).toBe(404);
+    expect(sol.followersCount).toBe(0);
+  });
+
+  it('refuses to follow yourself or accounts being deleted', async () => {
+    await authed(request(app).post(`/api/users/${luna._id}/follow`)).expect(400);
+
+    sol.deletionScheduledFor = new Date();
+    await authed(request(app).post(`/api/users/${sol._id}/follow`)).expect(404);
+    expect(follows).toHaveLength(0);
+  });
+
+  it('answers 404 for malformed and unknown ids', async () => {
+    const unknown = new mongoose.Types.ObjectId();
+
+    for (const id of ['not-an-id', unknown]) {
+      await authed(request(app).post(`/api/users/${id}/follow`)).expect(404);
+      await authed(request(app).get(`/api/users/${id}/followers`)).expect(404);
+      await authed(request(app).get(`/api/users/${id}/following`)).expect(404);
+    }
+    await authed(request(app).delete('/api/users/not-an-id/follow')).expect(404);
+  });
+
+  describe('getFollowStates', () => {
+    it('describes how the viewer relates to each user', async () => {
+      const mars = await createUser('mars');
+      await UserFollow.create({ followerId: luna._id, followingId: sol._id });
+      await UserFollow.create({ followerId: sol._id, followingId: luna._id });
+      await UserFollow.create({ followerId: mars._id, followingId: luna._id });
+
+      const states = await getFollowStates(luna, [sol._id, mars._id]);
+
+      expect(states.get(String(sol._id))).toEqual({ isFollowing: true, followsYou: true, isMutual: true });
+      expect(states.get(String(mars._id))).toEqual({ isFollowing: false, followsYou: true, isMutual: false });
+    });
+
+    it('gives anonymous viewers all-false states', async () => {
+      await UserFollow.create({ followerId: sol._id, followingId: luna._id });
+
+      expect(await getFollowState(null, sol._id)).toEqual({ isFollowing: false, followsYou: false, isMutual: false });
+    });
+  });
+});
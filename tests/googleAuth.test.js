@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+  verifyGoogleCredential,
+  createRemoteKeySource,
+  createStaticKeySource,
+  setKeySource,
+  isGoogleAuthUnavailable
+} = require('../src/services/googleAuth');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const { privateKey: otherPrivateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const JWKS = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', alg: 'RS256', use: 'sig' }] };
+
+const signCredential = (claims = {}, { key = privateKey, kid = 'test-key', ...options } = {}) => jwt.sign(
+  {
+    sub: '1234567890',
+    email: 'luna@example.com',
+    email_verified: true,
+    name: 'Luna',
+    picture: 'https://example.com/luna.png',
+    ...claims
+  },
+  key,
+  {
+    algorithm: 'RS256',
+    keyid: kid,
+    audience: 'test-client-id',
+    issuer: 'https://accounts.google.com',
+    ...(claims.exp === undefined && { expiresIn: '5m' }),
+    ...options
+  }
+);
+
+describe('verifyGoogleCredential', () => {
+  beforeEach(() => {
+    setKeySource(createStaticKeySource(JWKS));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env.GOOGLE_CLIENT_ID = 'test-client-id';
+  });
+
+  it('returns the profile from a valid credential', async () => {
+    await expect(verifyGoogleCredential(signCredential())).resolves.toEqual({
+      googleId: '1234567890',
+      email: 'luna@example.com',
+      name: 'Luna',
+      picture: 'https://example.com/luna.png',
+      emailVerified: true
+    });
+  });
+
+  it('accepts any of several configured client ids', async () => {
+    process.env.GOOGLE_CLIENT_ID = 'web-client, test-client-id';
+    await expect(verifyGoogleCredential(signCredential())).resolves.toMatchObject({ googleId: '1234567890' });
+  });
+
+  it.each([
+    ['another audience', signCredential({}, { audience: 'someone-else' })],
+    ['another issuer', signCredential({}, { issuer: 'https://evil.example.com' })],
+    ['an expired token', signCredential({ exp: Math.floor(Date.now() / 1000) - 60 })],
+    ['a signature from another key', signCredential({}, { key: otherPrivateKey })],
+    ['an unknown key id', signCredential({}, { kid: 'rotated-out' })],
+    ['an unverified email', signCredential({ email_verified: false })],
+    ['a malformed token', 'not-a-jwt']
+  ])('rejects %s', async (description, credential) => {
+    await expect(verifyGoogleCredential(credential)).resolves.toBeNull();
+  });
+
+  it('rejects HS256 tokens', async () => {
+    const credential = jwt.sign(
+      { sub: '1', email: 'luna@example.com', email_verified: true },
+      'test-client-id',
+      { algorithm: 'HS256', keyid: 'test-key', audience: 'test-client-id', issuer: 'accounts.google.com' }
+    );
+    await expect(verifyGoogleCredential(credential)).resolves.toBeNull();
+  });
+
+  it('reports sign-in as unavailable when no client id is configured', async () => {
+    delete process.env.GOOGLE_CLIENT_ID;
+    const error = await verifyGoogleCredential(signCredential()).catch(err => err);
+    expect(isGoogleAuthUnavailable(error)).toBe(true);
+  });
+});
+
+describe('createRemoteKeySource', () => {
+  const START = new Date('2026-01-01T00:00:00Z').getTime();
+  const jwksResponse = (maxAge = 3600) => ({
+    ok: true,
+    headers: new Headers({ 'cache-control': `public, max-age=${maxAge}` }),
+    json: async () => JWKS
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  it('caches keys for the max-age Google sends', async () => {
+    jest.useFakeTimers({ now: START });
+    const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue(jwksResponse(600));
+    const source = createRemoteKeySource('https://keys.example.com');
+
+    expect(await source.getKey('test-key')).toBeTruthy();
+    expect(await source.getKey('test-key')).toBeTruthy();
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    jest.setSystemTime(START + 600 * 1000);
+    await source.getKey('test-key');
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('reports keys as unavailable when Google cannot be reached and backs off', async () => {
+    jest.useFakeTimers({ now: START });
+    const fetchMock = jest.spyOn(global, 'fetch').mockRejectedValue(new Error('getaddrinfo ENOTFOUND'));
+    const source = createRemoteKeySource('https://keys.example.com');
+
+    const error = await source.getKey('test-key').catch(err => err);
+    expect(isGoogleAuthUnavailable(error)).toBe(true);
+
+    await source.getKey('test-key').catch(() => {});
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    jest.setSystemTime(START + 30 * 1000);
+    fetchMock.mockResolvedValue(jwksResponse());
+    expect(await source.getKey('test-key')).toBeTruthy();
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps using cached keys when a refresh fails', async () => {
+    jest.useFakeTimers({ now: START });
+    const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue(jwksResponse(60));
+    const source = createRemoteKeySource('https://keys.example.com');
+    await source.getKey('test-key');
+
+    jest.setSystemTime(START + 120 * 1000);
+    fetchMock.mockResolvedValue({ ok: false, status: 503 });
+    expect(await source.getKey('test-key')).toBeTruthy();
+  });
+});
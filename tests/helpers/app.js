@@ -0,0 +1,13 @@
+const express = require('express');
+
+// A bare app with routers mounted the way src/app.js mounts them, without
+// the database connection, scheduled jobs or listening port
+const createApp = (routes) => {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+  Object.entries(routes).forEach(([path, router]) => app.use(path, router));
+  app.use(require('../../src/middleware/errorHandler'));
+  return app;
+};
+
+module.exports = { createApp };
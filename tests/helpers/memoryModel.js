@@ -0,0 +1,271 @@
+const mongoose = require('mongoose');
+
+// Keeps a model's documents in an array for the duration of a test by
+// spying on the handful of model methods the services use. Filters support
+// equality, regular expressions, null, $or, $and and the
+// $gt/$gte/$lt/$lte/$ne/$in/$nin/$regex/$elemMatch operators. With hideDeleted, reads skip documents with a deletedAt the way
+// Playlist's hooks do.
+
+const isOperatorObject = (value) => value !== null &&
+  typeof value === 'object' &&
+  !(value instanceof Date) &&
+  Object.keys(value).some(key => key.startsWith('$'));
+
+const equals = (a, b) => {
+  if (a == null || b == null) {
+    return a == null && b == null;
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  return String(a) === String(b);
+};
+
+const OPERATORS = {
+  $gt: (value, operand) => value != null && value > operand,
+  $gte: (value, operand) => value != null && value >= operand,
+  $lt: (value, operand) => value != null && value < operand,
+  $lte: (value, operand) => value != null && value <= operand,
+  $ne: (value, operand) => !equals(value, operand),
+  $in: (value, operand) => operand.some(item => equals(value, item)),
+  $nin: (value, operand) => !operand.some(item => equals(value, item))
+};
+
+const matchesCondition = (value, condition) => {
+  if (isOperatorObject(condition)) {
+    const { $regex, $options, $elemMatch, ...operators } = condition;
+    if ($regex !== undefined && !matchesCondition(value, new RegExp($regex, $options))) {
+      return false;
+    }
+    if ($elemMatch && !(Array.isArray(value) && value.some(item => matchesCondition(item, $elemMatch)))) {
+      return false;
+    }
+    return Object.entries(operators).every(([op, operand]) => OPERATORS[op](value, operand));
+  }
+  // Like MongoDB, a plain value matches an array holding it
+  const values = Array.isArray(value) ? value : [value];
+  if (condition instanceof RegExp) {
+    return values.some(item => typeof item === 'string' && condition.test(item));
+  }
+  return values.some(item => equals(item, condition));
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') {
+    return condition.some(branch => matches(doc, branch));
+  }
+  if (key === '$and') {
+    return condition.every(branch => matches(doc, branch));
+  }
+  return matchesCondition(doc.get(key), condition);
+});
+
+// Like MongoDB, null and missing values sort before everything else
+const compareBy = (sort) => (a, b) => {
+  for (const [field, direction] of Object.entries(sort)) {
+    const x = a.get ? a.get(field) : a[field];
+    const y = b.get ? b.get(field) : b[field];
+    if (equals(x, y)) {
+      continue;
+    }
+    const order = x == null || (y != null && x < y) ? -1 : 1;
+    return order * direction;
+  }
+  return 0;
+};
+
+const applyUpdate = (doc, update) => {
+  const { $set = {}, $unset = {}, $inc = {}, ...fields } = update;
+
+  Object.entries({ ...fields, ...$set }).forEach(([key, value]) => doc.set(key, value));
+  Object.keys($unset).forEach(key => doc.set(key, undefined));
+  Object.entries($inc).forEach(([key, amount]) => doc.set(key, (doc.get(key) || 0) + amount));
+};
+
+// Resolves like an awaited query and accepts the usual chained calls. The
+// result is read when the query runs, so setOptions() still applies;
+// sort (by an object), skip, limit and lean apply as usual.
+const asQuery = (getValue) => {
+  const options = {};
+  let skip = 0;
+  let limit = 0;
+  let lean = false;
+  let sort = null;
+  const toResult = (doc) => (lean && doc && doc.toObject ? doc.toObject() : doc);
+  const run = () => Promise.resolve().then(() => getValue(options)).then(value => {
+    if (!Array.isArray(value)) {
+      return toResult(value);
+    }
+    const sorted = sort ? [...value].sort(compareBy(sort)) : value;
+    return sorted.slice(skip, limit ? skip + limit : undefined).map(toResult);
+  });
+  const query = {
+    then: (onFulfilled, onRejected) => run().then(onFulfilled, onRejected),
+    catch: (onRejected) => run().catch(onRejected),
+    setOptions: (value) => {
+      Object.assign(options, value);
+      return query;
+    },
+    sort: (value) => {
+      sort = value && typeof value === 'object' ? value : null;
+      return query;
+    },
+    skip: (value) => {
+      skip = value;
+      return query;
+    },
+    limit: (value) => {
+      limit = value;
+      return query;
+    },
+    lean: () => {
+      lean = true;
+      return query;
+    },
+    distinct: (field) => asQuery(() => run().then(docs => {
+      const values = new Map(docs.map(doc => [String(doc.get(field)), doc.get(field)]));
+      return [...values.values()];
+    })),
+    cursor: () => ({
+      async *[Symbol.asyncIterator]() {
+        yield* await run();
+      }
+    })
+  };
+  ['select', 'populate', 'session'].forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+const useMemoryModel = (Model, { hideDeleted = false } = {}) => {
+  const docs = [];
+
+  // Like Mongoose, reject filters with ids that can't be cast to an ObjectId
+  const castFilter = (filter) => Object.entries(filter).forEach(([key, condition]) => {
+    if (key === '$or' || key === '$and') {
+      condition.forEach(castFilter);
+      return;
+    }
+    if (Model.schema.path(key)?.instance !== 'ObjectId') {
+      return;
+    }
+    const values = isOperatorObject(condition) ? Object.values(condition).flat() : [condition];
+    values.filter(value => value != null && !mongoose.Types.ObjectId.isValid(value)).forEach(value => {
+      throw new mongoose.Error.CastError('ObjectId', value, key);
+    });
+  });
+
+  const matching = (filter) => {
+    castFilter(filter);
+    return docs.filter(doc => matches(doc, filter));
+  };
+
+  const visible = (filter, options) => matching(filter).filter(doc => (
+    !hideDeleted || options.includeDeleted || 'deletedAt' in filter || doc.get('deletedAt') == null
+  ));
+
+  const store = (doc) => {
+    if (!docs.includes(doc)) {
+      docs.push(doc);
+    }
+    return doc;
+  };
+
+  jest.spyOn(Model.prototype, 'save').mockImplementation(function save() {
+    return Promise.resolve(store(this));
+  });
+  jest.spyOn(Model, 'create').mockImplementation(async (fields) => (
+    Array.isArray(fields) ? fields.map(item => store(new Model(item))) : store(new Model(fields))
+  ));
+
+  jest.spyOn(Model, 'find').mockImplementation((filter = {}) => asQuery(options => visible(filter, options)));
+  jest.spyOn(Model, 'findOne').mockImplementation((filter = {}) => asQuery(options => visible(filter, options)[0] || null));
+  jest.spyOn(Model, 'findById').mockImplementation((id) => asQuery(options => visible({ _id: id }, options)[0] || null));
+  jest.spyOn(Model, 'exists').mockImplementation((filter = {}) => asQuery(options => {
+    const [doc] = visible(filter, options);
+    return doc ? { _id: doc._id } : null;
+  }));
+  jest.spyOn(Model, 'countDocuments').mockImplementation((filter = {}) => asQuery(options => visible(filter, options).length));
+
+  // Pipelines of $match stages, optionally ending in a counting $group
+  // such as { $group: { _id: '$field', count: { $sum: 1 } } }
+  jest.spyOn(Model, 'aggregate').mockImplementation((pipeline) => asQuery(() => {
+    const [first] = pipeline;
+    const includeDeleted = Boolean(first && first.$match && 'deletedAt' in first.$match);
+    let rows = visible({}, { includeDeleted });
+    pipeline.filter(stage => stage.$match).forEach(({ $match }) => {
+      rows = rows.filter(doc => matches(doc, $match));
+    });
+
+    const groupStage = pipeline.find(stage => stage.$group);
+    if (!groupStage) {
+      return rows.map(doc => doc.toObject());
+    }
+    const { _id: groupBy, ...counters } = groupStage.$group;
+    const groups = new Map();
+    rows.forEach(doc => {
+      const key = doc.get(groupBy.slice(1));
+      if (!groups.has(String(key))) {
+        groups.set(String(key), { _id: key, ...Object.fromEntries(Object.keys(counters).map(name => [name, 0])) });
+      }
+      Object.keys(counters).forEach(name => groups.get(String(key))[name]++);
+    });
+    return [...groups.values()];
+  }));
+
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation((filter, update, options = {}) => {
+    let doc = matching(filter)[0] || null;
+    if (!doc && options.upsert) {
+      const fields = Object.entries(filter).filter(([key, value]) => !key.startsWith('$') && !isOperatorObject(value));
+      doc = store(new Model(Object.fromEntries(fields)));
+    }
+    if (doc) {
+      applyUpdate(doc, update);
+    }
+    return asQuery(() => doc);
+  });
+  jest.spyOn(Model, 'findByIdAndUpdate').mockImplementation((id, update, options) => Model.findOneAndUpdate({ _id: id }, update, options));
+
+  jest.spyOn(Model, 'updateOne').mockImplementation((filter, update) => {
+    const doc = matching(filter)[0];
+    if (doc) {
+      applyUpdate(doc, update);
+    }
+    return asQuery(() => ({ modifiedCount: doc ? 1 : 0 }));
+  });
+
+  jest.spyOn(Model, 'updateMany').mockImplementation((filter, update) => {
+    const matched = matching(filter);
+    matched.forEach(doc => applyUpdate(doc, update));
+    return asQuery(() => ({ modifiedCount: matched.length }));
+  });
+
+  jest.spyOn(Model, 'deleteOne').mockImplementation((filter = {}) => {
+    const doc = matching(filter)[0];
+    if (doc) {
+      docs.splice(docs.indexOf(doc), 1);
+    }
+    return asQuery(() => ({ deletedCount: doc ? 1 : 0 }));
+  });
+
+  jest.spyOn(Model, 'findOneAndDelete').mockImplementation((filter = {}) => {
+    const doc = matching(filter)[0] || null;
+    if (doc) {
+      docs.splice(docs.indexOf(doc), 1);
+    }
+    return asQuery(() => doc);
+  });
+
+  jest.spyOn(Model, 'findByIdAndDelete').mockImplementation((id) => Model.findOneAndDelete({ _id: id }));
+
+  jest.spyOn(Model, 'deleteMany').mockImplementation((filter = {}) => {
+    const matched = matching(filter);
+    matched.forEach(doc => docs.splice(docs.indexOf(doc), 1));
+    return asQuery(() => ({ deletedCount: matched.length }));
+  });
+
+  return docs;
+};
+
+module.exports = { useMemoryModel };
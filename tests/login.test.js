@@ -0,0 +1,77 @@
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const { recordLoginFailure } = require('../src/services/loginProtection');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp } = require('./helpers/app');
+
+const app = createApp({ '/api/auth': require('../src/routes/auth') });
+
+// Record failures without waiting out their progressive delays. Fake timers
+// start at the real clock so the counts are still live afterwards.
+const failLogins = async (email, count) => {
+  jest.useFakeTimers();
+  const results = [];
+  for (let i = 0; i < count; i++) {
+    const failure = recordLoginFailure(email, '203.0.113.1');
+    await jest.advanceTimersByTimeAsync(5000);
+    results.push(await failure);
+  }
+  jest.useRealTimers();
+  return results;
+};
+
+describe('login lockout', () => {
+  const createUser = async (email, fields = {}) => {
+    const user = new User({
+      email,
+      username: email.split('@')[0],
+      passwordHash: await bcrypt.hash('password', 4),
+      ...fields
+    });
+    return user.save();
+  };
+
+  const login = (email, password = 'password') => request(app).post('/api/auth/login').send({ email, password });
+
+  beforeEach(() => {
+    useMemoryModel(User);
+    useMemoryModel(Session);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses a locked account even with the right password', async () => {
+    await createUser('luna@example.com');
+    await failLogins('luna@example.com', 5);
+
+    const res = await login('luna@example.com');
+
+    expect(res.status).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  it('clears the failures after a password login without 2FA', async () => {
+    await createUser('nova@example.com');
+    await failLogins('nova@example.com', 4);
+
+    await login('nova@example.com').expect(200);
+
+    expect(await failLogins('nova@example.com', 1)).toEqual([{ locked: false }]);
+  });
+
+  it('keeps the failures when the password only unlocks the 2FA step', async () => {
+    await createUser('orion@example.com', { twoFactor: { enabled: true, secret: 'JBSWY3DPEHPK3PXP' } });
+    await failLogins('orion@example.com', 4);
+
+    const res = await login('orion@example.com');
+    expect(res.body.data.twoFactorRequired).toBe(true);
+
+    expect(await failLogins('orion@example.com', 1)).toEqual([{ locked: true }]);
+  });
+});
@@ -0,0 +1,107 @@
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  LOCKOUT_DURATION
+} = require('../src/services/loginProtection');
+
+// Without REDIS_URL the counters live in the in-process memory store
+const START = new Date('2026-01-01T00:00:00Z');
+const email = 'luna@example.com';
+
+// Record a failure and skip past its progressive delay
+const fail = async (ip = '203.0.113.1', address = email) => {
+  const result = recordLoginFailure(address, ip);
+  await jest.advanceTimersByTimeAsync(5000);
+  return result;
+};
+
+describe('login protection', () => {
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: START });
+    await unlockAccount(email);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('delays each failure a little longer', async () => {
+    let settled = false;
+    recordLoginFailure(email, '203.0.113.2').then(() => { settled = true; });
+    await jest.advanceTimersByTimeAsync(249);
+    expect(settled).toBe(false);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(settled).toBe(true);
+
+    settled = false;
+    recordLoginFailure(email, '203.0.113.2').then(() => { settled = true; });
+    await jest.advanceTimersByTimeAsync(250);
+    expect(settled).toBe(false);
+    await jest.advanceTimersByTimeAsync(250);
+    expect(settled).toBe(true);
+  });
+
+  it('locks the account after five failures', async () => {
+    for (let i = 0; i < 4; i++) {
+      expect(await fail('203.0.113.3')).toEqual({ locked: false });
+    }
+    expect(await checkLoginAllowed(email, '203.0.113.3')).toEqual({ allowed: true });
+
+    expect(await fail('203.0.113.3')).toEqual({ locked: true });
+
+    const check = await checkLoginAllowed(email, '198.51.100.7');
+    expect(check.allowed).toBe(false);
+    expect(check.retryAfter).toBeGreaterThan(0);
+    expect(check.retryAfter).toBeLessThanOrEqual(LOCKOUT_DURATION / 1000);
+  });
+
+  it('matches the account case-insensitively', async () => {
+    for (let i = 0; i < 5; i++) {
+      await fail('203.0.113.4', i % 2 ? 'Luna@Example.com ' : email);
+    }
+
+    expect((await checkLoginAllowed('LUNA@example.com', '203.0.113.4')).allowed).toBe(false);
+  });
+
+  it('lifts the lock after the lockout duration', async () => {
+    for (let i = 0; i < 5; i++) {
+      await fail('203.0.113.5');
+    }
+
+    jest.setSystemTime(Date.now() + LOCKOUT_DURATION + 1000);
+
+    expect(await checkLoginAllowed(email, '203.0.113.5')).toEqual({ allowed: true });
+  });
+
+  it('lifts the lock on unlockAccount', async () => {
+    for (let i = 0; i < 5; i++) {
+      await fail('203.0.113.6');
+    }
+
+    await unlockAccount(email);
+
+    expect(await checkLoginAllowed(email, '203.0.113.6')).toEqual({ allowed: true });
+  });
+
+  it('resets the failure count after a successful login', async () => {
+    for (let i = 0; i < 4; i++) {
+      await fail('203.0.113.7');
+    }
+
+    await recordLoginSuccess(email);
+
+    expect(await fail('203.0.113.7')).toEqual({ locked: false });
+  });
+
+  it('blocks an address after too many failures across accounts', async () => {
+    for (let i = 0; i < 50; i++) {
+      await fail('203.0.113.8', `user${i}@example.com`);
+    }
+
+    const check = await checkLoginAllowed('someone@example.com', '203.0.113.8');
+    expect(check.allowed).toBe(false);
+    expect(await checkLoginAllowed('someone@example.com', '203.0.113.9')).toEqual({ allowed: true });
+  });
+});
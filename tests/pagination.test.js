@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const { getPagination, getPageQuery, buildPage, paginateArray } = require('../src/utils/pagination');
+
+const id = (n) => new mongoose.Types.ObjectId(n.toString(16).padStart(24, '0'));
+
+describe('getPagination', () => {
+  it('caps the limit and defaults to page 1', () => {
+    const pagination = getPagination({ limit: '500' }, { sort: { createdAt: -1 } });
+    expect(pagination).toMatchObject({ mode: 'page', page: 1, limit: 100, skip: 0 });
+    expect(pagination.sort).toEqual({ createdAt: -1, _id: -1 });
+  });
+
+  it('ignores page numbers and limits that are not positive numbers', () => {
+    expect(getPagination({ page: 'abc', limit: '-5' }, { sort: { createdAt: -1 } }))
+      .toMatchObject({ page: 1, limit: 1, skip: 0 });
+    expect(getPagination({ page: '3', limit: '10' }, { sort: { createdAt: -1 } }))
+      .toMatchObject({ page: 3, limit: 10, skip: 20 });
+  });
+
+  it('rejects malformed cursors and cursors issued for another sort', () => {
+    expect(getPagination({ cursor: 'not-a-cursor' }, { sort: { createdAt: -1 } })).toEqual({ error: 'Invalid cursor' });
+
+    const pagination = getPagination({}, { sort: { likesCount: -1 } });
+    const { pagination: info } = buildPage([{ _id: id(2), likesCount: 3 }, { _id: id(1), likesCount: 1 }], { ...pagination, limit: 1 });
+    expect(getPagination({ cursor: info.nextCursor }, { sort: { likesCount: -1 } }).error).toBeUndefined();
+    expect(getPagination({ cursor: info.nextCursor }, { sort: { createdAt: -1 } })).toEqual({ error: 'Invalid cursor' });
+  });
+});
+
+describe('getPageQuery', () => {
+  // Pagination continuing after (or, once on a cursor page, before) item
+  const cursorFor = (item, sort, direction = 'next') => {
+    const { pagination: first } = buildPage([item, item], getPagination({ limit: 1 }, { sort }));
+    const next = getPagination({ limit: 1, cursor: first.nextCursor }, { sort });
+    if (direction === 'next') {
+      return next;
+    }
+    const { pagination: second } = buildPage([item], next);
+    return getPagination({ limit: 1, cursor: second.prevCursor }, { sort });
+  };
+
+  it('fetches one extra item and keeps the list filter', () => {
+    const pagination = getPagination({ limit: 10 }, { sort: { createdAt: -1 } });
+    expect(getPageQuery(pagination, { isPublic: true })).toEqual({
+      filter: { isPublic: true },
+      sort: { createdAt: -1, _id: -1 },
+      skip: 0,
+      limit: 11
+    });
+  });
+
+  it('also matches null and missing values when reading downwards past a value', () => {
+    const pagination = cursorFor({ _id: id(5), followersCount: 3 }, { followersCount: -1 });
+    expect(getPageQuery(pagination, { isPublic: true }).filter).toEqual({
+      $and: [
+        { isPublic: true },
+        {
+          $or: [
+            { followersCount: { $lt: 3 } },
+            { followersCount: null },
+            { followersCount: 3, _id: { $lt: id(5) } }
+          ]
+        }
+      ]
+    });
+  });
+
+  it('reads upwards past a null value with $ne', () => {
+    const pagination = cursorFor({ _id: id(5), followersCount: null }, { followersCount: 1 });
+    expect(getPageQuery(pagination).filter).toEqual({
+      $or: [
+        { followersCount: { $ne: null } },
+        { followersCount: null, _id: { $gt: id(5) } }
+      ]
+    });
+  });
+
+  it('reverses the sort for a previous-page cursor', () => {
+    const pagination = cursorFor({ _id: id(5), createdAt: new Date('2024-01-01') }, { createdAt: -1 }, 'prev');
+    const query = getPageQuery(pagination);
+    expect(query.sort).toEqual({ createdAt: 1, _id: 1 });
+    expect(query.filter.$or[0]).toEqual({ createdAt: { $gt: new Date('2024-01-01') } });
+  });
+});
+
+describe('paginateArray', () => {
+  const sort = { score: -1 };
+  const items = [
+    { _id: id(1), score: 9 },
+    { _id: id(2), score: 7 },
+    { _id: id(3), score: 7 },
+    { _id: id(4), score: null },
+    { _id: id(5) }
+  ].sort((a, b) => (b.score ?? -Infinity) - (a.score ?? -Infinity) || b._id.toString().localeCompare(a._id.toString()));
+
+  it('walks every item exactly once, forwards and back', () => {
+    const seen = [];
+    let page = paginateArray(items, getPagination({ limit: 2 }, { sort }));
+    seen.push(...page.items);
+    while (page.pagination.nextCursor) {
+      page = paginateArray(items, getPagination({ limit: 2, cursor: page.pagination.nextCursor }, { sort }));
+      seen.push(...page.items);
+    }
+    expect(seen).toEqual(items);
+
+    const previous = paginateArray(items, getPagination({ limit: 2, cursor: page.pagination.prevCursor }, { sort }));
+    expect(previous.items).toEqual(items.slice(2, 4));
+  });
+
+  it('reports the total and page count in page mode', () => {
+    const page = paginateArray(items, getPagination({ limit: 2, page: 2 }, { sort }));
+    expect(page.items).toEqual(items.slice(2, 4));
+    expect(page.pagination).toMatchObject({ page: 2, limit: 2, total: 5, pages: 3 });
+  });
+});
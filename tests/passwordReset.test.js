@@ -0,0 +1,124 @@
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const AuthToken = require('../src/models/AuthToken');
+const { setTransport, createConsoleTransport } = require('../src/services/mailer');
+const { recordLoginFailure, checkLoginAllowed } = require('../src/services/loginProtection');
+const { generateTokens } = require('../src/services/tokenService');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp } = require('./helpers/app');
+
+const app = createApp({ '/api/auth': require('../src/routes/auth') });
+
+const getResetToken = (message) => new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+
+describe('password reset', () => {
+  let user;
+  let sessions;
+  let outbox;
+
+  beforeEach(async () => {
+    useMemoryModel(User);
+    useMemoryModel(AuthToken);
+    sessions = useMemoryModel(Session);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    outbox = [];
+    setTransport({ send: async (message) => outbox.push(message) });
+
+    user = new User({
+      email: 'luna@example.com',
+      username: 'luna',
+      passwordHash: await bcrypt.hash('old-password', 4)
+    });
+    await user.save();
+  });
+
+  afterEach(() => {
+    setTransport(createConsoleTransport());
+    jest.restoreAllMocks();
+  });
+
+  const requestReset = async () => {
+    await request(app).post('/api/auth/forgot-password').send({ email: 'luna@example.com' }).expect(200);
+    return getResetToken(outbox.pop());
+  };
+
+  it('answers the same whether or not the account exists', async () => {
+    const unknown = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+    const known = await request(app).post('/api/auth/forgot-password').send({ email: 'luna@example.com' });
+
+    expect(unknown.status).toBe(200);
+    expect(unknown.body).toEqual(known.body);
+    expect(outbox.map(message => message.to)).toEqual(['luna@example.com']);
+  });
+
+  it('sets the new password and signs out every session', async () => {
+    await generateTokens(user._id);
+    await generateTokens(user._id);
+    const token = await requestReset();
+
+    const res = await request(app).post('/api/auth/reset-password').send({ token, password: 'new-password' });
+
+    expect(res.status).toBe(200);
+    expect(await bcrypt.compare('new-password', user.passwordHash)).toBe(true);
+    expect(sessions.every(session => session.revokedAt instanceof Date)).toBe(true);
+    expect(outbox.map(message => message.subject)).toEqual([expect.stringMatching(/password/i)]);
+
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'luna@example.com', password: 'new-password' })
+      .expect(200);
+  });
+
+  it('accepts a reset link only once', async () => {
+    const token = await requestReset();
+
+    await request(app).post('/api/auth/reset-password').send({ token, password: 'new-password' }).expect(200);
+    const res = await request(app).post('/api/auth/reset-password').send({ token, password: 'other-password' });
+
+    expect(res.status).toBe(400);
+    expect(await bcrypt.compare('new-password', user.passwordHash)).toBe(true);
+  });
+
+  it('accepts only the latest link', async () => {
+    const first = await requestReset();
+    const second = await requestReset();
+
+    await request(app).post('/api/auth/reset-password').send({ token: first, password: 'new-password' }).expect(400);
+    await request(app).post('/api/auth/reset-password').send({ token: second, password: 'new-password' }).expect(200);
+  });
+
+  it('rejects unknown tokens and short passwords', async () => {
+    const unknown = await request(app).post('/api/auth/reset-password').send({ token: 'nope', password: 'new-password' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toBe('Invalid or expired reset token');
+
+    const token = await requestReset();
+    const short = await request(app).post('/api/auth/reset-password').send({ token, password: '123' });
+    expect(short.status).toBe(400);
+    expect(short.body.error).toBe('Validation failed');
+  });
+
+  it('lifts a login lockout', async () => {
+    // Fake timers start at the real clock so the lock is still live afterwards
+    jest.useFakeTimers();
+    for (let i = 0; i < 5; i++) {
+      const failure = recordLoginFailure('luna@example.com', '203.0.113.1');
+      await jest.advanceTimersByTimeAsync(5000);
+      await failure;
+    }
+    jest.useRealTimers();
+
+    const locked = await request(app).post('/api/auth/login').send({ email: 'luna@example.com', password: 'old-password' });
+    expect(locked.status).toBe(429);
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+
+    const token = await requestReset();
+    await request(app).post('/api/auth/reset-password').send({ token, password: 'new-password' }).expect(200);
+
+    expect((await checkLoginAllowed('luna@example.com', '203.0.113.2')).allowed).toBe(true);
+  });
+});
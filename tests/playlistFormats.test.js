@@ -0,0 +1,244 @@
+const { parsePlaylist, getPlaylistWriter, EXPORT_FORMATS } = require('../src/services/playlistFormats');
+
+const xspf = (tracks, title = 'Road trip') => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+  `  <title>${title}</title>`,
+  '  <trackList>',
+  ...tracks.map(track => [
+    '    <track>',
+    `      <location>${track.url}</location>`,
+    `      <title>${track.title}</title>`,
+    `      <creator>${track.artist}</creator>`,
+    '    </track>'
+  ].join('\n')),
+  '  </trackList>',
+  '</playlist>'
+].join('\n');
+
+describe('parsePlaylist', () => {
+  describe('M3U', () => {
+    it('reads titles, artists and source lines', () => {
+      const text = [
+        '#EXTM3U',
+        '#PLAYLIST:Road trip',
+        '#EXTINF:215,Daft Punk - One More Time',
+        'https://youtu.be/abc',
+        '',
+        'https://youtu.be/def',
+        '#EXTINF:-1,Untitled'
+      ].join('\r\n');
+
+      expect(parsePlaylist(text)).toEqual({
+        format: 'm3u',
+        title: 'Road trip',
+        truncated: false,
+        entries: [
+          { line: 4, title: 'One More Time', artist: 'Daft Punk', url: 'https://youtu.be/abc' },
+          { line: 6, title: null, artist: null, url: 'https://youtu.be/def' }
+        ]
+      });
+    });
+
+    it('is picked for a bare list of links', () => {
+      expect(parsePlaylist('https://youtu.be/abc\nhttps://youtu.be/def').format).toBe('m3u');
+    });
+  });
+
+  describe('XSPF', () => {
+    it('reads tracks with the line each one starts on', () => {
+      const text = xspf([
+        { url: 'https://youtu.be/abc', title: 'One', artist: 'A' },
+        { url: 'https://youtu.be/def', title: 'Two', artist: 'B' }
+      ]);
+
+      const { format, title, entries } = parsePlaylist(text);
+
+      expect(format).toBe('xspf');
+      expect(title).toBe('Road trip');
+      expect(entries).toEqual([
+        { line: 5, title: 'One', artist: 'A', url: 'https://youtu.be/abc' },
+        { line: 10, title: 'Two', artist: 'B', url: 'https://youtu.be/def' }
+      ]);
+    });
+
+    it('decodes entities and CDATA sections', () => {
+      const text = xspf([{
+        url: 'https://example.com/?a=1&amp;b=2',
+        title: '<![CDATA[Rock & Roll &amp; more]]>',
+        artist: 'Simon &#38; Garfunkel &#x2764;'
+      }], 'Mix &lt;1&gt;');
+
+      const { title, entries } = parsePlaylist(text);
+
+      expect(title).toBe('Mix <1>');
+      expect(entries[0]).toMatchObject({
+        url: 'https://example.com/?a=1&b=2',
+        title: 'Rock & Roll &amp; more',
+        artist: 'Simon & Garfunkel ❤'
+      });
+    });
+
+    it('does not mistake <trackList> for a track', () => {
+      const { entries } = parsePlaylist(xspf([{ url: 'https://youtu.be/abc', title: 'One', artist: 'A' }]));
+
+      expect(entries).toHaveLength(1);
+    });
+
+    it('rejects other XML', () => {
+      expect(() => parsePlaylist('<html></html>', { format: 'xspf' })).toThrow('Not an XSPF document');
+    });
+
+    it('parses large files in linear time', () => {
+      const tracks = Array.from({ length: 15000 }, (_, i) => ({ url: `https://youtu.be/${i}`, title: `Song ${i}`, artist: 'Artist' }));
+      const text = xspf(tracks);
+
+      const started = Date.now();
+      const { entries } = parsePlaylist(text);
+
+      expect(entries).toHaveLength(15000);
+      expect(entries[14999].line).toBe(5 + 14999 * 5);
+      expect(Date.now() - started).toBeLessThan(1000);
+    });
+
+    it('does not backtrack on unclosed elements', () => {
+      const text = `<playlist><trackList>${'<track><title>x'.repeat(60000)}`;
+
+      const started = Date.now();
+      expect(parsePlaylist(text).entries).toEqual([]);
+      expect(Date.now() - started).toBeLessThan(1000);
+    });
+  });
+
+  describe('JSPF', () => {
+    it('reads tracks with their index as the line', () => {
+      const text = JSON.stringify({
+        playlist: {
+          title: 'Road trip',
+          track: [
+            { title: 'One', creator: 'A', location: ['https://youtu.be/abc'] },
+            { title: 'Two', location: 'https://youtu.be/def' }
+          ]
+        }
+      });
+
+      expect(parsePlaylist(text)).toEqual({
+        format: 'jspf',
+        title: 'Road trip',
+        truncated: false,
+        entries: [
+          { line: 1, title: 'One', artist: 'A', url: 'https://youtu.be/abc' },
+          { line: 2, title: 'Two', artist: null, url: 'https://youtu.be/def' }
+        ]
+      });
+    });
+
+    it('rejects JSON that is not a playlist', () => {
+      expect(() => parsePlaylist('{"songs": []}')).toThrow('Not a JSPF document');
+    });
+  });
+
+  describe('CSV', () => {
+    it('finds columns by header and keeps the line of multi-line records', () => {
+      const text = [
+        'URL,Artist,Title',
+        'https://youtu.be/abc,A,"One, Two"',
+        '',
+        'https://youtu.be/def,B,"Line one',
+        'line ""two"""',
+        'https://youtu.be/ghi,C,Three'
+      ].join('\n');
+
+      expect(parsePlaylist(text, { filename: 'songs.csv' }).entries).toEqual([
+        { line: 2, title: 'One, Two', artist: 'A', url: 'https://youtu.be/abc' },
+        { line: 4, title: 'Line one\nline "two"', artist: 'B', url: 'https://youtu.be/def' },
+        { line: 6, title: 'Three', artist: 'C', url: 'https://youtu.be/ghi' }
+      ]);
+    });
+
+    it('reads title,artist,url without a header', () => {
+      expect(parsePlaylist('One,A,https://youtu.be/abc\r\n', { format: 'csv' }).entries).toEqual([
+        { line: 1, title: 'One', artist: 'A', url: 'https://youtu.be/abc' }
+      ]);
+    });
+  });
+
+  describe('maxEntries', () => {
+    const urls = Array.from({ length: 5 }, (_, i) => `https://youtu.be/${i}`);
+
+    it.each([
+      ['m3u', urls.join('\n')],
+      ['xspf', xspf(urls.map(url => ({ url, title: 'Song', artist: 'Artist' })))],
+      ['jspf', JSON.stringify({ playlist: { track: urls.map(location => ({ location })) } })],
+      ['csv', `url\n${urls.join('\n')}`]
+    ])('stops reading %s files after the limit', (format, text) => {
+      const limited = parsePlaylist(text, { format, maxEntries: 3 });
+      expect(limited.entries.map(entry => entry.url)).toEqual(urls.slice(0, 3));
+      expect(limited.truncated).toBe(true);
+
+      expect(parsePlaylist(text, { format, maxEntries: 5 }).truncated).toBe(false);
+    });
+  });
+});
+
+describe('playlist writers', () => {
+  const playlist = {
+    title: 'Rock & "Roll"\nclassics',
+    description: 'Songs <for> the road',
+    tags: ['rock'],
+    isPublic: true,
+    likesCount: 3,
+    userId: { username: 'luna' },
+    createdAt: new Date('2026-01-01T00:00:00Z'),
+    updatedAt: new Date('2026-01-02T00:00:00Z')
+  };
+  const songs = [
+    { title: 'One, "Two"', artist: 'A & B', url: 'https://youtu.be/abc?a=1&b=2', platform: 'youtube', position: 1 },
+    { title: 'Line\nbreak', artist: 'C', url: 'https://youtu.be/def', platform: 'youtube', position: 2, thumbnail: 'https://img/x.jpg' }
+  ];
+
+  const write = (format, items = songs) => {
+    const writer = getPlaylistWriter(format);
+    return writer.header(playlist) + items.map((song, index) => writer.song(song, index)).join('') + writer.footer(playlist);
+  };
+
+  it.each(['m3u8', 'xspf', 'jspf', 'csv'])('writes %s files that import back', (format) => {
+    const { entries } = parsePlaylist(write(format), { format: format === 'm3u8' ? 'm3u' : format });
+
+    expect(entries.map(({ title, artist, url }) => ({ title, artist, url }))).toEqual([
+      { title: 'One, "Two"', artist: 'A & B', url: 'https://youtu.be/abc?a=1&b=2' },
+      // M3U is line based, so line breaks become spaces
+      { title: format === 'm3u8' ? 'Line break' : 'Line\nbreak', artist: 'C', url: 'https://youtu.be/def' }
+    ]);
+  });
+
+  it.each(['jspf', 'json'])('writes valid %s with and without songs', (format) => {
+    expect(() => JSON.parse(write(format))).not.toThrow();
+    expect(() => JSON.parse(write(format, []))).not.toThrow();
+  });
+
+  it('keeps everything stored about the playlist in json exports', () => {
+    const data = JSON.parse(write('json'));
+
+    expect(data).toMatchObject({
+      format: 'vibecheck-playlist',
+      version: 1,
+      playlist: { title: playlist.title, description: playlist.description, tags: ['rock'], owner: 'luna' }
+    });
+    expect(data.songs).toEqual([
+      expect.objectContaining({ title: 'One, "Two"', position: 1 }),
+      expect.objectContaining({ title: 'Line\nbreak', thumbnail: 'https://img/x.jpg', position: 2 })
+    ]);
+  });
+
+  it('keeps the playlist title on one line in m3u8 files', () => {
+    expect(write('m3u8', []).split('\n')[1]).toBe('#PLAYLIST:Rock & "Roll" classics');
+  });
+
+  it('only knows its own formats', () => {
+    expect(EXPORT_FORMATS).toEqual(['m3u8', 'xspf', 'jspf', 'csv', 'json']);
+    expect(getPlaylistWriter('constructor')).toBeNull();
+    expect(getPlaylistWriter('toString')).toBeNull();
+    expect(getPlaylistWriter('pdf')).toBeNull();
+  });
+});
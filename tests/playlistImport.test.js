@@ -0,0 +1,48 @@
+const request = require('supertest');
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const Playlist = require('../src/models/Playlist');
+const { generateTokens } = require('../src/services/tokenService');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp } = require('./helpers/app');
+
+const app = createApp({ '/api/playlists': require('../src/routes/playlists') });
+
+describe('playlist import routes', () => {
+  let accessToken;
+
+  beforeEach(async () => {
+    useMemoryModel(User);
+    useMemoryModel(Session);
+    useMemoryModel(Playlist);
+
+    const user = await new User({ email: 'luna@example.com', username: 'luna' }).save();
+    ({ accessToken } = await generateTokens(user._id));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('answers 404 for a malformed playlist id', async () => {
+    const findById = jest.spyOn(Playlist, 'findById');
+
+    await request(app)
+      .post('/api/playlists/not-an-id/import')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ text: 'https://youtu.be/abc' })
+      .expect(404);
+
+    expect(findById).not.toHaveBeenCalled();
+  });
+
+  it('refuses pasted text over the 1MB upload limit', async () => {
+    const res = await request(app)
+      .post('/api/playlists/import')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ text: 'x'.repeat(1024 * 1024 + 1) });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+  });
+});
@@ -0,0 +1,22 @@
+const { withSongsAndUser } = require('../src/services/playlistLookups');
+
+describe('withSongsAndUser', () => {
+  it('looks up only the owner\'s public profile fields', () => {
+    const users = withSongsAndUser().find(stage => stage.$lookup && stage.$lookup.from === 'users');
+
+    expect(users.$lookup.pipeline).toEqual([{ $project: { username: 1, avatarUrl: 1 } }]);
+  });
+
+  it('adds songCount and drops the songs, lookup data and share token', () => {
+    const stages = withSongsAndUser();
+
+    expect(stages.find(stage => stage.$addFields).$addFields.songCount).toEqual({ $size: '$songs' });
+    expect(stages.find(stage => stage.$project).$project).toEqual({ songs: 0, userData: 0, shareToken: 0 });
+  });
+
+  it('keeps the songs when asked to', () => {
+    const stages = withSongsAndUser({ includeSongs: true });
+
+    expect(stages.find(stage => stage.$project).$project).toEqual({ userData: 0, shareToken: 0 });
+  });
+});
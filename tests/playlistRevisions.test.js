@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const Playlist = require('../src/models/Playlist');
+const Song = require('../src/models/Song');
+const { diffSnapshots, restoreSnapshot } = require('../src/services/playlistRevisions');
+const { generateTokens } = require('../src/services/tokenService');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp } = require('./helpers/app');
+
+const song = (songId, position, fields = {}) => ({
+  songId,
+  title: `Song ${songId}`,
+  artist: 'Artist',
+  url: `https://youtu.be/${songId}`,
+  platform: 'youtube',
+  position,
+  ...fields
+});
+
+const snapshot = (songs, fields = {}) => ({
+  title: 'Road trip',
+  description: '',
+  tags: [],
+  isPublic: true,
+  visibility: 'public',
+  songs,
+  ...fields
+});
+
+const ids = (songs) => songs.map(item => item.songId);
+
+describe('diffSnapshots', () => {
+  it('lists metadata changes', () => {
+    const diff = diffSnapshots(snapshot([]), snapshot([], { title: 'Night drive', visibility: 'private' }));
+
+    expect(diff.metadata).toEqual([
+      { field: 'title', from: 'Road trip', to: 'Night drive' },
+      { field: 'visibility', from: 'public', to: 'private' }
+    ]);
+  });
+
+  it('lists added, removed and edited songs', () => {
+    const from = snapshot([song('a', 0), song('b', 1), song('c', 2)]);
+    const to = snapshot([song('a', 0, { title: 'Renamed' }), song('c', 1), song('d', 2)]);
+
+    const { songs } = diffSnapshots(from, to);
+
+    expect(ids(songs.added)).toEqual(['d']);
+    expect(ids(songs.removed)).toEqual(['b']);
+    expect(songs.updated).toEqual([
+      { song: to.songs[0], changes: [{ field: 'title', from: 'Song a', to: 'Renamed' }] }
+    ]);
+  });
+
+  it('does not count songs shifted by an add or remove as moved', () => {
+    const from = snapshot([song('a', 0), song('b', 1), song('c', 2)]);
+    const to = snapshot([song('new', 0), song('a', 1), song('c', 2)]);
+
+    expect(diffSnapshots(from, to).songs.moved).toEqual([]);
+  });
+
+  it('reports the fewest songs needed to explain a reorder', () => {
+    const from = snapshot([song('a', 0), song('b', 1), song('c', 2), song('d', 3)]);
+    const to = snapshot([song('d', 0), song('a', 1), song('b', 2), song('c', 3)]);
+
+    expect(diffSnapshots(from, to).songs.moved).toEqual([{ song: to.songs[0], from: 3, to: 0 }]);
+  });
+
+  it('handles long reversed playlists quickly', () => {
+    const count = 20000;
+    const from = snapshot(Array.from({ length: count }, (_, i) => song(`s${i}`, i)));
+    const to = snapshot([...from.songs].reverse().map((item, i) => ({ ...item, position: i })));
+
+    const started = Date.now();
+    const { songs } = diffSnapshots(from, to);
+
+    expect(songs.moved).toHaveLength(count - 1);
+    expect(Date.now() - started).toBeLessThan(2000);
+  });
+});
+
+describe('restoreSnapshot', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('restores content but keeps the current visibility and share link', async () => {
+    const playlistId = new mongoose.Types.ObjectId();
+    const update = jest.spyOn(Playlist, 'findByIdAndUpdate').mockResolvedValue({});
+    const deleteSongs = jest.spyOn(Song, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+    const writeSongs = jest.spyOn(Song, 'bulkWrite').mockResolvedValue({});
+    const songId = new mongoose.Types.ObjectId();
+
+    await restoreSnapshot(playlistId, snapshot([song(songId, 0)], {
+      title: 'Old title',
+      description: 'Old description',
+      tags: ['summer'],
+      isPublic: true,
+      visibility: 'public'
+    }));
+
+    expect(update).toHaveBeenCalledWith(
+      playlistId,
+      { title: 'Old title', description: 'Old description', tags: ['summer'] },
+      { runValidators: true }
+    );
+    expect(deleteSongs).toHaveBeenCalledWith({ playlistId, _id: { $nin: [songId] } });
+    expect(writeSongs.mock.calls[0][0]).toEqual([
+      expect.objectContaining({
+        replaceOne: expect.objectContaining({ filter: { _id: songId }, upsert: true })
+      })
+    ]);
+  });
+});
+
+describe('revision routes', () => {
+  const app = createApp({ '/api/playlists': require('../src/routes/playlists') });
+  let accessToken;
+  let playlist;
+
+  beforeEach(async () => {
+    useMemoryModel(User);
+    useMemoryModel(Session);
+    useMemoryModel(Playlist);
+
+    const user = await new User({ email: 'luna@example.com', username: 'luna' }).save();
+    playlist = await new Playlist({ userId: user._id, title: 'Road trip' }).save();
+    ({ accessToken } = await generateTokens(user._id));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([
+    ['get', (id) => `/api/playlists/${id}/revisions/abc`],
+    ['get', (id) => `/api/playlists/${id}/revisions/0`],
+    ['get', (id) => `/api/playlists/${id}/revisions/diff?from=1.5`],
+    ['get', (id) => `/api/playlists/${id}/revisions/diff?to=-2`],
+    ['post', (id) => `/api/playlists/${id}/revisions/NaN/restore`]
+  ])('rejects a malformed revision number (%s %#)', async (method, url) => {
+    const res = await request(app)[method](url(playlist._id)).set('Authorization', `Bearer ${accessToken}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid revision number');
+  });
+
+  it('answers 404 for a malformed playlist id', async () => {
+    await request(app)
+      .post('/api/playlists/not-an-id/revisions/1/restore')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(404);
+  });
+});
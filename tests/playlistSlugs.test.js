@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../src/models/User');
+const Playlist = require('../src/models/Playlist');
+const Song = require('../src/models/Song');
+const PlaylistCollaborator = require('../src/models/PlaylistCollaborator');
+const UsernameHistory = require('../src/models/UsernameHistory');
+const {
+  getBaseSlug,
+  generateUniqueSlug,
+  saveWithSlug,
+  getRenameSlugChanges
+} = require('../src/services/playlistSlugs');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp } = require('./helpers/app');
+
+const app = createApp({ '/api/users': require('../src/routes/users') });
+
+describe('playlist slugs', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let playlists;
+
+  beforeEach(() => {
+    playlists = useMemoryModel(Playlist, { hideDeleted: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('derives the base slug from the title', () => {
+    expect(getBaseSlug('My Mix!')).toBe('my-mix');
+    expect(getBaseSlug('  Late   night -- drive ')).toBe('late-night-drive');
+    expect(getBaseSlug('!!!')).toBe('playlist');
+    expect(getBaseSlug('a '.repeat(60))).toHaveLength(79);
+    expect(getBaseSlug('a '.repeat(60))).not.toMatch(/-$/);
+  });
+
+  it('numbers slugs already used by the owner, trashed playlists included', async () => {
+    await Playlist.create({ title: 'Mix', userId, slug: 'mix' });
+    await Playlist.create({ title: 'Mix', userId, slug: 'mix-2', deletedAt: new Date() });
+    await Playlist.create({ title: 'Mix', userId: new mongoose.Types.ObjectId(), slug: 'mix-3' });
+    await Playlist.create({ title: 'Mixtape', userId, slug: 'mixtape' });
+
+    expect(await generateUniqueSlug(userId, 'Mix')).toBe('mix-3');
+    expect(await generateUniqueSlug(userId, 'Other')).toBe('other');
+  });
+
+  it('ignores the playlist being renamed', async () => {
+    const playlist = await Playlist.create({ title: 'Mix', userId, slug: 'mix' });
+
+    expect(await generateUniqueSlug(userId, 'Mix', { excludeId: playlist._id })).toBe('mix');
+  });
+
+  it('picks another slug when a concurrent save took it', async () => {
+    const playlist = new Playlist({ title: 'Mix', userId });
+    Playlist.prototype.save.mockImplementationOnce(async () => {
+      await Playlist.create({ title: 'Mix', userId, slug: 'mix' });
+      throw Object.assign(new Error('E11000'), { code: 11000, keyPattern: { userId: 1, slug: 1 } });
+    });
+
+    await saveWithSlug(playlist);
+
+    expect(playlist.slug).toBe('mix-2');
+    expect(playlists).toHaveLength(2);
+  });
+
+  it('gives up on errors that are not slug conflicts', async () => {
+    Playlist.prototype.save.mockRejectedValueOnce(Object.assign(new Error('E11000'), {
+      code: 11000,
+      keyPattern: { shareToken: 1 }
+    }));
+
+    await expect(saveWithSlug(new Playlist({ title: 'Mix', userId }))).rejects.toThrow('E11000');
+  });
+
+  describe('getRenameSlugChanges', () => {
+    it('keeps the slug when the title only changes in ways the slug ignores', async () => {
+      const playlist = await Playlist.create({ title: 'Mix', userId, slug: 'mix' });
+
+      expect(await getRenameSlugChanges(playlist, 'MIX!')).toEqual({});
+    });
+
+    it('moves the old slug to previousSlugs', async () => {
+      const playlist = await Playlist.create({ title: 'Mix', userId, slug: 'mix', previousSlugs: ['first'] });
+
+      expect(await getRenameSlugChanges(playlist, 'Road trip')).toEqual({
+        slug: 'road-trip',
+        previousSlugs: ['first', 'mix']
+      });
+    });
+
+    it('takes a slug back out of previousSlugs when renamed back to it', async () => {
+      const playlist = await Playlist.create({ title: 'Road trip', userId, slug: 'road-trip', previousSlugs: ['mix'] });
+
+      expect(await getRenameSlugChanges(playlist, 'Mix')).toEqual({
+        slug: 'mix',
+        previousSlugs: ['road-trip']
+      });
+    });
+  });
+});
+
+describe('GET /api/users/:username/playlists/:slug', () => {
+  let owner;
+  let playlist;
+
+  const getBySlug = (username, slug, query = {}) => request(app).get(`/api/users/${username}/playlists/${slug}`).query(query);
+
+  beforeEach(async () => {
+    useMemoryModel(User);
+    useMemoryModel(Playlist, { hideDeleted: true });
+    useMemoryModel(Song);
+    useMemoryModel(PlaylistCollaborator);
+    useMemoryModel(UsernameHistory);
+
+    owner = await User.create({ email: 'luna@example.com', username: 'Luna', usernameLower: 'luna' });
+    playlist = await Playlist.create({ title: 'Road trip', userId: owner._id, slug: 'road-trip', previousSlugs: ['mix'] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('serves the playlist at its current slug', async () => {
+    const res = await getBySlug('luna', 'road-trip');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.playlist._id).toBe(String(playlist._id));
+  });
+
+  it('redirects an old slug to the current one', async () => {
+    const res = await getBySlug('Luna', 'mix');
+
+    expect(res.status).toBe(301);
+    expect(res.headers.location).toBe('/api/users/Luna/playlists/road-trip');
+    expect(res.body.data.redirect.playlistId).toBe(String(playlist._id));
+  });
+
+  it('redirects an old username to the current one', async () => {
+    await UsernameHistory.create({ userId: owner._id, username: 'moon', usernameLower: 'moon' });
+
+    const res = await getBySlug('moon', 'road-trip');
+
+    expect(res.status).toBe(301);
+    expect(res.headers.location).toBe('/api/users/Luna/playlists/road-trip');
+  });
+
+  it('keeps the share token on redirects to unlisted playlists', async () => {
+    playlist.set({ visibility: 'unlisted', isPublic: false, shareToken: 'secret-token' });
+
+    expect((await getBySlug('luna', 'mix')).status).toBe(404);
+
+    const res = await getBySlug('luna', 'mix', { share: 'secret-token' });
+    expect(res.status).toBe(301);
+    expect(res.headers.location).toBe('/api/users/Luna/playlists/road-trip?share=secret-token');
+  });
+
+  it('does not redirect to trashed playlists', async () => {
+    playlist.deletedAt = new Date();
+
+    expect((await getBySlug('luna', 'mix')).status).toBe(404);
+    expect((await getBySlug('luna', 'road-trip')).status).toBe(404);
+  });
+
+  it('answers 404 for unknown users and slugs', async () => {
+    expect((await getBySlug('nobody', 'road-trip')).status).toBe(404);
+    expect((await getBySlug('luna', 'unknown')).status).toBe(404);
+  });
+});
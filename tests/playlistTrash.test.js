@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const Playlist = require('../src/models/Playlist');
+const Song = require('../src/models/Song');
+const PlaylistLike = require('../src/models/PlaylistLike');
+const SavedPlaylist = require('../src/models/SavedPlaylist');
+const SavedSong = require('../src/models/SavedSong');
+const PlaylistCollaborator = require('../src/models/PlaylistCollaborator');
+const PlaylistRevision = require('../src/models/PlaylistRevision');
+const Notification = require('../src/models/Notification');
+const { generateTokens } = require('../src/services/tokenService');
+const { purgePlaylist, PLAYLIST_TRASH_DAYS } = require('../src/services/playlistDeletion');
+const { purgeExpiredTrash } = require('../src/jobs/playlistTrashPurge');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp } = require('./helpers/app');
+
+const app = createApp({ '/api/playlists': require('../src/routes/playlists') });
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// With command buffering off, exec() fails for want of a connection only
+// after the pre hooks have run, so the rewritten query can be inspected
+const runHooks = (query) => query.exec().catch(() => {});
+
+describe('trashed playlist hooks', () => {
+  it.each([
+    ['find', () => Playlist.find({ isPublic: true })],
+    ['findOne', () => Playlist.findOne({ slug: 'road-trip' })],
+    ['countDocuments', () => Playlist.countDocuments({ isPublic: true })],
+    ['distinct', () => Playlist.distinct('tags', { isPublic: true })]
+  ])('%s skips trashed playlists', async (name, createQuery) => {
+    const query = createQuery();
+    await runHooks(query);
+
+    expect(query.getFilter()).toMatchObject({ deletedAt: null });
+  });
+
+  it('findById skips trashed playlists', async () => {
+    const id = new mongoose.Types.ObjectId();
+    const query = Playlist.findById(id);
+    await runHooks(query);
+
+    expect(query.getFilter()).toEqual({ _id: id, deletedAt: null });
+  });
+
+  it('reads the trash when the filter sets deletedAt', async () => {
+    const query = Playlist.find({ userId: new mongoose.Types.ObjectId(), deletedAt: { $ne: null } });
+    await runHooks(query);
+
+    expect(query.getFilter().deletedAt).toEqual({ $ne: null });
+  });
+
+  it('reads trashed and live playlists alike with includeDeleted', async () => {
+    const query = Playlist.find({ isPublic: true }).setOptions({ includeDeleted: true });
+    await runHooks(query);
+
+    expect(query.getFilter()).toEqual({ isPublic: true });
+  });
+
+  it('starts aggregates by dropping trashed playlists', async () => {
+    const aggregate = Playlist.aggregate([{ $match: { isPublic: true } }, { $limit: 5 }]);
+    await runHooks(aggregate);
+
+    expect(aggregate.pipeline()).toEqual([
+      { $match: { deletedAt: null } },
+      { $match: { isPublic: true } },
+      { $limit: 5 }
+    ]);
+  });
+
+  it('leaves aggregates that match on deletedAt first alone', async () => {
+    const aggregate = Playlist.aggregate([{ $match: { deletedAt: { $lt: new Date() } } }]);
+    await runHooks(aggregate);
+
+    expect(aggregate.pipeline()).toHaveLength(1);
+  });
+});
+
+describe('playlist trash', () => {
+  let owner;
+  let original;
+  let playlist;
+  let playlists;
+  let songs;
+  let accessToken;
+
+  const authed = (req) => req.set('Authorization', `Bearer ${accessToken}`);
+
+  const createSong = (fields) => Song.create({
+    title: 'Song',
+    artist: 'Artist',
+    url: 'https://youtu.be/abc',
+    platform: 'youtube',
+    position: 1,
+    ...fields
+  });
+
+  beforeEach(async () => {
+    useMemoryModel(User);
+    useMemoryModel(Session);
+    playlists = useMemoryModel(Playlist, { hideDeleted: true });
+    songs = useMemoryModel(Song);
+    [PlaylistLike, SavedPlaylist, SavedSong, PlaylistCollaborator, PlaylistRevision, Notification]
+      .forEach(Model => useMemoryModel(Model));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: async (fn) => fn(),
+      endSession: async () => {}
+    });
+
+    owner = await User.create({ email: 'luna@example.com', username: 'luna', playlistCount: 1 });
+    original = await Playlist.create({ title: 'Original', userId: new mongoose.Types.ObjectId(), forksCount: 1 });
+    playlist = await Playlist.create({ title: 'Road trip', userId: owner._id, forkedFrom: original._id });
+    await createSong({ playlistId: playlist._id });
+    ({ accessToken } = await generateTokens(owner._id));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('moves a deleted playlist to the trash and gives its counts back', async () => {
+    const res = await authed(request(app).delete(`/api/playlists/${playlist._id}`));
+
+    expect(res.status).toBe(200);
+    expect(playlist.deletedAt).toBeInstanceOf(Date);
+    expect(new Date(res.body.data.purgeAt) - playlist.deletedAt).toBe(PLAYLIST_TRASH_DAYS * DAY);
+    expect(owner.playlistCount).toBe(0);
+    expect(original.forksCount).toBe(0);
+    expect(songs).toHaveLength(1);
+    expect(await Playlist.findById(playlist._id)).toBeNull();
+
+    const trash = await authed(request(app).get('/api/playlists/trash'));
+    expect(trash.body.data.playlists).toEqual([expect.objectContaining({ title: 'Road trip', songCount: 1 })]);
+  });
+
+  it('restores a playlist and its counts once', async () => {
+    await authed(request(app).delete(`/api/playlists/${playlist._id}`)).expect(200);
+
+    await authed(request(app).post(`/api/playlists/trash/${playlist._id}/restore`)).expect(200);
+    await authed(request(app).post(`/api/playlists/trash/${playlist._id}/restore`)).expect(404);
+
+    expect(playlist.deletedAt).toBeNull();
+    expect(owner.playlistCount).toBe(1);
+    expect(original.forksCount).toBe(1);
+  });
+
+  it('purges a trashed playlist with everything that hangs off it', async () => {
+    const fan = new mongoose.Types.ObjectId();
+    await PlaylistLike.create({ userId: fan, playlistId: playlist._id });
+    await SavedSong.create({ userId: fan, songId: songs[0]._id });
+    await authed(request(app).delete(`/api/playlists/${playlist._id}`)).expect(200);
+
+    await authed(request(app).delete(`/api/playlists/trash/${playlist._id}`)).expect(200);
+
+    expect(playlists).toEqual([original]);
+    expect(songs).toHaveLength(0);
+    expect(await PlaylistLike.countDocuments()).toBe(0);
+    expect(await SavedSong.countDocuments()).toBe(0);
+    // The fork count was already given back when it went to the trash
+    expect(original.forksCount).toBe(0);
+  });
+
+  it('only purges from the trash', async () => {
+    await authed(request(app).delete(`/api/playlists/trash/${playlist._id}`)).expect(404);
+
+    expect(playlists).toHaveLength(2);
+  });
+
+  it('takes a live fork out of the original\'s count when purged directly', async () => {
+    await purgePlaylist(playlist);
+
+    expect(original.forksCount).toBe(0);
+  });
+
+  it('purges playlists once their time in the trash is up', async () => {
+    const expired = await Playlist.create({
+      title: 'Old',
+      userId: owner._id,
+      deletedAt: new Date(Date.now() - (PLAYLIST_TRASH_DAYS + 1) * DAY)
+    });
+    const recent = await Playlist.create({ title: 'New', userId: owner._id, deletedAt: new Date(Date.now() - DAY) });
+
+    expect(await purgeExpiredTrash()).toBe(1);
+    expect(playlists).toEqual([original, playlist, recent]);
+    expect(playlists).not.toContain(expired);
+  });
+});
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const Playlist = require('../src/models/Playlist');
+const Song = require('../src/models/Song');
+const PlaylistLike = require('../src/models/PlaylistLike');
+const SavedPlaylist = require('../src/models/SavedPlaylist');
+const PlaylistCollaborator = require('../src/models/PlaylistCollaborator');
+const {
+  getVisibility,
+  getShareTokenChanges,
+  hasValidShareToken,
+  canViewPlaylist
+} = require('../src/services/playlistVisibility');
+const { generateTokens } = require('../src/services/tokenService');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp } = require('./helpers/app');
+
+const app = createApp({ '/api/playlists': require('../src/routes/playlists') });
+
+describe('playlist visibility', () => {
+  const ownerId = new mongoose.Types.ObjectId();
+  const owner = { _id: ownerId, role: 'user' };
+  const stranger = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+  const moderator = { _id: new mongoose.Types.ObjectId(), role: 'moderator' };
+
+  const createPlaylist = (fields) => ({ _id: new mongoose.Types.ObjectId(), userId: ownerId, ...fields });
+
+  let collaborators;
+
+  beforeEach(() => {
+    collaborators = useMemoryModel(PlaylistCollaborator);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('falls back to isPublic for older playlists', () => {
+    expect(getVisibility({ isPublic: true })).toBe('public');
+    expect(getVisibility({ isPublic: false })).toBe('private');
+    expect(getVisibility({})).toBe('public');
+    expect(getVisibility({ visibility: 'unlisted', isPublic: false })).toBe('unlisted');
+  });
+
+  it('only opens unlisted playlists with a share token', () => {
+    const unlisted = createPlaylist({ visibility: 'unlisted', shareToken: 'secret-token' });
+    const priv = createPlaylist({ visibility: 'private', shareToken: 'secret-token' });
+
+    expect(hasValidShareToken(unlisted, 'secret-token')).toBe(true);
+    expect(hasValidShareToken(unlisted, 'secret-tokex')).toBe(false);
+    expect(hasValidShareToken(unlisted, 'secret')).toBe(false);
+    expect(hasValidShareToken(unlisted, undefined)).toBe(false);
+    expect(hasValidShareToken(priv, 'secret-token')).toBe(false);
+  });
+
+  it('lets anyone read public playlists', async () => {
+    expect(await canViewPlaylist(null, createPlaylist({ visibility: 'public' }))).toBe(true);
+  });
+
+  it('needs the share token or access for unlisted playlists', async () => {
+    const playlist = createPlaylist({ visibility: 'unlisted', shareToken: 'secret-token' });
+
+    expect(await canViewPlaylist(null, playlist)).toBe(false);
+    expect(await canViewPlaylist(null, playlist, 'secret-token')).toBe(true);
+    expect(await canViewPlaylist(stranger, playlist, 'wrong')).toBe(false);
+    expect(await canViewPlaylist(owner, playlist)).toBe(true);
+  });
+
+  it('limits private playlists to the owner, collaborators and moderators', async () => {
+    const playlist = createPlaylist({ visibility: 'private', isPublic: false });
+    const viewer = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+    await PlaylistCollaborator.create({ playlistId: playlist._id, userId: viewer._id, role: 'viewer', status: 'accepted' });
+    await PlaylistCollaborator.create({ playlistId: playlist._id, userId: stranger._id, role: 'viewer', status: 'pending' });
+
+    expect(collaborators).toHaveLength(2);
+    expect(await canViewPlaylist(null, playlist)).toBe(false);
+    expect(await canViewPlaylist(stranger, playlist)).toBe(false);
+    expect(await canViewPlaylist(owner, playlist)).toBe(true);
+    expect(await canViewPlaylist(viewer, playlist)).toBe(true);
+    expect(await canViewPlaylist(moderator, playlist)).toBe(true);
+  });
+
+  describe('getShareTokenChanges', () => {
+    it('creates a token when a playlist becomes unlisted', () => {
+      const changes = getShareTokenChanges({ visibility: 'private' }, 'unlisted');
+
+      expect(changes.shareToken).toEqual(expect.any(String));
+      expect(changes.shareToken.length).toBeGreaterThanOrEqual(32);
+    });
+
+    it('keeps the token of a playlist that stays unlisted', () => {
+      expect(getShareTokenChanges({ visibility: 'unlisted', shareToken: 'secret-token' }, 'unlisted')).toEqual({});
+    });
+
+    it('drops the token when a playlist leaves unlisted', () => {
+      const playlist = { visibility: 'unlisted', shareToken: 'secret-token' };
+
+      expect(getShareTokenChanges(playlist, 'public')).toEqual({ $unset: { shareToken: 1 } });
+      expect(getShareTokenChanges(playlist, 'private')).toEqual({ $unset: { shareToken: 1 } });
+    });
+  });
+});
+
+describe('GET /api/playlists/:id', () => {
+  let owner;
+  let stranger;
+
+  const createPlaylist = (fields) => Playlist.create({ title: 'Road trip', userId: owner._id, ...fields });
+  const getPlaylist = async (playlist, { share, user } = {}) => {
+    const req = request(app).get(`/api/playlists/${playlist._id}`).query(share ? { share } : {});
+    if (user) {
+      const { accessToken } = await generateTokens(user._id);
+      req.set('Authorization', `Bearer ${accessToken}`);
+    }
+    return req;
+  };
+
+  beforeEach(async () => {
+    useMemoryModel(User);
+    useMemoryModel(Session);
+    useMemoryModel(Playlist);
+    useMemoryModel(Song);
+    useMemoryModel(PlaylistCollaborator);
+    useMemoryModel(PlaylistLike);
+    useMemoryModel(SavedPlaylist);
+
+    owner = await User.create({ email: 'luna@example.com', username: 'luna' });
+    stranger = await User.create({ email: 'sol@example.com', username: 'sol' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('opens unlisted playlists with their share link only', async () => {
+    const playlist = await createPlaylist({ visibility: 'unlisted', isPublic: false, shareToken: 'secret-token' });
+
+    expect((await getPlaylist(playlist)).status).toBe(404);
+    expect((await getPlaylist(playlist, { share: 'wrong-token' })).status).toBe(404);
+    expect((await getPlaylist(playlist, { share: 'secret-token' })).status).toBe(200);
+    expect((await getPlaylist(playlist, { user: owner })).status).toBe(200);
+  });
+
+  it('answers 404 rather than 403 for private playlists', async () => {
+    const playlist = await createPlaylist({ visibility: 'private', isPublic: false, shareToken: 'secret-token' });
+
+    expect((await getPlaylist(playlist, { user: stranger })).status).toBe(404);
+    expect((await getPlaylist(playlist, { share: 'secret-token' })).status).toBe(404);
+    expect((await getPlaylist(playlist, { user: owner })).status).toBe(200);
+  });
+});
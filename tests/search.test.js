@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../src/models/User');
+const Playlist = require('../src/models/Playlist');
+const Song = require('../src/models/Song');
+const PlaylistLike = require('../src/models/PlaylistLike');
+const SavedPlaylist = require('../src/models/SavedPlaylist');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { createApp } = require('./helpers/app');
+
+const app = createApp({ '/api/search': require('../src/routes/search') });
+
+describe('universal search', () => {
+  const ownerId = new mongoose.Types.ObjectId();
+
+  // Results are cached by query, so every test searches for its own word
+  const seed = async (word) => {
+    for (let i = 1; i <= 5; i++) {
+      await User.create({
+        email: `${word}${i}@example.com`,
+        username: `${word}${i}`,
+        usernameLower: `${word}${i}`,
+        followersCount: i * 10
+      });
+      await Playlist.create({ userId: ownerId, title: `${word} mix ${i}`, isPublic: true, likesCount: i });
+    }
+  };
+  const search = (query) => request(app).get('/api/search').query(query);
+
+  beforeEach(() => {
+    useMemoryModel(User);
+    useMemoryModel(Playlist, { hideDeleted: true });
+    useMemoryModel(Song);
+    useMemoryModel(PlaylistLike);
+    useMemoryModel(SavedPlaylist);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('walks users and playlists with separate cursors', async () => {
+    await seed('lofi');
+
+    const first = await search({ q: 'lofi', limit: 2 }).expect(200);
+    expect(first.body.data.users.map(user => user.username)).toEqual(['lofi5', 'lofi4']);
+    expect(first.body.data.meta).toMatchObject({
+      totalUsers: 5,
+      totalPlaylists: 5,
+      users: { total: 5, limit: 2, hasMore: true, prevCursor: null },
+      playlists: { total: 5, limit: 2, hasMore: true, prevCursor: null }
+    });
+
+    const usernames = [];
+    let page = first;
+    for (;;) {
+      usernames.push(...page.body.data.users.map(user => user.username));
+      expect(page.body.data.playlists.map(playlist => playlist.title)).toEqual(['lofi mix 5', 'lofi mix 4']);
+      const { nextCursor } = page.body.data.meta.users;
+      if (!nextCursor) {
+        break;
+      }
+      page = await search({ q: 'lofi', limit: 2, usersCursor: nextCursor }).expect(200);
+    }
+    expect(usernames).toEqual(['lofi5', 'lofi4', 'lofi3', 'lofi2', 'lofi1']);
+
+    const back = await search({ q: 'lofi', limit: 2, usersCursor: page.body.data.meta.users.prevCursor }).expect(200);
+    expect(back.body.data.users.map(user => user.username)).toEqual(['lofi3', 'lofi2']);
+
+    const playlists = await search({ q: 'lofi', limit: 2, playlistsCursor: first.body.data.meta.playlists.nextCursor }).expect(200);
+    expect(playlists.body.data.playlists.map(playlist => playlist.title)).toEqual(['lofi mix 3', 'lofi mix 2']);
+    expect(playlists.body.data.users.map(user => user.username)).toEqual(['lofi5', 'lofi4']);
+  });
+
+  it('still pages by offset', async () => {
+    await seed('jazz');
+
+    const res = await search({ q: 'jazz', limit: 2, offset: 2 }).expect(200);
+
+    expect(res.body.data.users.map(user => user.username)).toEqual(['jazz3', 'jazz2']);
+    expect(res.body.data.meta.users).toMatchObject({ offset: 2, hasMore: true });
+  });
+
+  it('rejects malformed cursors and cursors from the other list', async () => {
+    await seed('indie');
+    const first = await search({ q: 'indie', limit: 2 });
+
+    await search({ q: 'indie', usersCursor: 'not-a-cursor' }).expect(400);
+    await search({ q: 'indie', playlistsCursor: first.body.data.meta.users.nextCursor }).expect(400);
+  });
+});
@@ -0,0 +1,8 @@
+// Tests run without a database: queries fail straight away instead of
+// waiting for a connection, and models are stubbed per test where needed
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.GOOGLE_CLIENT_ID = 'test-client-id';
+
+mongoose.set('bufferCommands', false);
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Session = require('../src/models/Session');
+const AuthToken = require('../src/models/AuthToken');
+const {
+  generateTokens,
+  verifyAccessToken,
+  rotateRefreshToken,
+  revokeSession,
+  getActiveSession,
+  createOneTimeToken,
+  consumeOneTimeToken,
+  hashToken
+} = require('../src/services/tokenService');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const userId = new mongoose.Types.ObjectId();
+
+describe('refresh tokens', () => {
+  let sessions;
+
+  beforeEach(() => {
+    sessions = useMemoryModel(Session);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores only a hash of the refresh token', async () => {
+    const { accessToken, refreshToken } = await generateTokens(userId, { deviceLabel: 'Pixel 8' });
+
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0].refreshTokenHash).toBe(hashToken(refreshToken));
+    expect(sessions[0].deviceLabel).toBe('Pixel 8');
+    expect(verifyAccessToken(accessToken)).toMatchObject({ userId: String(userId), sid: String(sessions[0]._id) });
+  });
+
+  it('rejects a refresh token used as an access token', async () => {
+    const { refreshToken } = await generateTokens(userId);
+
+    expect(() => verifyAccessToken(refreshToken)).toThrow(jwt.JsonWebTokenError);
+  });
+
+  it('issues a new pair for the same session on rotation', async () => {
+    const { refreshToken } = await generateTokens(userId);
+
+    const rotated = await rotateRefreshToken(refreshToken);
+
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0].refreshTokenHash).toBe(hashToken(rotated.refreshToken));
+    expect(verifyAccessToken(rotated.accessToken).sid).toBe(String(sessions[0]._id));
+  });
+
+  it('revokes the whole session when a rotated token is reused', async () => {
+    const { refreshToken } = await generateTokens(userId);
+    const rotated = await rotateRefreshToken(refreshToken);
+
+    expect(await rotateRefreshToken(refreshToken)).toBeNull();
+    expect(sessions[0].revokedAt).toBeInstanceOf(Date);
+    expect(sessions[0].revokedReason).toBe('reuse_detected');
+    expect(console.warn).toHaveBeenCalledWith('[REFRESH_TOKEN_REUSE]', expect.any(Object));
+
+    // The legitimate holder of the newer token is signed out as well
+    expect(await rotateRefreshToken(rotated.refreshToken)).toBeNull();
+    expect(await getActiveSession(sessions[0]._id)).toBeNull();
+  });
+
+  it('refuses tokens of a revoked session without flagging reuse', async () => {
+    const { refreshToken } = await generateTokens(userId);
+    await revokeSession(sessions[0]._id);
+
+    expect(await rotateRefreshToken(refreshToken)).toBeNull();
+    expect(sessions[0].revokedReason).toBe('logout');
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  it('refuses malformed tokens and access tokens', async () => {
+    const { accessToken } = await generateTokens(userId);
+
+    expect(await rotateRefreshToken('not-a-token')).toBeNull();
+    expect(await rotateRefreshToken(accessToken)).toBeNull();
+    expect(sessions[0].revokedAt).toBeNull();
+  });
+});
+
+describe('one-time tokens', () => {
+  let authTokens;
+
+  beforeEach(() => {
+    authTokens = useMemoryModel(AuthToken);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('can be consumed once', async () => {
+    const token = await createOneTimeToken(userId, 'password_reset', 60 * 1000);
+
+    expect(authTokens[0].tokenHash).toBe(hashToken(token));
+    expect(await consumeOneTimeToken(token, 'password_reset')).toMatchObject({ userId });
+    expect(await consumeOneTimeToken(token, 'password_reset')).toBeNull();
+  });
+
+  it('only works for its own purpose', async () => {
+    const token = await createOneTimeToken(userId, 'email_verification', 60 * 1000);
+
+    expect(await consumeOneTimeToken(token, 'password_reset')).toBeNull();
+  });
+
+  it('expires', async () => {
+    const token = await createOneTimeToken(userId, 'password_reset', -1);
+
+    expect(await consumeOneTimeToken(token, 'password_reset')).toBeNull();
+  });
+
+  it('replaces the unused token when a new one is created', async () => {
+    const first = await createOneTimeToken(userId, 'password_reset', 60 * 1000);
+    const second = await createOneTimeToken(userId, 'password_reset', 60 * 1000);
+
+    expect(authTokens).toHaveLength(1);
+    expect(await consumeOneTimeToken(first, 'password_reset')).toBeNull();
+    expect(await consumeOneTimeToken(second, 'password_reset')).not.toBeNull();
+  });
+});
@@ -0,0 +1,80 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+} = require('../src/services/totp');
+
+// RFC 6238 appendix B, SHA-1 secret "12345678901234567890" (last 6 digits)
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037']
+];
+
+describe('base32', () => {
+  it('round-trips bytes and ignores padding, spaces and case', () => {
+    const bytes = Buffer.from('vibecheck totp');
+    const encoded = base32Encode(bytes);
+    expect(base32Decode(encoded)).toEqual(bytes);
+    expect(base32Decode(`${encoded.toLowerCase().match(/.{1,4}/g).join(' ')}====`)).toEqual(bytes);
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character');
+  });
+
+  it('generates 160-bit secrets', () => {
+    expect(base32Decode(generateSecret())).toHaveLength(20);
+  });
+});
+
+describe('generateTotp', () => {
+  it.each(RFC_VECTORS)('matches the RFC 6238 code at %i seconds', (seconds, code) => {
+    expect(generateTotp(RFC_SECRET, seconds * 1000)).toBe(code);
+  });
+});
+
+describe('verifyTotp', () => {
+  const time = 1111111111 * 1000;
+  const step = Math.floor(time / 30000);
+
+  it('returns the matching step for the current code', () => {
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time), { time })).toBe(step);
+  });
+
+  it('allows one step of clock drift either side by default', () => {
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time - 30000), { time })).toBe(step - 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time + 30000), { time })).toBe(step + 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time - 60000), { time })).toBeNull();
+  });
+
+  it('rejects codes that are not exactly six digits', () => {
+    const code = generateTotp(RFC_SECRET, time);
+    expect(verifyTotp(RFC_SECRET, code.slice(1), { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, `${code}0`, { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef', { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, Number(code), { time })).toBeNull();
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('builds a URI authenticator apps can scan', () => {
+    const uri = new URL(buildOtpauthUri({ secret: RFC_SECRET, accountName: 'luna@example.com', issuer: 'vibecheck' }));
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/vibecheck:luna@example.com');
+    expect(Object.fromEntries(uri.searchParams)).toEqual({
+      secret: RFC_SECRET,
+      issuer: 'vibecheck',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30'
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const UsernameHistory = require('../src/models/UsernameHistory');
+const {
+  USERNAME_CHANGE_COOLDOWN_DAYS,
+  isReservedUsername,
+  getUsernameProblem,
+  generateAvailableUsername,
+  getNextUsernameChangeAt,
+  changeUsername,
+  resolveUsername
+} = require('../src/services/usernames');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('usernames', () => {
+  let history;
+  let luna;
+
+  const createUser = (username, fields = {}) => User.create({
+    email: `${username.toLowerCase()}@example.com`,
+    username,
+    usernameLower: username.toLowerCase(),
+    ...fields
+  });
+
+  beforeEach(async () => {
+    useMemoryModel(User);
+    history = useMemoryModel(UsernameHistory);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: async (fn) => fn(),
+      endSession: async () => {}
+    });
+
+    luna = await createUser('Luna');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getUsernameProblem', () => {
+    it('rejects malformed, reserved and blocked names', async () => {
+      expect(await getUsernameProblem('ab')).toMatchObject({ status: 400 });
+      expect(await getUsernameProblem('has space')).toMatchObject({ status: 400 });
+      expect(await getUsernameProblem('Admin')).toEqual({ status: 400, error: 'This username is not available' });
+      expect(isReservedUsername('the_Vibe-Check_team')).toBe(true);
+      expect(isReservedUsername('lunar')).toBe(false);
+    });
+
+    it('treats names that only differ in case as taken', async () => {
+      expect(await getUsernameProblem('LUNA')).toEqual({ status: 409, error: 'Username already taken' });
+      expect(await getUsernameProblem('LUNA', luna._id)).toBeNull();
+      expect(await getUsernameProblem('sol')).toBeNull();
+    });
+
+    it('holds a previous name for its old owner for a while', async () => {
+      await UsernameHistory.create({ userId: luna._id, username: 'moon', usernameLower: 'moon', createdAt: new Date(Date.now() - DAY) });
+
+      expect(await getUsernameProblem('Moon')).toMatchObject({ status: 409 });
+      expect(await getUsernameProblem('moon', luna._id)).toBeNull();
+
+      history[0].createdAt = new Date(Date.now() - 200 * DAY);
+      expect(await getUsernameProblem('moon')).toBeNull();
+    });
+  });
+
+  it('generates a free username from a display name', async () => {
+    expect(await generateAvailableUsername('Sol Álvarez')).toMatch(/^sollvarez\d+$/);
+    expect(await generateAvailableUsername('Official Admin')).toMatch(/^listener\d+$/);
+  });
+
+  describe('changeUsername', () => {
+    it('renames the account and keeps the old name as a redirect', async () => {
+      const result = await changeUsername(luna, ' Moon ');
+
+      expect(result.user).toBe(luna);
+      expect(luna).toMatchObject({ username: 'Moon', usernameLower: 'moon' });
+      expect(luna.usernameChangedAt).toBeInstanceOf(Date);
+      expect(history).toEqual([expect.objectContaining({ username: 'Luna', usernameLower: 'luna' })]);
+      expect(String(history[0].userId)).toBe(String(luna._id));
+
+      expect(await resolveUsername('luna')).toEqual({ user: luna, previousUsername: 'Luna' });
+      expect(await resolveUsername('MOON')).toEqual({ user: luna, previousUsername: null });
+    });
+
+    it('waits out the cooldown between renames', async () => {
+      luna.usernameChangedAt = new Date(Date.now() - DAY);
+
+      const result = await changeUsername(luna, 'moon');
+
+      expect(result.status).toBe(429);
+      expect(result.nextChangeAt - luna.usernameChangedAt).toBe(USERNAME_CHANGE_COOLDOWN_DAYS * DAY);
+      expect(luna.username).toBe('Luna');
+
+      luna.usernameChangedAt = new Date(Date.now() - (USERNAME_CHANGE_COOLDOWN_DAYS + 1) * DAY);
+      expect(getNextUsernameChangeAt(luna)).toBeNull();
+      expect((await changeUsername(luna, 'moon')).user).toBe(luna);
+    });
+
+    it('lets the capitalisation change without a cooldown or a redirect', async () => {
+      luna.usernameChangedAt = new Date(Date.now() - DAY);
+      const changedAt = luna.usernameChangedAt;
+
+      await changeUsername(luna, 'LUNA');
+
+      expect(luna.username).toBe('LUNA');
+      expect(luna.usernameChangedAt).toBe(changedAt);
+      expect(history).toHaveLength(0);
+    });
+
+    it('drops the redirect of a name its old owner takes back', async () => {
+      await changeUsername(luna, 'moon');
+      luna.usernameChangedAt = null;
+
+      await changeUsername(luna, 'luna');
+
+      expect(history).toEqual([expect.objectContaining({ usernameLower: 'moon' })]);
+      expect(await resolveUsername('luna')).toEqual({ user: luna, previousUsername: null });
+    });
+
+    it('refuses names other accounts have or recently had', async () => {
+      const sol = await createUser('sol');
+      await changeUsername(sol, 'sunny');
+      expect(sol.username).toBe('sunny');
+
+      expect(await changeUsername(luna, 'Sunny')).toMatchObject({ status: 409 });
+      expect(await changeUsername(luna, 'sol')).toMatchObject({ status: 409 });
+      expect(luna.username).toBe('Luna');
+    });
+  });
+});